@@ -1,9 +1,27 @@
 import 'dotenv/config'
 import chalk from 'chalk';
-import { selectMenu, inputMenu } from "./inquirer/inquirer-utils.js";
+import { selectMenu, inputMenu, searchMenu } from "./inquirer/inquirer-utils.js";
 import { getMenuConfig } from "./inquirer/inquirer-config.js";
-import { getApiKey, verifyApiKey } from "./braintrust/utils.js";
-import { listProjects, exportProjectData, getProjectById, validateProjectId } from "./braintrust/api.js";
+import inquiryFlows from "./inquirer/inquirer-flows.js";
+import { getApiKey, verifyApiKey, saveApiKeyToEnv } from "./braintrust/utils.js";
+import path from 'path';
+import { listProjects, exportProjectData, getProjectById, validateProjectId, getResumableExport, canExportIncrementally, EXPORT_FORMATS } from "./braintrust/api.js";
+import { getRecentProjects, recordRecentProject } from "./braintrust/recent-projects.js";
+import { summarizeCheckpoint } from "./braintrust/checkpoint.js";
+import { verifyExport } from "./braintrust/verify.js";
+import { archiveExport } from "./braintrust/archive.js";
+import { exportProjects } from "./braintrust/multi-export.js";
+import { getConnectionSettings, DEFAULT_API_URL } from "./braintrust/http.js";
+import { loadStartupProfile, listCredentialProfiles, applyCredentialProfile, saveCredentialProfile, removeCredentialProfile, setActiveProfile } from "./braintrust/credential-profiles.js";
+import { getConfigPath } from "./braintrust/config.js";
+import { getOutputSettings, findLatestExportDir } from "./braintrust/output-layout.js";
+import { runCommand } from "./cli/commands.js";
+
+// Run a single command non-interactively when arguments are given (e.g. from cron or CI)
+const cliArgs = process.argv.slice(2);
+if (cliArgs.length > 0) {
+    process.exit(await runCommand(cliArgs));
+}
 
 let menu = "main"
 let menuChoice = "";
@@ -11,13 +29,40 @@ let menuChoice = "";
 console.log(chalk.blue("Braintrust CLI"));
 console.log(chalk.gray("Loading...\n"));
 
+// Load the chosen (BRAINTRUST_PROFILE) or active credential profile
+try {
+    const profile = loadStartupProfile();
+    if (profile) {
+        console.log(chalk.green(`Using profile "${profile.name}"\n`));
+    }
+} catch (error) {
+    console.log(chalk.red(`Could not load profile: ${error.message}`));
+}
+
 // Check for API key on startup
 if(!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined") {
     console.log(chalk.yellow("No API key found. You'll be prompted to enter one when needed.\n"));
-} else {
+} else if (!process.env.BRAINTRUST_PROFILE) {
     console.log(chalk.green("API key found in environment\n"));
 }
 
+// Mention non-default connection settings (self-hosted API, proxy, custom CA)
+try {
+    const connection = getConnectionSettings();
+    if (connection.apiUrl !== DEFAULT_API_URL) {
+        console.log(chalk.gray(`Using Braintrust API at ${connection.apiUrl}`));
+    }
+    if (connection.proxy) {
+        console.log(chalk.gray(`Using proxy ${connection.proxy.replace(/\/\/[^@/]*@/, "//***@")}`));
+    }
+    if (connection.caCert) {
+        console.log(chalk.gray(`Trusting CA certificate ${connection.caCert}`));
+    }
+} catch (error) {
+    console.log(chalk.red(`Invalid connection settings: ${error.message}\n`));
+    process.exit(1);
+}
+
 // Display welcome message once at startup
 console.log(chalk.cyanBright("Welcome to Braintrust CLI, a tool for exporting experiments and datasets!\n"));
 
@@ -28,49 +73,92 @@ while(menuChoice !== "exit") {
     switch (menuChoice) {
         case "login":
             try {
-                let apiKey;
-                
-                // Check if an API key already exists
-                if (process.env.BRAINTRUST_API_KEY && process.env.BRAINTRUST_API_KEY !== "undefined") {
-                    // Show confirmation menu without displaying the key
-                    const confirmConfig = {
-                        message: "What would you like to do?",
-                        choices: [
-                            {
-                                name: "Keep Current Key",
-                                value: "keepKey",
-                                description: "Continue using the existing API key"
-                            },
-                            {
-                                name: "Update API Key",
-                                value: "updateKey",
-                                description: "Enter a new API key"
-                            }
-                        ]
-                    };
-                    
-                    const confirmation = await selectMenu(confirmConfig);
-                    
-                    if (confirmation === "keepKey") {
-                        console.log(chalk.green("\n✓ Keeping existing API key\n"));
+                const hasKey = Boolean(process.env.BRAINTRUST_API_KEY && process.env.BRAINTRUST_API_KEY !== "undefined");
+                const currentProfile = process.env.BRAINTRUST_PROFILE && process.env.BRAINTRUST_PROFILE !== "undefined" ? process.env.BRAINTRUST_PROFILE : null;
+                const loginChoice = await selectMenu(await getMenuConfig("login", {
+                    profiles: listCredentialProfiles(),
+                    hasKey,
+                    currentProfile,
+                    projectName: process.env.BRAINTRUST_PROJECT_NAME !== "undefined" ? process.env.BRAINTRUST_PROJECT_NAME : null
+                }));
+
+                if (loginChoice === "back") {
+                    break;
+                }
+
+                if (loginChoice === "keepKey") {
+                    console.log(chalk.green("\n✓ Keeping existing API key\n"));
+                    break;
+                }
+
+                if (loginChoice.startsWith("profile:")) {
+                    // Switch to a saved profile and make it the default for future runs
+                    const profile = applyCredentialProfile(loginChoice.slice("profile:".length));
+                    setActiveProfile(profile.name);
+                    console.log(chalk.blue(`\nSwitched to profile "${profile.name}"`));
+                    if (await verifyApiKey(profile.apiKey)) {
+                        console.log(chalk.green("✓ API key verified"));
+                    } else {
+                        console.log(chalk.red("✗ The profile's API key was rejected. Choose \"Enter New API Key\" to replace it."));
+                    }
+                    if (profile.projectId) {
+                        console.log(chalk.gray(`  Default project: ${profile.projectName}`));
+                    }
+                    console.log();
+                    break;
+                }
+
+                if (loginChoice === "saveDefaultProject") {
+                    saveCredentialProfile(currentProfile, {
+                        projectId: process.env.BRAINTRUST_PROJECT_ID,
+                        projectName: process.env.BRAINTRUST_PROJECT_NAME
+                    });
+                    console.log(chalk.green(`\n✓ Profile "${currentProfile}" now opens project ${process.env.BRAINTRUST_PROJECT_NAME}\n`));
+                    break;
+                }
+
+                if (loginChoice === "removeProfile") {
+                    const profileName = await selectMenu(await getMenuConfig("removeProfile", listCredentialProfiles()));
+                    if (profileName === "back") {
                         break;
                     }
-                    
-                    // User chose to update - force prompt for new key
-                    apiKey = await getApiKey(true);
-                } else {
-                    // No existing key - prompt normally
-                    apiKey = await getApiKey();
+                    removeCredentialProfile(profileName);
+                    console.log(chalk.green(`\n✓ Removed profile "${profileName}"`));
+                    if (profileName === currentProfile) {
+                        console.log(chalk.gray("  Its API key stays in use until you exit"));
+                    }
+                    console.log();
+                    break;
                 }
-                
+
+                // Enter a new key (forcing the prompt if one is already set)
+                const apiKey = await getApiKey(hasKey);
+
                 // Verify the API key
                 const isValid = await verifyApiKey(apiKey);
-                
-                if (isValid) {
-                    process.env.BRAINTRUST_API_KEY = apiKey;
-                    console.log(chalk.green("\n✓ API key verified and saved\n"));
-                } else {
+
+                if (!isValid) {
                     console.log(chalk.red("\n✗ Invalid API key. Please try again.\n"));
+                    break;
+                }
+
+                process.env.BRAINTRUST_API_KEY = apiKey;
+                delete process.env.BRAINTRUST_PROFILE;
+                console.log(chalk.green("\n✓ API key verified\n"));
+
+                const saveChoice = await selectMenu(await getMenuConfig("saveApiKey"));
+                if (saveChoice === "profile") {
+                    const profileName = (await inputMenu("Profile name (e.g. prod, staging): ")).trim();
+                    const profile = saveCredentialProfile(profileName, {
+                        apiKey,
+                        apiUrl: getConnectionSettings().apiUrl !== DEFAULT_API_URL ? getConnectionSettings().apiUrl : null
+                    });
+                    setActiveProfile(profile.name);
+                    process.env.BRAINTRUST_PROFILE = profile.name;
+                    console.log(chalk.green(`\n✓ Saved profile "${profile.name}" to ${getConfigPath()}\n`));
+                } else if (saveChoice === "env") {
+                    saveApiKeyToEnv(apiKey);
+                    console.log(chalk.green("\n✓ API key saved to .env file\n"));
                 }
             } catch (error) {
                 console.log(chalk.red(`\nError: ${error.message}\n`));
@@ -93,7 +181,7 @@ while(menuChoice !== "exit") {
                 }
                 
                 if (selectionMethod === "selectByList") {
-                    // Step 2a: Select from paginated list
+                    // Step 2a: Search the project list (recently used projects first)
                     console.log(chalk.blue("\nFetching projects...\n"));
                     const projects = await listProjects(process.env.BRAINTRUST_API_KEY);
                     
@@ -102,8 +190,8 @@ while(menuChoice !== "exit") {
                         break;
                     }
                     
-                    const projectMenuConfig = await getMenuConfig("selectProject", projects);
-                    const chosenProjectJson = await selectMenu(projectMenuConfig);
+                    const projectMenuConfig = await getMenuConfig("searchProject", { projects, recent: getRecentProjects() });
+                    const chosenProjectJson = await searchMenu(projectMenuConfig);
                     
                     if (chosenProjectJson === "back") {
                         break;
@@ -123,7 +211,8 @@ while(menuChoice !== "exit") {
                     process.env.BRAINTRUST_PROJECT_ID = projectData.id;
                     
                     console.log(chalk.green(`\n✓ Selected project: ${projectData.name}`));
-                    console.log(chalk.gray(`  Project ID: ${projectData.id}\n`));
+                    console.log(chalk.gray(`  Project ID: ${projectData.id}`));
+                    recordRecentProject(projectData);
                     
                 } else if (selectionMethod === "selectById") {
                     // Step 2b: Enter project ID directly
@@ -153,7 +242,8 @@ while(menuChoice !== "exit") {
                             process.env.BRAINTRUST_PROJECT_ID = project.id;
                             
                             console.log(chalk.green(`\n✓ Selected project: ${project.name}`));
-                            console.log(chalk.gray(`  Project ID: ${project.id}\n`));
+                            console.log(chalk.gray(`  Project ID: ${project.id}`));
+                            recordRecentProject(project);
                             
                             validProject = project;
                         } else {
@@ -185,32 +275,345 @@ while(menuChoice !== "exit") {
                     break;
                 }
                 
-                // Hard-code export directory to avoid path validation issues
-                const outputDir = "./exports";
+                // Export root and file layout from BRAINTRUST_EXPORT_DIR / BRAINTRUST_OUTPUT_TEMPLATE or the config file
+                const output = getOutputSettings();
+                const outputDir = output.dir;
+                const layout = {
+                    template: output.template,
+                    snapshot: output.snapshot,
+                    projectId: process.env.BRAINTRUST_PROJECT_ID !== "undefined" ? process.env.BRAINTRUST_PROJECT_ID : null
+                };
                 
-                console.log(chalk.blue(`\n========================================`));
-                console.log(chalk.blue(`  Exporting Project: ${process.env.BRAINTRUST_PROJECT_NAME}`));
-                console.log(chalk.blue(`========================================`));
-                console.log(chalk.gray(`Output: ./exports/<project>/<datasets|experiments>/`));
-                console.log(chalk.gray(`All exports will be saved to the ./exports directory.\n`));
+                // Offer to resume if a previous export of this project was interrupted
+                let resume = false;
+                let format = null;
+                let gzip = false;
+                const checkpoint = getResumableExport(outputDir, process.env.BRAINTRUST_PROJECT_NAME, layout);
+                if (checkpoint) {
+                    const resumeConfig = await getMenuConfig("resumeExport", { ...summarizeCheckpoint(checkpoint), format: checkpoint.gzip ? `${checkpoint.format}, gzip` : checkpoint.format });
+                    const resumeChoice = await selectMenu(resumeConfig);
+                    
+                    if (resumeChoice === "back") {
+                        break;
+                    }
+                    if (resumeChoice === "resume") {
+                        resume = true;
+                        format = checkpoint.format;
+                        gzip = Boolean(checkpoint.gzip);
+                    }
+                }
+                
+                if (!format) {
+                    const formatConfig = await getMenuConfig("exportFormat");
+                    format = await selectMenu(formatConfig);
+                    
+                    if (format === "back") {
+                        break;
+                    }
+                }
+                
+                // Offer a delta export when this project was exported in this format before
+                let incremental = false;
+                if (!resume && canExportIncrementally(outputDir, process.env.BRAINTRUST_PROJECT_NAME, format, layout)) {
+                    const modeConfig = await getMenuConfig("exportMode");
+                    const mode = await selectMenu(modeConfig);
+                    
+                    if (mode === "back") {
+                        break;
+                    }
+                    incremental = mode === "incremental";
+                }
+                
+                // Gzip output can't be appended to, so it is only offered for full exports
+                if (!resume && !incremental && EXPORT_FORMATS[format].compressible) {
+                    const compression = await selectMenu(await getMenuConfig("exportCompression"));
+                    
+                    if (compression === "back") {
+                        break;
+                    }
+                    gzip = compression === "gzip";
+                }
+                
+                // CSV headers can come from a sample (fast) or from every record (no dropped columns)
+                let completeHeaders = false;
+                if (format === "csv") {
+                    const headerConfig = await getMenuConfig("csvHeaderMode");
+                    const headerMode = await selectMenu(headerConfig);
+                    
+                    if (headerMode === "back") {
+                        break;
+                    }
+                    completeHeaders = headerMode === "complete";
+                }
+                
+                // Saved column profiles pick, order and rename the CSV columns
+                let columnProfile = null;
+                if (format === "csv") {
+                    columnProfile = await inquiryFlows.columnProfileFlow();
+                    if (columnProfile === "back") {
+                        break;
+                    }
+                }
                 
                 // Use project ID if available (faster), otherwise use name (backward compatibility)
                 const useProjectId = process.env.BRAINTRUST_PROJECT_ID && process.env.BRAINTRUST_PROJECT_ID !== "undefined";
                 const projectIdentifier = useProjectId ? process.env.BRAINTRUST_PROJECT_ID : process.env.BRAINTRUST_PROJECT_NAME;
                 
-                await exportProjectData(
+                // Export everything, or only the experiments and datasets the user picks
+                const objectIds = await inquiryFlows.selectExportObjectsFlow(process.env.BRAINTRUST_API_KEY, projectIdentifier, useProjectId);
+                if (objectIds === "back") {
+                    break;
+                }
+                
+                // Optionally narrow the export down to matching records
+                const filters = await inquiryFlows.recordFiltersFlow();
+                if (filters === "back") {
+                    break;
+                }
+                
+                console.log(chalk.blue(`\n========================================`));
+                console.log(chalk.blue(`  Exporting Project: ${process.env.BRAINTRUST_PROJECT_NAME}`));
+                console.log(chalk.blue(`========================================`));
+                console.log(chalk.gray(`Output: ${path.join(outputDir, output.template)}${output.snapshot ? " (new timestamped folder)" : ""}\n`));
+                
+                const result = await exportProjectData(
                     process.env.BRAINTRUST_API_KEY,
                     projectIdentifier,
                     outputDir,
                     useProjectId,
-                    process.env.BRAINTRUST_PROJECT_NAME  // Pass project name for folder creation
+                    process.env.BRAINTRUST_PROJECT_NAME,  // Pass project name for folder creation
+                    { format, resume, incremental, completeHeaders, columnProfile, objectIds, filters, template: output.template, snapshot: output.snapshot, gzip }
                 );
                 
                 console.log(chalk.green("\n========================================"));
                 console.log(chalk.green("  ✓ Export completed successfully!"));
                 console.log(chalk.green("========================================"));
-                console.log(chalk.gray("Files are organized by project with separate folders"));
-                console.log(chalk.gray("for datasets and experiments.\n"));
+                if (result.projectDir) {
+                    console.log(chalk.gray(`Files are in ${result.projectDir}\n`));
+                }
+                
+                // Offer to package a complete export for sharing
+                if (result.manifestPath && result.failed.length === 0) {
+                    const archiveFormat = await selectMenu(await getMenuConfig("archiveExport"));
+                    if (archiveFormat !== "back") {
+                        const archive = await archiveExport(result.projectDir, { format: archiveFormat });
+                        console.log(chalk.green(`\n✓ Archive written to ${archive.archivePath}\n`));
+                    }
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
+            }
+            break;
+            
+        case "importData":
+            try {
+                if (!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined") {
+                    console.log(chalk.yellow("\nPlease login first to set your API key.\n"));
+                    break;
+                }
+                
+                if (!process.env.BRAINTRUST_PROJECT_ID || process.env.BRAINTRUST_PROJECT_ID === "undefined") {
+                    console.log(chalk.yellow("\nPlease select a project first.\n"));
+                    break;
+                }
+                
+                const importResult = await inquiryFlows.importFileFlow(process.env.BRAINTRUST_API_KEY, process.env.BRAINTRUST_PROJECT_ID);
+                if (importResult === "back") {
+                    break;
+                }
+                
+                console.log(chalk.green("\n========================================"));
+                console.log(chalk.green("  ✓ Import completed successfully!"));
+                console.log(chalk.green("========================================"));
+                console.log(chalk.gray(`${importResult.inserted} row(s) inserted from ${importResult.rowsRead} row(s) read.\n`));
+            } catch (error) {
+                console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
+            }
+            break;
+            
+        case "copyDataset":
+            try {
+                if (!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined") {
+                    console.log(chalk.yellow("\nPlease login first to set your API key.\n"));
+                    break;
+                }
+                
+                if (!process.env.BRAINTRUST_PROJECT_ID || process.env.BRAINTRUST_PROJECT_ID === "undefined") {
+                    console.log(chalk.yellow("\nPlease select a project first.\n"));
+                    break;
+                }
+                
+                const copyResult = await inquiryFlows.copyDatasetFlow(process.env.BRAINTRUST_API_KEY, process.env.BRAINTRUST_PROJECT_ID);
+                if (copyResult === "back") {
+                    break;
+                }
+                
+                if (copyResult.countsMatch) {
+                    console.log(chalk.green("\n========================================"));
+                    console.log(chalk.green("  ✓ Copy completed successfully!"));
+                    console.log(chalk.green("========================================\n"));
+                } else {
+                    console.log(chalk.yellow("\n⚠ Copy finished, but the target has fewer rows than the source.\n"));
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
+            }
+            break;
+            
+        case "exportProjects":
+            try {
+                if (!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined") {
+                    console.log(chalk.yellow("\nPlease login first to set your API key.\n"));
+                    break;
+                }
+                
+                const projects = await inquiryFlows.selectProjectsFlow(process.env.BRAINTRUST_API_KEY);
+                if (projects === "back") {
+                    break;
+                }
+                
+                const format = await selectMenu(await getMenuConfig("exportFormat"));
+                if (format === "back") {
+                    break;
+                }
+                
+                let gzip = false;
+                if (EXPORT_FORMATS[format].compressible) {
+                    const compression = await selectMenu(await getMenuConfig("exportCompression"));
+                    if (compression === "back") {
+                        break;
+                    }
+                    gzip = compression === "gzip";
+                }
+                
+                let completeHeaders = false;
+                let columnProfile = null;
+                if (format === "csv") {
+                    const headerMode = await selectMenu(await getMenuConfig("csvHeaderMode"));
+                    if (headerMode === "back") {
+                        break;
+                    }
+                    completeHeaders = headerMode === "complete";
+                    
+                    columnProfile = await inquiryFlows.columnProfileFlow();
+                    if (columnProfile === "back") {
+                        break;
+                    }
+                }
+                
+                const filters = await inquiryFlows.recordFiltersFlow();
+                if (filters === "back") {
+                    break;
+                }
+                
+                console.log(chalk.blue(`\n========================================`));
+                console.log(chalk.blue(`  Exporting ${projects.length} Project(s)`));
+                console.log(chalk.blue(`========================================`));
+                const output = getOutputSettings();
+                console.log(chalk.gray(`Output: ${path.join(output.dir, output.template)}${output.snapshot ? " (new timestamped folders)" : ""}`));
+                console.log(chalk.gray(`Unfinished exports of these projects are resumed.\n`));
+                
+                // Resuming lets an interrupted org backup pick up where it stopped instead of starting over
+                const result = await exportProjects(
+                    process.env.BRAINTRUST_API_KEY,
+                    projects,
+                    output.dir,
+                    { format, resume: true, completeHeaders, columnProfile, filters, template: output.template, snapshot: output.snapshot, gzip }
+                );
+                
+                if (result.ok) {
+                    console.log(chalk.green("\n========================================"));
+                    console.log(chalk.green("  ✓ All projects exported successfully!"));
+                    console.log(chalk.green("========================================\n"));
+                    
+                    // Offer to package each project's folder for sharing
+                    const exportDirs = result.projects.filter(project => project.status === "success").map(project => project.projectDir);
+                    if (exportDirs.length > 0) {
+                        const archiveFormat = await selectMenu(await getMenuConfig("archiveExport"));
+                        if (archiveFormat !== "back") {
+                            for (const projectDir of exportDirs) {
+                                await archiveExport(projectDir, { format: archiveFormat });
+                            }
+                            console.log(chalk.green(`\n✓ ${exportDirs.length} archive(s) written\n`));
+                        }
+                    }
+                } else {
+                    console.log(chalk.yellow("\n⚠ Some projects did not export completely. Run the export again to resume them.\n"));
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
+            }
+            break;
+            
+        case "verifyExport":
+            try {
+                if (!process.env.BRAINTRUST_PROJECT_NAME || process.env.BRAINTRUST_PROJECT_NAME === "undefined") {
+                    console.log(chalk.yellow("\nPlease select a project first.\n"));
+                    break;
+                }
+                
+                const verifyMode = await selectMenu(await getMenuConfig("verifyMode"));
+                if (verifyMode === "back") {
+                    break;
+                }
+                if (verifyMode === "api" && (!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined")) {
+                    console.log(chalk.yellow("\nPlease login first to set your API key.\n"));
+                    break;
+                }
+
+                // The newest export of the project (the latest snapshot with timestamped layouts)
+                const output = getOutputSettings();
+                const projectDir = findLatestExportDir(output.dir, {
+                    template: output.template,
+                    snapshot: output.snapshot,
+                    projectName: process.env.BRAINTRUST_PROJECT_NAME,
+                    projectId: process.env.BRAINTRUST_PROJECT_ID !== "undefined" ? process.env.BRAINTRUST_PROJECT_ID : null
+                });
+                if (!projectDir) {
+                    console.log(chalk.yellow(`\nNo export of ${process.env.BRAINTRUST_PROJECT_NAME} found in ${output.dir}.\n`));
+                    break;
+                }
+                console.log(chalk.blue(`\nVerifying ${projectDir}...\n`));
+                const report = await verifyExport(projectDir, {
+                    apiKey: verifyMode === "api" ? process.env.BRAINTRUST_API_KEY : null
+                });
+                
+                if (report.ok) {
+                    console.log(chalk.green("\n========================================"));
+                    console.log(chalk.green("  ✓ Export verified!"));
+                    console.log(chalk.green("========================================\n"));
+                } else {
+                    console.log(chalk.red("\n✗ The export does not match its manifest. Re-export the files listed above.\n"));
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
+            }
+            break;
+            
+        case "compareExperiments":
+            try {
+                if (!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined") {
+                    console.log(chalk.yellow("\nPlease login first to set your API key.\n"));
+                    break;
+                }
+                
+                if (!process.env.BRAINTRUST_PROJECT_ID || process.env.BRAINTRUST_PROJECT_ID === "undefined") {
+                    console.log(chalk.yellow("\nPlease select a project first.\n"));
+                    break;
+                }
+                
+                const comparison = await inquiryFlows.compareExperimentsFlow(
+                    process.env.BRAINTRUST_API_KEY,
+                    process.env.BRAINTRUST_PROJECT_ID,
+                    process.env.BRAINTRUST_PROJECT_NAME
+                );
+                if (comparison === "back") {
+                    break;
+                }
+                
+                console.log(chalk.green("\n========================================"));
+                console.log(chalk.green("  ✓ Comparison written!"));
+                console.log(chalk.green("========================================\n"));
             } catch (error) {
                 console.log(chalk.red(`\n✗ Error: ${error.message}\n`));
             }
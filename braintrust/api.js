@@ -1,56 +1,53 @@
 import axios from "axios";
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { finished } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { Parser } from '@json2csv/plainjs';
-import { withRetry, sleep } from './rate-limiter.js';
+import { withRetry, throttledRequest, setRequestsPerMinute, DEFAULT_REQUESTS_PER_MINUTE } from './rate-limiter.js';
+import { runWithConcurrency, parsePositiveInteger, DEFAULT_CONCURRENCY } from './scheduler.js';
+import { streamParquetToFile } from './parquet-writer.js';
+import { loadCheckpoint, saveCheckpoint, clearCheckpoint } from './checkpoint.js';
+import { loadExportState, saveExportState, compareXactIds } from './export-state.js';
+import { hasRecordFilters, describeRecordFilters, buildQueryFilter, buildFetchFilters, matchesRecordFilters, isAfterWatermark } from './filters.js';
+import { matchesPattern } from './utils.js';
+import { getApiBase, getRequestOptions } from './http.js';
+import { resolveProfileColumns, profileSelectsColumn, columnsFromHeader } from './column-profiles.js';
+import { createExperimentSummary, writeSummaryCSV, getSummaryStatePath, resetSummaryState, appendSummaryState, loadExperimentSummary, SUMMARY_FILENAME } from './score-summary.js';
+import { loadManifest, saveManifest, describeExportFile, hashFile, MANIFEST_VERSION } from './manifest.js';
+import { createOutputLayout, DEFAULT_OUTPUT_TEMPLATE } from './output-layout.js';
+
+// Re-exported for modules that name files and folders like the exporter
+export { sanitizeFilename } from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const BRAINTRUST_API_BASE = 'https://api.braintrust.dev/v1';
-
-/**
- * Create organized directory structure for a project's exports
- * @param {string} baseDir - Base export directory (e.g., './exports')
- * @param {string} projectName - Name of the project
- * @returns {Object} Object with paths to datasets and experiments directories
- */
-function createProjectDirectories(baseDir, projectName) {
-    const safeName = sanitizeFilename(projectName);
-    const projectDir = path.join(baseDir, safeName);
-    const datasetsDir = path.join(projectDir, 'datasets');
-    const experimentsDir = path.join(projectDir, 'experiments');
-    
-    // Create all directories recursively
-    fs.mkdirSync(datasetsDir, { recursive: true });
-    fs.mkdirSync(experimentsDir, { recursive: true });
-    
-    return {
-        projectDir,
-        datasetsDir,
-        experimentsDir
-    };
-}
+const LIST_PAGE_SIZE = 100;   // Objects per page when listing projects, experiments and datasets
 
 /**
  * Make an authenticated GET request to the Braintrust API
+ * Paced by the shared rate limiter (see rate-limiter.js)
  */
 async function makeRequest(endpoint, apiKey, params = {}) {
     try {
-        const url = new URL(`${BRAINTRUST_API_BASE}/${endpoint}`);
+        const url = new URL(`${getApiBase()}/${endpoint}`);
         Object.keys(params).forEach(key => {
             if (params[key] !== undefined && params[key] !== null) {
                 url.searchParams.append(key, params[key]);
             }
         });
 
-        const response = await axios.get(url.toString(), {
+        const response = await throttledRequest(() => axios.get(url.toString(), {
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
                 'Content-Type': 'application/json',
             },
-        });
+            ...getRequestOptions(url.toString()),
+        }));
         return response.data;
     } catch (error) {
         if (error.response) {
@@ -67,16 +64,18 @@ async function makeRequest(endpoint, apiKey, params = {}) {
 
 /**
  * Make an authenticated POST request to the Braintrust API
+ * Paced by the shared rate limiter (see rate-limiter.js)
  */
 async function makePostRequest(endpoint, apiKey, data = {}) {
     try {
-        const url = `${BRAINTRUST_API_BASE}/${endpoint}`;
-        const response = await axios.post(url, data, {
+        const url = `${getApiBase()}/${endpoint}`;
+        const response = await throttledRequest(() => axios.post(url, data, {
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
                 'Content-Type': 'application/json',
             },
-        });
+            ...getRequestOptions(url),
+        }));
         return response.data;
     } catch (error) {
         if (error.response) {
@@ -91,29 +90,72 @@ async function makePostRequest(endpoint, apiKey, data = {}) {
     }
 }
 
+/**
+ * Extract the list of objects from a list endpoint response
+ * @param {Object|Array} response - Response body
+ * @returns {Array<Object>} Objects on this page
+ */
+function toObjectList(response) {
+    // Braintrust API returns { objects: [...] }
+    if (response && response.objects) {
+        return Array.isArray(response.objects) ? response.objects : [response.objects];
+    }
+    
+    // Fallback for different response structures
+    if (Array.isArray(response)) {
+        return response;
+    }
+    if (response && response.data) {
+        return Array.isArray(response.data) ? response.data : [response.data];
+    }
+    
+    return [];
+}
+
+/**
+ * Fetch every object from a list endpoint, page by page
+ * API: GET /v1/{endpoint}?limit={LIST_PAGE_SIZE}&starting_after={last ID of the previous page}
+ * Each page is retried on rate limits and transient errors. Paging stops at a short page,
+ * or when a page brings no new objects (servers that ignore the paging parameters).
+ * @param {string} endpoint - List endpoint (e.g. 'project', 'experiment', 'dataset')
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} [params] - Query parameters (e.g. { project_id })
+ * @returns {Promise<Array<Object>>} Every object, in the order returned by the API
+ */
+async function fetchAllObjects(endpoint, apiKey, params = {}) {
+    const objects = [];
+    const seenIds = new Set();
+    let startingAfter;
+    
+    while (true) {
+        const response = await withRetry(
+            () => makeRequest(endpoint, apiKey, { ...params, limit: LIST_PAGE_SIZE, starting_after: startingAfter }),
+            { maxRetries: 3, initialBackoff: 1000, maxBackoff: 30000 }
+        );
+        const page = toObjectList(response);
+        const newObjects = page.filter(object => !object.id || !seenIds.has(object.id));
+        newObjects.forEach(object => seenIds.add(object.id));
+        objects.push(...newObjects);
+        
+        const lastId = page[page.length - 1]?.id;
+        if (page.length < LIST_PAGE_SIZE || newObjects.length === 0 || !lastId) {
+            return objects;
+        }
+        startingAfter = lastId;
+        console.log(`  → Listed ${objects.length} ${endpoint}s so far...`);
+    }
+}
+
 /**
  * List all available projects
- * API: GET /v1/project
+ * API: GET /v1/project (every page)
  * Returns: { objects: Project[] }
+ * @param {string} apiKey - Braintrust API key
+ * @returns {Promise<Array<Object>>} Every project available to the API key
  */
 export async function listProjects(apiKey) {
     try {
-        const response = await makeRequest('project', apiKey);
-        
-        // Braintrust API returns { objects: [...] }
-        if (response && response.objects) {
-            return Array.isArray(response.objects) ? response.objects : [response.objects];
-        }
-        
-        // Fallback for different response structures
-        if (Array.isArray(response)) {
-            return response;
-        }
-        if (response && response.data) {
-            return Array.isArray(response.data) ? response.data : [response.data];
-        }
-        
-        return [];
+        return await fetchAllObjects('project', apiKey);
     } catch (error) {
         console.error('Error fetching projects:', error.message);
         throw error;
@@ -159,7 +201,7 @@ export async function validateProjectId(apiKey, projectId) {
 
 /**
  * Fetch all experiments for a project
- * API: GET /v1/experiment?project_id={project_id}
+ * API: GET /v1/experiment?project_id={project_id} (every page)
  * Returns: { objects: Experiment[] }
  * @param {string} apiKey - Braintrust API key
  * @param {string} projectNameOrId - Project name or ID
@@ -185,25 +227,10 @@ export async function fetchExperiments(apiKey, projectNameOrId, isId = false) {
             projectId = project.id;
         }
 
-        // Fetch experiments for the project using query parameter
-        const response = await makeRequest('experiment', apiKey, {
-            project_id: projectId
-        });
-
-        // Braintrust API returns { objects: [...] }
-        if (response && response.objects) {
-            return Array.isArray(response.objects) ? response.objects : [response.objects];
-        }
-        
-        // Fallback for different response structures
-        if (Array.isArray(response)) {
-            return response;
-        }
-        if (response && response.data) {
-            return Array.isArray(response.data) ? response.data : [response.data];
-        }
-        
-        return [];
+        // Fetch every page of experiments for the project
+        const experiments = await fetchAllObjects('experiment', apiKey, { project_id: projectId });
+        console.log(`  ${experiments.length} experiment(s) in total`);
+        return experiments;
     } catch (error) {
         console.error('Error fetching experiments:', error.message);
         throw error;
@@ -212,7 +239,7 @@ export async function fetchExperiments(apiKey, projectNameOrId, isId = false) {
 
 /**
  * Fetch all datasets for a project
- * API: GET /v1/dataset?project_id={project_id}
+ * API: GET /v1/dataset?project_id={project_id} (every page)
  * Returns: { objects: Dataset[] }
  * @param {string} apiKey - Braintrust API key
  * @param {string} projectNameOrId - Project name or ID
@@ -238,25 +265,10 @@ export async function fetchDatasets(apiKey, projectNameOrId, isId = false) {
             projectId = project.id;
         }
 
-        // Fetch datasets for the project using query parameter
-        const response = await makeRequest('dataset', apiKey, {
-            project_id: projectId
-        });
-
-        // Braintrust API returns { objects: [...] }
-        if (response && response.objects) {
-            return Array.isArray(response.objects) ? response.objects : [response.objects];
-        }
-        
-        // Fallback for different response structures
-        if (Array.isArray(response)) {
-            return response;
-        }
-        if (response && response.data) {
-            return Array.isArray(response.data) ? response.data : [response.data];
-        }
-        
-        return [];
+        // Fetch every page of datasets for the project
+        const datasets = await fetchAllObjects('dataset', apiKey, { project_id: projectId });
+        console.log(`  ${datasets.length} dataset(s) in total`);
+        return datasets;
     } catch (error) {
         console.error('Error fetching datasets:', error.message);
         throw error;
@@ -264,72 +276,176 @@ export async function fetchDatasets(apiKey, projectNameOrId, isId = false) {
 }
 
 /**
- * Fetch all records from an experiment using pagination with streaming support
- * API: POST /v1/experiment/{experiment_id}/fetch
- * Yields batches of events for memory-efficient processing
+ * Count the records in an experiment or dataset without fetching them
+ * API: POST /v1/btql (aggregate query)
  * @param {string} apiKey - Braintrust API key
- * @param {string} experimentId - Experiment ID
+ * @param {string} objectType - 'experiment' or 'dataset'
+ * @param {string} objectId - Experiment or dataset ID
+ * @returns {Promise<number|null>} Record count, or null if it couldn't be determined
+ */
+export async function fetchObjectRowCount(apiKey, objectType, objectId) {
+    try {
+        const response = await withRetry(
+            () => makePostRequest('btql', apiKey, {
+                query: `measures: count(1) as count\nfrom: ${objectType}('${objectId}')`,
+                fmt: 'json'
+            }),
+            { maxRetries: 3, initialBackoff: 1000, maxBackoff: 30000 }
+        );
+        const count = response?.data?.[0]?.count;
+        return typeof count === 'number' ? count : null;
+    } catch (error) {
+        // Counts are informational only; callers show them as unknown
+        return null;
+    }
+}
+
+/**
+ * @typedef {Object} PaginationOptions
+ * @property {string} [cursor] - Cursor to start from (e.g. to resume an interrupted export)
+ * @property {string} [cursorSource] - Endpoint the cursor came from: 'fetch' (default) or 'query'
+ * @property {Function} [onCursor] - Called with the cursor for the next page (null on the last page)
+ *                                   and its source ('fetch' or 'query') right before each batch is yielded
+ * @property {string} [sinceXactId] - Only yield events with a higher _xact_id (incremental exports)
+ * @property {import('./filters.js').RecordFilters} [filters] - Only yield events matching these filters
+ * @property {string} [label] - Name shown in progress logs (useful when several objects export at once)
+ */
+
+/**
+ * Fetch all records from an experiment or dataset using cursor pagination
+ * Shared implementation behind the experiment and dataset generators below
+ * 
+ * Without filters, pages come from the fetch endpoint. With filters, pages come from the
+ * BTQL query endpoint so filtering happens server-side; if the query endpoint rejects the
+ * request, the fetch endpoint is used instead with exact metadata matches pushed down.
+ * Every yielded record is re-checked against the filters client-side.
+ * 
+ * @param {string} objectType - 'experiment' or 'dataset'
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} objectId - Experiment or dataset ID
  * @param {Function} [onProgress] - Optional progress callback
+ * @param {PaginationOptions} [options] - Optional pagination settings
  * @returns {AsyncGenerator} Yields batches of events
  */
-export async function* fetchExperimentRecordsWithPagination(apiKey, experimentId, onProgress) {
-    let cursor = null;
+async function* fetchObjectRecordsWithPagination(objectType, apiKey, objectId, onProgress, options = {}) {
+    const filters = hasRecordFilters(options.filters) ? options.filters : null;
+    let source = options.cursor ? (options.cursorSource || 'fetch') : (filters ? 'query' : 'fetch');
+    let cursor = options.cursor || null;
     let hasMore = true;
     let totalFetched = 0;
     let lastLoggedCount = 0;
     
-    try {
-        while (hasMore) {
-            const requestBody = {
-                limit: 1000, // Records per request
-            };
-            
+    // Build the request for the next page from whichever endpoint is in use
+    const requestPage = () => {
+        if (source === 'query') {
+            const clauses = [
+                'select: *',
+                `from: ${objectType}('${objectId}')`,
+                `filter: ${buildQueryFilter(filters, options.sinceXactId)}`,
+                'limit: 1000',
+            ];
             if (cursor) {
-                requestBody.cursor = cursor;
+                clauses.push(`cursor: '${cursor}'`);
             }
-            
+            return makePostRequest('btql', apiKey, { query: clauses.join('\n'), fmt: 'json' });
+        }
+        
+        const requestBody = {
+            limit: 1000, // Records per request
+        };
+        
+        if (cursor) {
+            requestBody.cursor = cursor;
+        }
+        if (filters && filters.metadata.length > 0) {
+            requestBody.filters = buildFetchFilters(filters);
+        }
+        return makePostRequest(`${objectType}/${objectId}/fetch`, apiKey, requestBody);
+    };
+    
+    try {
+        while (hasMore) {
             // Log progress before each API call if we have new records to show
             // This ensures progress is visible before any rate limit pause
             if (totalFetched > 0 && totalFetched !== lastLoggedCount) {
-                console.log(`  → Fetched ${totalFetched} records...`);
+                console.log(options.label
+                    ? `  → ${options.label}: fetched ${totalFetched} records...`
+                    : `  → Fetched ${totalFetched} records...`);
                 lastLoggedCount = totalFetched;
             }
             
             // Wrap API call with retry logic
-            const response = await withRetry(
-                () => makePostRequest(`experiment/${experimentId}/fetch`, apiKey, requestBody),
-                { maxRetries: 4, initialBackoff: 2000, maxBackoff: 120000 }
-            );
-            
-            // Braintrust API returns { events: [...], cursor: "..." }
-            if (response && response.events && response.events.length > 0) {
-                totalFetched += response.events.length;
-                
-                if (onProgress) {
-                    onProgress(totalFetched);
+            let response;
+            try {
+                response = await withRetry(requestPage, { maxRetries: 4, initialBackoff: 2000, maxBackoff: 120000 });
+            } catch (error) {
+                // Fall back to the fetch endpoint if the query endpoint can't serve this filter
+                const rejected = error.status === 400 || error.status === 404;
+                if (source === 'query' && rejected && !cursor) {
+                    console.log(`  ⚠ Server-side filtering unavailable (${error.message}); filtering locally instead`);
+                    source = 'fetch';
+                    continue;
                 }
-                
-                // Yield batch of events
-                yield response.events;
+                throw error;
             }
             
+            // Braintrust API returns { events: [...], cursor: "..." } for experiments and datasets,
+            // and { data: [...], cursor: "..." } for BTQL queries
+            const pageRecords = response?.events || response?.records || response?.data || [];
+            
+            // Incremental exports only keep events newer than the watermark; filters are re-checked
+            // locally since the fetch endpoint can only apply some of them
+            const records = pageRecords.filter(record =>
+                isAfterWatermark(record, options.sinceXactId) && (!filters || matchesRecordFilters(record, filters)));
+            
+            // Fetch pages are returned from latest to earliest, so once a whole page is at or
+            // below the watermark nothing new is left (queries filter on _xact_id server-side)
+            const reachedWatermark = source === 'fetch' && Boolean(options.sinceXactId) && pageRecords.length > 0 &&
+                !pageRecords.some(record => isAfterWatermark(record, options.sinceXactId));
+            
             // Check if there's more data
             cursor = response?.cursor;
-            hasMore = cursor && response.events && response.events.length > 0;
+            hasMore = cursor && pageRecords.length > 0 && !reachedWatermark;
             
-            // Proactive throttling: Add delay to avoid rate limits
-            // Sleep only occurs if the API call succeeds and the loop continues
-            // Start after first batch to prevent burst from consuming rate limit
-            if (hasMore && totalFetched >= 1000) {
-                await sleep(3000); // 3 second delay with buffer for timing drift
+            if (records.length > 0) {
+                totalFetched += records.length;
+                
+                if (onProgress) {
+                    onProgress(totalFetched);
+                }
+                
+                // Report where the next page starts before handing the batch over,
+                // so a checkpoint taken once the batch is written can resume from it
+                if (options.onCursor) {
+                    options.onCursor(hasMore ? cursor : null, source);
+                }
+                
+                // Yield batch of records
+                yield records;
             }
+            
+            // No delay between pages here: makePostRequest is paced by the shared rate limiter
         }
     } catch (error) {
-        console.error(`Error fetching records for experiment ${experimentId}:`, error.message);
+        console.error(`Error fetching records for ${objectType} ${objectId}:`, error.message);
         throw error;
     }
 }
 
+/**
+ * Fetch all records from an experiment using pagination with streaming support
+ * API: POST /v1/experiment/{experiment_id}/fetch
+ * Yields batches of events for memory-efficient processing
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} experimentId - Experiment ID
+ * @param {Function} [onProgress] - Optional progress callback
+ * @param {PaginationOptions} [options] - Optional pagination settings
+ * @returns {AsyncGenerator} Yields batches of events
+ */
+export function fetchExperimentRecordsWithPagination(apiKey, experimentId, onProgress, options = {}) {
+    return fetchObjectRecordsWithPagination('experiment', apiKey, experimentId, onProgress, options);
+}
+
 /**
  * Fetch all records from an experiment using pagination (legacy, loads all into memory)
  * API: POST /v1/experiment/{experiment_id}/fetch
@@ -356,65 +472,11 @@ export async function fetchExperimentRecords(apiKey, experimentId) {
  * @param {string} apiKey - Braintrust API key
  * @param {string} datasetId - Dataset ID
  * @param {Function} [onProgress] - Optional progress callback
+ * @param {PaginationOptions} [options] - Optional pagination settings
  * @returns {AsyncGenerator} Yields batches of records
  */
-export async function* fetchDatasetRecordsWithPagination(apiKey, datasetId, onProgress) {
-    let cursor = null;
-    let hasMore = true;
-    let totalFetched = 0;
-    let lastLoggedCount = 0;
-    
-    try {
-        while (hasMore) {
-            const requestBody = {
-                limit: 1000, // Records per request
-            };
-            
-            if (cursor) {
-                requestBody.cursor = cursor;
-            }
-            
-            // Log progress before each API call if we have new records to show
-            // This ensures progress is visible before any rate limit pause
-            if (totalFetched > 0 && totalFetched !== lastLoggedCount) {
-                console.log(`  → Fetched ${totalFetched} records...`);
-                lastLoggedCount = totalFetched;
-            }
-            
-            // Wrap API call with retry logic
-            const response = await withRetry(
-                () => makePostRequest(`dataset/${datasetId}/fetch`, apiKey, requestBody),
-                { maxRetries: 4, initialBackoff: 2000, maxBackoff: 120000 }
-            );
-            
-            // Braintrust API returns { events: [...], cursor: "..." } for datasets too
-            const records = response?.events || response?.records || [];
-            
-            if (records.length > 0) {
-                totalFetched += records.length;
-                
-                if (onProgress) {
-                    onProgress(totalFetched);
-                }
-                
-                // Yield batch of records
-                yield records;
-            }
-            
-            // Check if there's more data
-            cursor = response?.cursor;
-            hasMore = cursor && records.length > 0;
-            
-            // Proactive throttling: Add delay to avoid rate limits
-            // Start after first batch to prevent burst from consuming rate limit
-            if (hasMore && totalFetched >= 1000) {
-                await sleep(3000); // 3 second delay with buffer for timing drift
-            }
-        }
-    } catch (error) {
-        console.error(`Error fetching records for dataset ${datasetId}:`, error.message);
-        throw error;
-    }
+export function fetchDatasetRecordsWithPagination(apiKey, datasetId, onProgress, options = {}) {
+    return fetchObjectRecordsWithPagination('dataset', apiKey, datasetId, onProgress, options);
 }
 
 /**
@@ -436,6 +498,115 @@ export async function fetchDatasetRecords(apiKey, datasetId) {
     }
 }
 
+/**
+ * Get a single dataset by its ID
+ * API: GET /v1/dataset/{dataset_id}
+ * Returns: Dataset object
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} datasetId - Dataset ID to fetch
+ * @returns {Promise<Object>} Dataset object
+ * @throws {Error} If dataset not found or API error
+ */
+export async function getDatasetById(apiKey, datasetId) {
+    try {
+        return await makeRequest(`dataset/${datasetId}`, apiKey);
+    } catch (error) {
+        if (error.status === 404) {
+            throw new Error(`Dataset with ID "${datasetId}" not found`);
+        }
+        console.error('Error fetching dataset by ID:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Create a dataset in a project
+ * API: POST /v1/dataset
+ * If the project already has a dataset with this name, the API returns it unchanged.
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} projectId - Project ID
+ * @param {string} name - Dataset name
+ * @param {string} [description] - Optional dataset description
+ * @returns {Promise<Object>} The created (or existing) dataset
+ */
+export async function createDataset(apiKey, projectId, name, description = undefined) {
+    try {
+        return await withRetry(
+            () => makePostRequest('dataset', apiKey, { project_id: projectId, name, description }),
+            { maxRetries: 3, initialBackoff: 1000, maxBackoff: 30000 }
+        );
+    } catch (error) {
+        console.error(`Error creating dataset "${name}":`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Insert a batch of events into a dataset
+ * API: POST /v1/dataset/{dataset_id}/insert
+ * Returns: { row_ids: string[] }
+ * Events with an id replace the existing row with that id, so re-running an import is idempotent.
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} datasetId - Dataset ID
+ * @param {Array<Object>} events - Events with input, expected, metadata, tags and optional id
+ * @returns {Promise<string[]>} IDs of the inserted rows
+ */
+export async function insertDatasetEvents(apiKey, datasetId, events) {
+    try {
+        const response = await withRetry(
+            () => makePostRequest(`dataset/${datasetId}/insert`, apiKey, { events }),
+            { maxRetries: 4, initialBackoff: 2000, maxBackoff: 120000 }
+        );
+        return response?.row_ids || [];
+    } catch (error) {
+        console.error(`Error inserting ${events.length} events into dataset ${datasetId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Open an output file for a writer, optionally compressing it with gzip on the way to disk
+ * Each write resolves once the chunk has been accepted, so a slow disk holds the export back
+ * instead of piling data up in memory; for uncompressed files the bytes are on disk by then.
+ * @param {string} filePath - Output file path
+ * @param {Object} [options] - Output settings
+ * @param {boolean} [options.append] - Append to an existing file instead of creating it
+ * @param {boolean} [options.gzip] - Write a gzip-compressed file
+ * @returns {{ write: function(string): Promise<void>, close: function(): Promise<void>, destroy: function(): void }} Output handle
+ */
+function openOutputFile(filePath, { append = false, gzip = false } = {}) {
+    const file = fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' });
+    const input = gzip ? zlib.createGzip() : file;
+    if (gzip) {
+        // Destroys both streams if either fails
+        pipeline(input, file, () => {});
+    }
+    // A failed open or write (ENOSPC, EACCES, ...) must only fail this file: listening for
+    // 'error' keeps it from crashing the process, and the first error rejects writes and close()
+    const failed = new Promise((resolve, reject) => {
+        file.on('error', reject);
+        input.on('error', reject);
+    });
+    failed.catch(() => {});
+    
+    return {
+        write: (text) => Promise.race([
+            failed,
+            new Promise((resolve, reject) => {
+                input.write(text, 'utf8', error => error ? reject(error) : resolve());
+            }),
+        ]),
+        close: async () => {
+            input.end();
+            await Promise.race([failed, finished(file)]);
+        },
+        destroy: () => {
+            input.destroy();
+            file.destroy();
+        },
+    };
+}
+
 /**
  * Stream records to CSV file without loading all into memory
  * Handles large datasets efficiently (e.g., 250k+ rows)
@@ -445,19 +616,42 @@ export async function fetchDatasetRecords(apiKey, datasetId) {
  * - Monitors for schema changes during streaming
  * - Warns user if new fields appear after initial sample
  * 
+ * When appending (e.g. resuming an interrupted export), the header already in the
+ * file is reused and no sampling takes place.
+ * With options.completeHeaders, header discovery scans every record instead of a sample
+ * (see streamCSVWithCompleteHeaders), so no columns are dropped.
+ * With options.columnProfile, the discovered columns are filtered, ordered and renamed
+ * by the profile (see column-profiles.js).
+ * With options.gzip, the CSV is compressed as it is written (new files only).
+ * 
  * @param {Array|AsyncIterator} records - Records to export (array or async iterator)
  * @param {string} filePath - Output file path
  * @param {Function} [onProgress] - Optional callback for progress updates
- * @returns {Object} Object with recordCount, hadTruncation, and schemaDriftDetected flags
+ * @param {Object} [options] - Optional writer settings
+ * @param {boolean} [options.append] - Append to an existing file instead of creating it
+ * @param {boolean} [options.gzip] - Write a gzip-compressed file
+ * @param {boolean} [options.completeHeaders] - Collect headers from all records before writing
+ * @param {import('./column-profiles.js').ColumnProfile} [options.columnProfile] - Saved column profile to apply
+ * @returns {Object} Object with recordCount, columns, hadTruncation, and schemaDriftDetected flags
  */
-async function streamCSVToFile(records, filePath, onProgress) {
+async function streamCSVToFile(records, filePath, onProgress, options = {}) {
+    const columnProfile = options.columnProfile || null;
+    
+    // An existing file's header is fixed, so complete discovery only applies to new files
+    if (options.completeHeaders && !options.append) {
+        return streamCSVWithCompleteHeaders(records, filePath, onProgress, columnProfile, options.gzip);
+    }
+    
     const INITIAL_BUFFER_SIZE = 1000;
     const buffer = [];
     let recordCount = 0;
-    let headers = null;
+    let columns = options.append ? columnsFromHeader(columnProfile, readCSVHeader(filePath)) : null;
     let hadTruncation = false;
     let schemaDriftDetected = false;
-    let isBuffering = true;
+    let isBuffering = !options.append;
+    // Opened with the first write, so nothing is created when there are no records
+    let output = null;
+    const openOutput = () => output || (output = openOutputFile(filePath, { append: options.append, gzip: options.gzip }));
     
     try {
         // Check if records is an async iterator or array
@@ -495,12 +689,12 @@ async function streamCSVToFile(records, filePath, onProgress) {
                     flattenedBuffer.forEach(record => {
                         Object.keys(record).forEach(key => headerSet.add(key));
                     });
-                    headers = Array.from(headerSet).sort(); // Sort for consistency
+                    columns = getCSVColumns(Array.from(headerSet).sort(), columnProfile); // Sort for consistency
                     
                     // Write initial batch with comprehensive headers
-                    const parser = new Parser({ fields: headers });
+                    const parser = new Parser({ fields: toParserFields(columns) });
                     const csv = parser.parse(flattenedBuffer);
-                    fs.writeFileSync(filePath, csv, 'utf8');
+                    await openOutput().write(csv);
                     
                     recordCount = flattenedBuffer.length;
                     isBuffering = false;
@@ -528,10 +722,13 @@ async function streamCSVToFile(records, filePath, onProgress) {
             });
             
             // Detect if new fields appeared that weren't in our initial sample
+            // (fields the column profile leaves out anyway don't count)
+            const columnPaths = new Set(columns.map(column => column.path));
             const newFields = [];
             flattenedRecords.forEach(record => {
                 Object.keys(record).forEach(key => {
-                    if (!headers.includes(key) && !newFields.includes(key)) {
+                    if (!columnPaths.has(key) && !newFields.includes(key) &&
+                        (!columnProfile || profileSelectsColumn(columnProfile, key))) {
                         newFields.push(key);
                     }
                 });
@@ -549,9 +746,9 @@ async function streamCSVToFile(records, filePath, onProgress) {
             }
             
             // Append records with existing headers (new fields will be omitted)
-            const parser = new Parser({ header: false, fields: headers });
+            const parser = new Parser({ header: false, fields: toParserFields(columns) });
             const csv = parser.parse(flattenedRecords);
-            fs.appendFileSync(filePath, '\n' + csv, 'utf8');
+            await openOutput().write('\n' + csv);
             
             recordCount += flattenedRecords.length;
             
@@ -569,18 +766,22 @@ async function streamCSVToFile(records, filePath, onProgress) {
             flattenedBuffer.forEach(record => {
                 Object.keys(record).forEach(key => headerSet.add(key));
             });
-            headers = Array.from(headerSet).sort();
+            columns = getCSVColumns(Array.from(headerSet).sort(), columnProfile);
             
             // Write all buffered records
-            const parser = new Parser({ fields: headers });
+            const parser = new Parser({ fields: toParserFields(columns) });
             const csv = parser.parse(flattenedBuffer);
-            fs.writeFileSync(filePath, csv, 'utf8');
+            await openOutput().write(csv);
             
             recordCount = flattenedBuffer.length;
         }
         
+        if (output) {
+            await output.close();
+        }
+        
         if (recordCount === 0) {
-            console.log(`No data to export to ${filePath}`);
+            console.log(options.append ? `No new records to append to ${filePath}` : `No data to export to ${filePath}`);
         } else {
             console.log(`✓ Exported ${recordCount} records to ${filePath}`);
             if (hadTruncation) {
@@ -591,13 +792,308 @@ async function streamCSVToFile(records, filePath, onProgress) {
             }
         }
         
-        return { recordCount, hadTruncation, schemaDriftDetected };
+        return { recordCount, columns: columns ? columns.map(column => column.header) : [], hadTruncation, schemaDriftDetected };
+    } catch (error) {
+        if (output) {
+            output.destroy();
+        }
+        console.error(`Error streaming CSV to ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Stream records to CSV with a header covering every field in every record
+ * 
+ * Two passes keep memory flat regardless of size:
+ * - Flattened rows are spooled to a temporary JSON Lines file next to the output
+ *   while the union of all column names is collected
+ * - The CSV is then written from the spool with the complete, sorted header
+ * 
+ * Nothing is written to filePath until all records have been fetched, so progress is
+ * only reported once the CSV is complete (an interrupted object restarts from scratch).
+ * 
+ * @param {Array|AsyncIterator} records - Records to export (array or async iterator)
+ * @param {string} filePath - Output file path
+ * @param {Function} [onProgress] - Optional callback for progress updates
+ * @param {import('./column-profiles.js').ColumnProfile|null} [columnProfile] - Saved column profile to apply
+ * @param {boolean} [gzip] - Write a gzip-compressed file (the spool stays uncompressed)
+ * @returns {Object} Object with recordCount, columns, hadTruncation, and schemaDriftDetected flags
+ */
+async function streamCSVWithCompleteHeaders(records, filePath, onProgress, columnProfile = null, gzip = false) {
+    const WRITE_BATCH_SIZE = 1000;
+    const spoolPath = `${filePath}.spool.jsonl`;
+    const headerSet = new Set();
+    let recordCount = 0;
+    let hadTruncation = false;
+    let spool = null;
+    let spoolError = null;
+    let output = null;
+    
+    try {
+        // Pass 1: flatten and spool every record while collecting all column names
+        const isAsyncIterable = records[Symbol.asyncIterator];
+        const recordsToProcess = isAsyncIterable ? records : [records];
+        
+        for await (const batch of recordsToProcess) {
+            const recordsArray = Array.isArray(batch) ? batch : [batch];
+            
+            if (recordsArray.length === 0) continue;
+            
+            if (!spool) {
+                spool = fs.createWriteStream(spoolPath, { encoding: 'utf8' });
+                // A failed spool write rejects below (and fails this object) instead of crashing the process
+                spool.on('error', error => {
+                    spoolError = spoolError || error;
+                });
+            }
+            
+            const lines = recordsArray.map(item => {
+                const flattened = flattenObject(item);
+                for (const [key, value] of Object.entries(flattened)) {
+                    headerSet.add(key);
+                    if (typeof value === 'string' && 
+                        (value.includes('truncated for export') || 
+                         value.includes('Error serializing'))) {
+                        hadTruncation = true;
+                    }
+                }
+                return JSON.stringify(flattened);
+            }).join('\n') + '\n';
+            
+            await new Promise((resolve, reject) => {
+                spool.write(lines, error => error || spoolError ? reject(error || spoolError) : resolve());
+            });
+            recordCount += recordsArray.length;
+        }
+        
+        if (spool) {
+            spool.end();
+            await finished(spool);
+        }
+        
+        if (recordCount === 0) {
+            console.log(`No data to export to ${filePath}`);
+            return { recordCount, columns: [], hadTruncation, schemaDriftDetected: false };
+        }
+        
+        // Pass 2: write the CSV from the spool with the complete header
+        const fields = toParserFields(getCSVColumns(Array.from(headerSet).sort(), columnProfile)); // Sort for consistency
+        console.log(`  → Writing CSV with ${fields.length} columns...`);
+        const spoolReader = readline.createInterface({
+            input: fs.createReadStream(spoolPath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+        
+        output = openOutputFile(filePath, { gzip });
+        let rows = [];
+        let written = 0;
+        const writeRows = async () => {
+            if (written === 0) {
+                await output.write(new Parser({ fields }).parse(rows));
+            } else {
+                await output.write('\n' + new Parser({ header: false, fields }).parse(rows));
+            }
+            written += rows.length;
+            rows = [];
+        };
+        
+        for await (const line of spoolReader) {
+            if (!line) continue;
+            rows.push(JSON.parse(line));
+            if (rows.length >= WRITE_BATCH_SIZE) {
+                await writeRows();
+            }
+        }
+        if (rows.length > 0) {
+            await writeRows();
+        }
+        await output.close();
+        
+        if (onProgress) {
+            onProgress(recordCount);
+        }
+        
+        console.log(`✓ Exported ${recordCount} records to ${filePath}`);
+        if (hadTruncation) {
+            console.log(`  ⚠ Note: Some large array fields were truncated (embeddings, tokens, etc.)`);
+        }
+        
+        return { recordCount, columns: fields.map(field => field.label), hadTruncation, schemaDriftDetected: false };
     } catch (error) {
+        if (spool) {
+            spool.destroy();
+        }
+        if (output) {
+            output.destroy();
+        }
         console.error(`Error streaming CSV to ${filePath}:`, error.message);
         throw error;
+    } finally {
+        fs.rmSync(spoolPath, { force: true });
     }
 }
 
+/**
+ * Choose the CSV columns for a set of discovered flattened keys
+ * @param {string[]} keys - Flattened column names, sorted
+ * @param {import('./column-profiles.js').ColumnProfile|null} columnProfile - Saved column profile, if any
+ * @returns {Array<{ path: string, header: string }>} Columns in output order
+ */
+function getCSVColumns(keys, columnProfile) {
+    return columnProfile
+        ? resolveProfileColumns(columnProfile, keys)
+        : keys.map(key => ({ path: key, header: key }));
+}
+
+/**
+ * Build json2csv field definitions for a set of columns
+ * Flattened keys contain dots, so values are looked up by key rather than as nested paths.
+ * @param {Array<{ path: string, header: string }>} columns - Columns in output order
+ * @returns {Array<Object>} json2csv fields
+ */
+function toParserFields(columns) {
+    return columns.map(({ path: columnPath, header }) => ({
+        label: header,
+        value: row => row[columnPath],
+    }));
+}
+
+/**
+ * Read the header row of an existing CSV file written by streamCSVToFile
+ * Only the first line is read, so this is cheap even for multi-gigabyte files.
+ * @param {string} filePath - CSV file path
+ * @returns {string[]} Column names in file order
+ */
+function readCSVHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const chunk = Buffer.alloc(64 * 1024);
+        let line = '';
+        let position = 0;
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position)) > 0) {
+            line += chunk.toString('utf8', 0, bytesRead);
+            position += bytesRead;
+            if (line.includes('\n')) break;
+        }
+        line = line.split('\n')[0];
+        
+        // Split on commas outside quotes; json2csv escapes quotes inside a field by doubling them
+        const fields = [];
+        let current = '';
+        let inQuotes = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        fields.push(current);
+        return fields;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Stream records to a JSON Lines file, one event per line, exactly as returned by the API
+ * Unlike the CSV writer, nothing is flattened, stringified, truncated or dropped,
+ * and each batch is written as it arrives so memory use stays flat.
+ * Each batch is flushed before progress is reported, so the file size is accurate
+ * whenever onProgress fires (used by export checkpoints of uncompressed files).
+ * 
+ * @param {Array|AsyncIterator} records - Records to export (array or async iterator)
+ * @param {string} filePath - Output file path
+ * @param {Function} [onProgress] - Optional callback for progress updates
+ * @param {Object} [options] - Optional writer settings
+ * @param {boolean} [options.append] - Append to an existing file instead of creating it
+ * @param {boolean} [options.gzip] - Write a gzip-compressed file
+ * @returns {Object} Object with recordCount, columns, hadTruncation, and schemaDriftDetected flags
+ */
+async function streamJSONLToFile(records, filePath, onProgress, options = {}) {
+    let recordCount = 0;
+    let output = null;
+    const keys = new Set();
+    
+    try {
+        // Check if records is an async iterator or array
+        const isAsyncIterable = records[Symbol.asyncIterator];
+        const recordsToProcess = isAsyncIterable ? records : [records];
+        
+        for await (const batch of recordsToProcess) {
+            // Handle both single records and batches
+            const recordsArray = Array.isArray(batch) ? batch : [batch];
+            
+            if (recordsArray.length === 0) continue;
+            
+            // Only create the file once there is data to write
+            if (!output) {
+                output = openOutputFile(filePath, { append: options.append, gzip: options.gzip });
+            }
+            
+            recordsArray.forEach(record => Object.keys(record).forEach(key => keys.add(key)));
+            const lines = recordsArray.map(record => JSON.stringify(record)).join('\n') + '\n';
+            
+            // Wait for each batch to be flushed so large exports never pile up in memory
+            await output.write(lines);
+            
+            recordCount += recordsArray.length;
+            
+            if (onProgress) {
+                onProgress(recordCount);
+            }
+        }
+        
+        if (output) {
+            await output.close();
+        }
+        
+        if (recordCount === 0) {
+            console.log(options.append ? `No new records to append to ${filePath}` : `No data to export to ${filePath}`);
+        } else {
+            console.log(`✓ Exported ${recordCount} records to ${filePath}`);
+        }
+        
+        // JSONL output is lossless, so there is never truncation or schema drift
+        return { recordCount, columns: Array.from(keys).sort(), hadTruncation: false, schemaDriftDetected: false };
+    } catch (error) {
+        if (output) {
+            output.destroy();
+        }
+        console.error(`Error streaming JSONL to ${filePath}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Available export file formats and the writer used for each
+ * Resumable writers accept { append: true } to continue an existing file; compressible
+ * writers accept { gzip: true } to write a .gz file (Parquet compresses its own columns).
+ * Database formats have no per-object writer: the whole project goes into one database
+ * (see sqlite-export.js).
+ */
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', write: streamCSVToFile, resumable: true, compressible: true },
+    jsonl: { extension: 'jsonl', write: streamJSONLToFile, resumable: true, compressible: true },
+    parquet: { extension: 'parquet', write: streamParquetToFile, resumable: false, compressible: false },
+    sqlite: { extension: 'sqlite', database: true, resumable: false, compressible: false },
+};
+
 /**
  * Convert data to CSV and save to file (legacy method for backward compatibility)
  */
@@ -661,107 +1157,519 @@ function flattenObject(obj, prefix = '', result = {}) {
 }
 
 /**
- * Export all experiments and datasets to CSV files with new organized structure
+ * @typedef {Object} ExportOptions
+ * @property {string} [only] - Restrict the export to 'experiments' or 'datasets'
+ * @property {string} [format] - Output format, one of the keys of EXPORT_FORMATS (default: 'csv')
+ * @property {boolean} [resume] - Continue from the project's export checkpoint instead of starting over
+ * @property {boolean} [incremental] - Only fetch and append events newer than each object's last export
+ * @property {boolean} [completeHeaders] - CSV only: scan all records for columns instead of the first 1000
+ * @property {import('./column-profiles.js').ColumnProfile} [columnProfile] - CSV only: saved profile choosing, ordering and renaming columns
+ * @property {number} [concurrency] - Objects exported at once (default: BRAINTRUST_EXPORT_CONCURRENCY or 3)
+ * @property {number} [requestsPerMinute] - Shared API request budget (default: BRAINTRUST_REQUESTS_PER_MINUTE or 20)
+ * @property {string[]} [objectIds] - Only export experiments/datasets with these IDs
+ * @property {string[]} [include] - Only export objects whose name or ID matches one of these wildcard patterns
+ * @property {string[]} [exclude] - Skip objects whose name or ID matches one of these wildcard patterns
+ * @property {import('./filters.js').RecordFilters} [filters] - Only export records matching these filters
+ * @property {string} [template] - Path template for the exported files (see output-layout.js)
+ * @property {boolean} [snapshot] - Write this export to a new timestamped folder
+ * @property {string} [folderName] - Name the export folder after this instead of the project name
+ * @property {boolean} [gzip] - CSV and JSON Lines only: write gzip-compressed .gz files
+ */
+
+/**
+ * @typedef {Object} ExportResult
+ * @property {string|null} projectDir - Export folder holding the files and manifest (null if nothing to export)
+ * @property {string|null} summaryPath - summary.csv with score aggregates per experiment (null if no experiments were exported)
+ * @property {string|null} manifestPath - manifest.json describing the exported files (null if nothing to export)
+ * @property {string|null} [databasePath] - SQLite database holding the whole project (sqlite format only)
+ * @property {Array<Object>} exported - Objects exported successfully ({ id, name, type, filePath, recordCount, newRecords })
+ * @property {Array<Object>} failed - Objects that failed to export ({ id, name, type, error, startedAt, finishedAt })
+ */
+
+/**
+ * Apply explicit ID selection and include/exclude patterns to a list of experiments or datasets
+ * @param {Array<Object>} objects - Experiments or datasets from the list endpoints
+ * @param {ExportOptions} options - Export options holding objectIds, include and exclude
+ * @returns {Array<Object>} Objects selected for export
+ */
+export function selectExportObjects(objects, { objectIds = null, include = [], exclude = [] } = {}) {
+    const matchesAny = (object, patterns) => patterns.some(pattern =>
+        matchesPattern(object.name, pattern) || matchesPattern(object.id, pattern));
+    
+    return objects.filter(object =>
+        (!objectIds || objectIds.includes(object.id)) &&
+        (include.length === 0 || matchesAny(object, include)) &&
+        !matchesAny(object, exclude));
+}
+
+/**
+ * Get the export checkpoint left behind by an interrupted export of a project, if any
+ * Timestamped (snapshot) layouts start a new folder every run, so they never have one.
+ * @param {string} outputDir - Output directory for exports
+ * @param {string} projectName - Project name used for the export folder
+ * @param {Object} [layout] - Output layout settings ({ template, snapshot, projectId })
+ * @returns {import('./checkpoint.js').ExportCheckpoint|null} Checkpoint, or null if there is nothing to resume
+ */
+export function getResumableExport(outputDir, projectName, layout = {}) {
+    const exportDir = getPreviousExportDir(outputDir, projectName, layout);
+    return exportDir ? loadCheckpoint(exportDir) : null;
+}
+
+/**
+ * Get the export folder an earlier run of the same layout would have used
+ * @param {string} outputDir - Output directory for exports
+ * @param {string} projectName - Project name used for the export folder
+ * @param {Object} layout - Output layout settings ({ template, snapshot, projectId })
+ * @returns {string|null} Export folder, or null if it depends on a project ID that isn't known
+ */
+function getPreviousExportDir(outputDir, projectName, layout) {
+    if (!layout.projectId && layout.template?.includes('{project_id}')) {
+        return null;
+    }
+    return createOutputLayout(outputDir, { ...layout, projectName }).exportDir;
+}
+
+/**
+ * Export a single experiment or dataset, recording progress in the export checkpoint
+ * and the highest transaction ID written in the export state
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} object - Experiment or dataset from the list endpoint
+ * @param {string} type - 'experiment' or 'dataset'
+ * @param {string} filePath - Output file path
+ * @param {Object} writer - Entry from EXPORT_FORMATS
+ * @param {Object} exportContext - { projectDir, checkpoint, exportState, previousManifest, format, gzip, incremental, completeHeaders, columnProfile, filters } shared across the export
+ * @returns {Promise<Object>} { recordCount, newRecords, summary, columns, hadTruncation, schemaDriftDetected }: total records in the file,
+ *   records added by this run, the experiment's score summary (null for datasets, or when earlier runs wrote part of the file
+ *   without keeping summary state),
+ *   and the file's columns and writer warnings (carried over from the previous manifest when appending)
+ */
+async function exportObject(apiKey, object, type, filePath, writer, exportContext) {
+    const { projectDir, checkpoint, exportState, previousManifest, format, gzip, incremental, completeHeaders, columnProfile, filters } = exportContext;
+    const previous = checkpoint.objects[object.id];
+    const lastExport = exportState.objects[object.id];
+    // A compressed file can't be cut back to a checkpoint or appended to, so it is always written in full
+    const resumable = writer.resumable && !gzip;
+    
+    // Continue an unfinished file from its last cursor when the writer can append
+    const canResume = resumable && previous && previous.status === 'in_progress' &&
+        previous.cursor && previous.filePath === filePath && fs.existsSync(filePath);
+    
+    // Append only newer events to the file from the last export when running incrementally
+    const canAppendDelta = !canResume && incremental && resumable && lastExport &&
+        lastExport.watermark && lastExport.format === format && lastExport.filePath === filePath && fs.existsSync(filePath);
+    
+    const state = {
+        type,
+        name: object.name,
+        filePath,
+        status: 'in_progress',
+        startedAt: new Date().toISOString(),
+        cursor: canResume ? previous.cursor : null,
+        cursorSource: canResume ? previous.cursorSource : null,
+        sinceXactId: canResume ? previous.sinceXactId : (canAppendDelta ? lastExport.watermark : null),
+        maxXactId: canResume ? previous.maxXactId : null,
+        rowsWritten: canResume ? previous.rowsWritten : (canAppendDelta ? lastExport.rowsWritten : 0),
+        bytesWritten: canResume ? previous.bytesWritten : (canAppendDelta ? fs.statSync(filePath).size : 0),
+    };
+    checkpoint.objects[object.id] = state;
+    
+    if (canResume) {
+        // Drop anything written after the last checkpoint so no rows are duplicated
+        fs.truncateSync(filePath, state.bytesWritten);
+        console.log(`  ↻ Resuming after ${state.rowsWritten} records already written`);
+    } else if (canAppendDelta) {
+        console.log(`  Δ Fetching events added or changed since the last export (${state.rowsWritten} records on disk)`);
+    } else if (incremental) {
+        console.log(`  No previous ${format} export found, exporting in full`);
+    }
+    
+    const baseRows = state.rowsWritten;
+    let nextCursor = state.cursor;
+    let nextCursorSource = state.cursorSource;
+    let maxXactId = state.maxXactId;
+    
+    const fetchOptions = {
+        cursor: state.cursor,
+        cursorSource: state.cursorSource,
+        sinceXactId: state.sinceXactId,
+        filters,
+        label: `${type} ${object.name || object.id}`,
+        onCursor: (cursor, source) => {
+            nextCursor = cursor;
+            nextCursorSource = source;
+        },
+    };
+    const pages = type === 'experiment'
+        ? fetchExperimentRecordsWithPagination(apiKey, object.id, undefined, fetchOptions)
+        : fetchDatasetRecordsWithPagination(apiKey, object.id, undefined, fetchOptions);
+    
+    // Score summaries need every event: files written in full by this run are summarized as they
+    // stream, others from the summary state that earlier runs kept and this run adds to
+    const writesInFull = !canResume && !canAppendDelta;
+    const summary = type === 'experiment' && writesInFull ? createExperimentSummary(object) : null;
+    const summaryStatePath = type === 'experiment' ? getSummaryStatePath(projectDir, object.id) : null;
+    if (summaryStatePath && writesInFull) {
+        resetSummaryState(summaryStatePath);
+    }
+    // Files from before summary state was kept have none to add to (see summarizeExperiment)
+    const keepsSummaryState = Boolean(summaryStatePath) && fs.existsSync(summaryStatePath);
+    
+    // Track the highest transaction ID on its way to the writer for the next incremental run
+    const recordIterator = (async function* () {
+        for await (const batch of pages) {
+            summary?.add(batch);
+            if (keepsSummaryState) {
+                appendSummaryState(summaryStatePath, batch);
+            }
+            for (const record of batch) {
+                if (record._xact_id && (!maxXactId || compareXactIds(record._xact_id, maxXactId) > 0)) {
+                    maxXactId = record._xact_id;
+                }
+            }
+            yield batch;
+        }
+    })();
+    
+    // Every fetched page has been written by the time the writer reports progress
+    const onWritten = (recordCount) => {
+        if (!resumable) return;
+        state.cursor = nextCursor;
+        state.cursorSource = nextCursorSource;
+        state.maxXactId = maxXactId;
+        state.rowsWritten = baseRows + recordCount;
+        state.bytesWritten = fs.statSync(filePath).size;
+        saveCheckpoint(projectDir, checkpoint);
+    };
+    
+    const { recordCount, columns, hadTruncation, schemaDriftDetected } = await writer.write(recordIterator, filePath, onWritten, {
+        append: canResume || canAppendDelta,
+        gzip,
+        completeHeaders,
+        columnProfile
+    });
+    
+    // An appended file also holds what earlier runs wrote, so keep their columns and warnings
+    const earlier = (canResume || canAppendDelta) ? previousManifest.get(object.id) : null;
+    
+    // A resumed run that skips this object takes its manifest entry from here, since an
+    // interrupted run never got to write a manifest
+    state.status = 'complete';
+    state.cursor = null;
+    state.maxXactId = maxXactId;
+    state.rowsWritten = baseRows + recordCount;
+    state.bytesWritten = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    state.finishedAt = new Date().toISOString();
+    state.columns = earlier ? Array.from(new Set([...earlier.columns, ...columns])) : columns;
+    state.hadTruncation = hadTruncation || Boolean(earlier?.hadTruncation);
+    state.schemaDriftDetected = schemaDriftDetected || Boolean(earlier?.schemaDriftDetected);
+    saveCheckpoint(projectDir, checkpoint);
+    
+    // Remember the watermark so the next incremental run only fetches newer events
+    let watermark = maxXactId || state.sinceXactId;
+    if (maxXactId && state.sinceXactId && compareXactIds(state.sinceXactId, maxXactId) > 0) {
+        watermark = state.sinceXactId;
+    }
+    exportState.objects[object.id] = {
+        type,
+        name: object.name,
+        filePath,
+        format,
+        watermark: watermark || null,
+        rowsWritten: state.rowsWritten,
+        lastExportedAt: new Date().toISOString(),
+    };
+    saveExportState(projectDir, exportState);
+    
+    return {
+        recordCount: state.rowsWritten,
+        newRecords: state.rowsWritten - (canAppendDelta ? lastExport.rowsWritten : 0),
+        summary: summary || (keepsSummaryState ? await loadExperimentSummary(object, summaryStatePath) : null),
+        columns: state.columns,
+        hadTruncation: state.hadTruncation,
+        schemaDriftDetected: state.schemaDriftDetected,
+    };
+}
+
+/**
+ * Summarize an experiment in a separate pass over its events
+ * Only needed once for files an earlier version wrote without summary state: the pass also
+ * writes the experiment's summary state, so later resumed or incremental runs build on it.
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} experiment - Experiment from fetchExperiments
+ * @param {import('./filters.js').RecordFilters|null} filters - Record filters of the export, so the summary matches the file
+ * @param {string} statePath - Summary state file to write (see getSummaryStatePath)
+ * @returns {Promise<Object>} Summary accumulator (see createExperimentSummary)
+ */
+async function summarizeExperiment(apiKey, experiment, filters, statePath) {
+    const summary = createExperimentSummary(experiment);
+    const label = `summary of ${experiment.name || experiment.id}`;
+    // Only a complete pass replaces the summary state
+    const tempPath = `${statePath}.tmp`;
+    resetSummaryState(tempPath);
+    try {
+        for await (const batch of fetchExperimentRecordsWithPagination(apiKey, experiment.id, undefined, { filters, label })) {
+            summary.add(batch);
+            appendSummaryState(tempPath, batch);
+        }
+        fs.renameSync(tempPath, statePath);
+        return summary;
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+}
+
+/**
+ * Check whether a project has a previous export that an incremental run can build on
+ * @param {string} outputDir - Output directory for exports
+ * @param {string} projectName - Project name used for the export folder
+ * @param {string} format - Export format of the planned run
+ * @param {Object} [layout] - Output layout settings ({ template, snapshot, projectId })
+ * @returns {boolean} True if at least one object was previously exported in this format
+ */
+export function canExportIncrementally(outputDir, projectName, format, layout = {}) {
+    if (!EXPORT_FORMATS[format]?.resumable) {
+        return false;
+    }
+    const exportDir = getPreviousExportDir(outputDir, projectName, layout);
+    if (!exportDir) {
+        return false;
+    }
+    const exportState = loadExportState(exportDir);
+    return Object.values(exportState.objects).some(object => object.format === format && object.watermark);
+}
+
+/**
+ * Export all experiments and datasets to files (CSV by default) with new organized structure
+ * Progress is checkpointed per object so an interrupted export can be resumed.
+ * The sqlite format writes the whole project into one database instead (see sqlite-export.js).
  * @param {string} apiKey - Braintrust API key
  * @param {string} projectNameOrId - Project name or ID
  * @param {string} outputDir - Output directory for exports
  * @param {boolean} isId - If true, treat projectNameOrId as an ID (skip lookup)
  * @param {string} projectName - Optional project name for folder creation (used when isId is true)
+ * @param {ExportOptions} [options] - Optional export settings
+ * @returns {Promise<ExportResult>} Summary of exported and failed objects
  */
-export async function exportProjectData(apiKey, projectNameOrId, outputDir = './exports', isId = false, projectName = null) {
+export async function exportProjectData(apiKey, projectNameOrId, outputDir = './exports', isId = false, projectName = null, options = {}) {
+    const { only = null, format = 'csv', resume = false, incremental = false, completeHeaders = false, columnProfile: requestedColumnProfile = null, filters = null, template = DEFAULT_OUTPUT_TEMPLATE, snapshot = false, gzip = false } = options;
+    const result = { projectDir: null, summaryPath: null, manifestPath: null, exported: [], failed: [] };
+    
+    const writer = EXPORT_FORMATS[format];
+    if (!writer) {
+        throw new Error(`Unsupported export format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    if (gzip && !writer.compressible) {
+        throw new Error(`The ${format} format can't be gzip-compressed (only ${Object.keys(EXPORT_FORMATS).filter(name => EXPORT_FORMATS[name].compressible).join(' and ')} can)`);
+    }
+    const extension = gzip ? `${writer.extension}.gz` : writer.extension;
+    
+    // Explicit options win over the environment (.env), which wins over the defaults
+    const concurrency = options.concurrency ||
+        parsePositiveInteger(process.env.BRAINTRUST_EXPORT_CONCURRENCY, 'BRAINTRUST_EXPORT_CONCURRENCY') || DEFAULT_CONCURRENCY;
+    const requestsPerMinute = options.requestsPerMinute ||
+        parsePositiveInteger(process.env.BRAINTRUST_REQUESTS_PER_MINUTE, 'BRAINTRUST_REQUESTS_PER_MINUTE') || DEFAULT_REQUESTS_PER_MINUTE;
+    setRequestsPerMinute(requestsPerMinute);
+
     try {
+        const startedAt = new Date().toISOString();
+        
         // Use provided project name for display and folder creation, or fall back to projectNameOrId
         const displayName = projectName || projectNameOrId;
         console.log(`\nPreparing export for project: ${displayName}...`);
         
         // Fetch experiments and datasets with isId flag (validate project exists first)
-        const experiments = await fetchExperiments(apiKey, projectNameOrId, isId);
-        const datasets = await fetchDatasets(apiKey, projectNameOrId, isId);
+        const allExperiments = only === 'datasets' ? [] : await fetchExperiments(apiKey, projectNameOrId, isId);
+        const allDatasets = only === 'experiments' ? [] : await fetchDatasets(apiKey, projectNameOrId, isId);
+        
+        // Narrow down to the chosen objects and include/exclude patterns
+        const experiments = selectExportObjects(allExperiments, options);
+        const datasets = selectExportObjects(allDatasets, options);
 
-        console.log(`\nFound ${experiments.length} experiment(s) and ${datasets.length} dataset(s)\n`);
+        console.log(`\nFound ${allExperiments.length} experiment(s) and ${allDatasets.length} dataset(s)`);
+        if (experiments.length !== allExperiments.length || datasets.length !== allDatasets.length) {
+            console.log(`Selected ${experiments.length} experiment(s) and ${datasets.length} dataset(s) for export`);
+        }
+        console.log('');
 
         // Only create directories if we have data to export
         if (experiments.length === 0 && datasets.length === 0) {
             console.log('No data to export. Skipping directory creation.');
-            return;
+            return result;
         }
 
-        // Create organized directory structure using project name (not ID)
-        const { projectDir, datasetsDir, experimentsDir } = createProjectDirectories(outputDir, displayName);
-        console.log(`Created directory structure: ${projectDir}`);
-
-        // Export each experiment using streaming
-        let experimentCount = 0;
-        for (const experiment of experiments) {
-            try {
-                experimentCount++;
-                const safeName = sanitizeFilename(experiment.name || experiment.id, experiment.id);
-                const filePath = path.join(experimentsDir, `${safeName}.csv`);
-                
-                console.log(`[${experimentCount}/${experiments.length}] Exporting experiment: ${experiment.name || experiment.id}...`);
-                
-                // Use streaming for efficient memory usage
-                // Note: Progress logging is handled within fetchExperimentRecordsWithPagination
-                const recordIterator = fetchExperimentRecordsWithPagination(apiKey, experiment.id);
-                
-                await streamCSVToFile(recordIterator, filePath);
-            } catch (error) {
-                console.error(`✗ Failed to export experiment ${experiment.name || experiment.id}:`, error.message);
-            }
+        // Lay out the files by the output template, using the project name (not ID) for {project}
+        const projectId = isId ? projectNameOrId : (allExperiments[0]?.project_id || allDatasets[0]?.project_id || null);
+        const layout = createOutputLayout(outputDir, { template, snapshot, projectName: displayName, folderName: options.folderName, projectId, startedAt: new Date(startedAt) });
+        const projectDir = layout.exportDir;
+        fs.mkdirSync(projectDir, { recursive: true });
+        result.projectDir = projectDir;
+        console.log(`Export folder: ${projectDir}`);
+        
+        // A database holds the whole project instead of a file per object; loaded on demand for its native module
+        if (writer.database) {
+            const { exportProjectToSQLite } = await import('./sqlite-export.js');
+            return await exportProjectToSQLite(apiKey, { projectDir, projectId, projectName: displayName, experiments, datasets, startedAt, concurrency, options: { only, filters, template, snapshot } });
         }
-
-        // Export each dataset using streaming
-        let datasetCount = 0;
-        for (const dataset of datasets) {
-            try {
-                datasetCount++;
-                const safeName = sanitizeFilename(dataset.name || dataset.id, dataset.id);
-                const filePath = path.join(datasetsDir, `${safeName}.csv`);
-                
-                console.log(`[${datasetCount}/${datasets.length}] Exporting dataset: ${dataset.name || dataset.id}...`);
-                
-                // Use streaming for efficient memory usage
-                // Note: Progress logging is handled within fetchDatasetRecordsWithPagination
-                const recordIterator = fetchDatasetRecordsWithPagination(apiKey, dataset.id);
-                
-                await streamCSVToFile(recordIterator, filePath);
-            } catch (error) {
-                console.error(`✗ Failed to export dataset ${dataset.name || dataset.id}:`, error.message);
+        
+        // Pick up where a previous run left off, or start a fresh checkpoint
+        let checkpoint = resume ? loadCheckpoint(projectDir) : null;
+        if (checkpoint && (checkpoint.format !== format || Boolean(checkpoint.gzip) !== gzip)) {
+            console.log(`Previous export used ${checkpoint.format}${checkpoint.gzip ? ' (gzip)' : ''} format; starting over in ${format}${gzip ? ' (gzip)' : ''} format.`);
+            checkpoint = null;
+        }
+        if (!checkpoint) {
+            checkpoint = { format, gzip, columnProfile: format === 'csv' ? requestedColumnProfile : null, startedAt: new Date().toISOString(), objects: {} };
+        }
+        // A resumed CSV export keeps the column profile its files were started with, so no file switches columns partway
+        const columnProfile = checkpoint.columnProfile !== undefined ? checkpoint.columnProfile : requestedColumnProfile;
+        if (format === 'csv' && JSON.stringify(columnProfile) !== JSON.stringify(requestedColumnProfile)) {
+            console.log(`Resuming with the previous export's column profile (${columnProfile?.name || 'none'}) instead of ${requestedColumnProfile?.name || 'none'}; start a new export to change it.`);
+        }
+        saveCheckpoint(projectDir, checkpoint);
+        // The previous manifest describes files that this run resumes, appends to or skips
+        const previousManifest = new Map((loadManifest(projectDir)?.objects || []).map(entry => [entry.id, entry]));
+        const exportContext = { projectDir, checkpoint, exportState: loadExportState(projectDir), previousManifest, format, gzip, incremental, completeHeaders, columnProfile, filters };
+        
+        if (hasRecordFilters(filters)) {
+            console.log(`Filtering records: ${describeRecordFilters(filters)}`);
+        }
+        if (columnProfile && format === 'csv') {
+            console.log(`Using column profile: ${columnProfile.name}`);
+        }
+        
+        const summaries = new Map();
+        const manifestObjects = new Map();
+        const exportTask = async ({ object, type, position, total }) => {
+            const filePath = layout.getFilePath(object, type, extension);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const previous = checkpoint.objects[object.id];
+            
+            // Skip objects a previous run already finished
+            if (previous && previous.status === 'complete' && previous.filePath === filePath && fs.existsSync(filePath)) {
+                console.log(`[${position}/${total}] Skipping ${type}: ${object.name || object.id} (already exported)`);
+                result.exported.push({ id: object.id, name: object.name, type, filePath, recordCount: previous.rowsWritten, newRecords: 0 });
+                // Checkpoints from older versions don't record columns and warnings; fall back to the manifest
+                const earlier = previous.columns ? previous : previousManifest.get(object.id);
+                manifestObjects.set(object.id, {
+                    id: object.id,
+                    name: object.name,
+                    type,
+                    ...(await describeExportFile(projectDir, filePath)),
+                    rowCount: previous.rowsWritten,
+                    newRows: 0,
+                    columns: earlier?.columns || [],
+                    startedAt: earlier?.startedAt || null,
+                    finishedAt: earlier?.finishedAt || null,
+                    hadTruncation: Boolean(earlier?.hadTruncation),
+                    schemaDriftDetected: Boolean(earlier?.schemaDriftDetected),
+                });
+            } else {
+                const objectStartedAt = new Date().toISOString();
+                try {
+                    console.log(`[${position}/${total}] Exporting ${type}: ${object.name || object.id}...`);
+                    
+                    // Use streaming for efficient memory usage
+                    // Note: Progress logging is handled within the pagination generators
+                    const { recordCount, newRecords, summary, columns, hadTruncation, schemaDriftDetected } = await exportObject(apiKey, object, type, filePath, writer, exportContext);
+                    result.exported.push({ id: object.id, name: object.name, type, filePath, recordCount, newRecords });
+                    if (summary) {
+                        summaries.set(object.id, summary);
+                    }
+                    manifestObjects.set(object.id, {
+                        id: object.id,
+                        name: object.name,
+                        type,
+                        ...(await describeExportFile(projectDir, filePath)),
+                        rowCount: recordCount,
+                        newRows: newRecords,
+                        columns,
+                        startedAt: objectStartedAt,
+                        finishedAt: new Date().toISOString(),
+                        hadTruncation,
+                        schemaDriftDetected,
+                    });
+                } catch (error) {
+                    console.error(`✗ Failed to export ${type} ${object.name || object.id}:`, error.message);
+                    result.failed.push({ id: object.id, name: object.name, type, error: error.message, startedAt: objectStartedAt, finishedAt: new Date().toISOString() });
+                    return;
+                }
+            }
+            
+            // Skipped experiments are summarized from their summary state; those exported before
+            // summary state was kept need a second pass
+            if (type === 'experiment' && !summaries.has(object.id)) {
+                try {
+                    const statePath = getSummaryStatePath(projectDir, object.id);
+                    summaries.set(object.id, await loadExperimentSummary(object, statePath) ||
+                        await summarizeExperiment(apiKey, object, filters, statePath));
+                } catch (error) {
+                    console.error(`⚠ Could not summarize experiment ${object.name || object.id}:`, error.message);
+                }
             }
+        };
+        
+        // Experiments are queued first, then datasets; up to `concurrency` objects stream at once
+        // while every API call shares the same request budget
+        const tasks = [
+            ...experiments.map((object, index) => ({ object, type: 'experiment', position: index + 1, total: experiments.length })),
+            ...datasets.map((object, index) => ({ object, type: 'dataset', position: index + 1, total: datasets.length })),
+        ];
+        if (concurrency > 1 && tasks.length > 1) {
+            console.log(`Exporting up to ${Math.min(concurrency, tasks.length)} objects at once (${requestsPerMinute} requests/minute)`);
+        }
+        await runWithConcurrency(tasks, concurrency, exportTask);
+        
+        // One row per experiment, in the order they were listed
+        const experimentSummaries = experiments.map(object => summaries.get(object.id)).filter(Boolean);
+        if (experimentSummaries.length > 0) {
+            result.summaryPath = path.join(projectDir, SUMMARY_FILENAME);
+            writeSummaryCSV(experimentSummaries, result.summaryPath);
+        }
+        
+        // Record what this export produced, in the order objects were listed
+        const manifest = {
+            version: MANIFEST_VERSION,
+            project: {
+                id: projectId,
+                name: displayName,
+            },
+            format,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            options: {
+                template,
+                snapshot,
+                gzip,
+                only,
+                resume,
+                incremental,
+                completeHeaders,
+                columnProfile: columnProfile?.name || null,
+                filters: hasRecordFilters(filters) ? filters : null,
+            },
+            objects: tasks.map(task => manifestObjects.get(task.object.id)).filter(Boolean),
+            failed: result.failed,
+            summary: result.summaryPath ? { file: SUMMARY_FILENAME, sha256: await hashFile(result.summaryPath) } : null,
+        };
+        result.manifestPath = saveManifest(projectDir, manifest);
+        
+        // Keep the checkpoint around only if there is something left to resume
+        if (result.failed.length === 0) {
+            clearCheckpoint(projectDir);
+        } else {
+            console.log(`\n⚠ ${result.failed.length} object(s) failed. Re-run the export and choose to resume to retry them.`);
         }
 
         console.log(`\n✓ Export complete!`);
-        console.log(`  Project folder: ${projectDir}`);
-        console.log(`  Experiments: ${experimentsDir}`);
-        console.log(`  Datasets: ${datasetsDir}`);
+        console.log(`  Export folder: ${projectDir}`);
+        console.log(`  Files: ${template}${snapshot ? ' (snapshot)' : ''}`);
+        if (result.summaryPath) {
+            console.log(`  Summary: ${result.summaryPath}`);
+        }
+        console.log(`  Manifest: ${result.manifestPath}`);
+        return result;
     } catch (error) {
         console.error('Error exporting project data:', error.message);
         throw error;
     }
 }
-
-/**
- * Sanitize filename to remove invalid characters and ensure uniqueness
- * @param {string} name - The name to sanitize
- * @param {string} [id] - Optional ID to append for uniqueness
- * @returns {string} Sanitized filename
- */
-function sanitizeFilename(name, id = null) {
-    // Replace non-alphanumeric characters with underscores
-    let sanitized = name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    
-    // Collapse consecutive underscores and trim leading/trailing underscores
-    sanitized = sanitized.replace(/_+/g, '_').replace(/^_+|_+$/g, '');
-    
-    // If sanitized name is empty or only underscores, use fallback
-    if (!sanitized || sanitized === '' || /^_*$/.test(sanitized)) {
-        sanitized = id ? id.substring(0, 8) : 'unnamed';
-    }
-    
-    // Append first 8 characters of ID to ensure uniqueness
-    if (id) {
-        const idSuffix = id.substring(0, 8);
-        return `${sanitized}_${idSuffix}`;
-    }
-    return sanitized;
-}
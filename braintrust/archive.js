@@ -0,0 +1,121 @@
+/**
+ * Package a finished export folder into a single .zip or .tar.gz archive
+ * The archive holds the exported files listed in manifest.json together with the manifest
+ * itself and summary.csv, below a folder named after the export folder. Checkpoint and state
+ * files are left out. A "<archive>.sha256" file next to it records the archive's checksum
+ * (sha256sum format) so uploads to shared storage can be checked.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import archiver from 'archiver';
+import { loadManifest, hashFile, getManifestPath, MANIFEST_FILENAME } from './manifest.js';
+
+export const ARCHIVE_FORMATS = {
+    'zip': { extension: 'zip', archiver: 'zip', options: {} },
+    'tar.gz': { extension: 'tar.gz', archiver: 'tar', options: { gzip: true } },
+};
+
+// Files that are already compressed are stored as they are in zip archives
+const COMPRESSED_FILE_PATTERN = /\.(gz|parquet)$/i;
+
+/**
+ * @typedef {Object} ExportArchive
+ * @property {string} archivePath - Written archive
+ * @property {string} checksumPath - "<archive>.sha256" file
+ * @property {string} format - 'zip' or 'tar.gz'
+ * @property {number} files - Files in the archive (including manifest.json and summary.csv)
+ * @property {number} bytes - Archive size
+ * @property {string} sha256 - SHA-256 of the archive (hex)
+ */
+
+/**
+ * Get the default archive path for an export folder (next to it, e.g. exports/my_project.zip)
+ * @param {string} projectDir - Export folder
+ * @param {string} format - 'zip' or 'tar.gz'
+ * @returns {string} Archive path
+ */
+export function getDefaultArchivePath(projectDir, format) {
+    return `${path.resolve(projectDir)}.${ARCHIVE_FORMATS[format].extension}`;
+}
+
+/**
+ * Package an export folder into an archive
+ * The archive is written to a temporary file and renamed once complete, so an interrupted
+ * run never leaves a truncated archive behind.
+ * @param {string} projectDir - Export folder (holding manifest.json)
+ * @param {Object} [options] - Archive settings
+ * @param {string} [options.format] - 'zip' (default) or 'tar.gz'
+ * @param {string} [options.archivePath] - Where to write the archive (default: next to the export folder)
+ * @returns {Promise<ExportArchive>} Written archive
+ * @throws {Error} If the folder has no manifest, a listed file is missing or the format is unknown
+ */
+export async function archiveExport(projectDir, options = {}) {
+    const format = options.format || 'zip';
+    const archiveFormat = ARCHIVE_FORMATS[format];
+    if (!archiveFormat) {
+        throw new Error(`Unsupported archive format "${format}" (expected one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
+    }
+    const manifest = loadManifest(projectDir);
+    if (!manifest) {
+        throw new Error(`No manifest found at ${getManifestPath(projectDir)} (only finished exports can be archived)`);
+    }
+
+    // Data files first, then the metadata describing them (the objects of a SQLite export share one file)
+    const files = Array.from(new Set([
+        ...manifest.objects.map(entry => entry.file).filter(Boolean),
+        manifest.summary?.file,
+        MANIFEST_FILENAME,
+    ].filter(Boolean)));
+    const missing = files.filter(file => !fs.existsSync(path.join(projectDir, file)));
+    if (missing.length > 0) {
+        throw new Error(`${missing.length} file(s) listed in the manifest are missing from ${projectDir}: ${missing.join(', ')}`);
+    }
+
+    const archivePath = options.archivePath || getDefaultArchivePath(projectDir, format);
+    const tempPath = `${archivePath}.tmp`;
+    const root = path.basename(path.resolve(projectDir));
+    let output = null;
+
+    try {
+        console.log(`Packaging ${files.length} file(s) from ${projectDir} into ${archivePath}...`);
+        if (manifest.failed?.length > 0) {
+            console.log(`  ⚠ ${manifest.failed.length} object(s) failed during the export and are not in the archive`);
+        }
+        fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+
+        output = fs.createWriteStream(tempPath);
+        const archive = archiver(archiveFormat.archiver, archiveFormat.options);
+        archive.on('warning', error => console.warn(`  ⚠ ${error.message}`));
+        const written = finished(output);
+        // Surface archiver errors (e.g. an unreadable file) through the output stream
+        archive.on('error', error => output.destroy(error));
+        archive.pipe(output);
+
+        for (const file of files) {
+            archive.file(path.join(projectDir, file), {
+                name: `${root}/${file}`,
+                store: format === 'zip' && COMPRESSED_FILE_PATTERN.test(file),
+            });
+        }
+        await Promise.all([archive.finalize(), written]);
+        fs.renameSync(tempPath, archivePath);
+
+        const sha256 = await hashFile(archivePath);
+        const checksumPath = `${archivePath}.sha256`;
+        fs.writeFileSync(checksumPath, `${sha256}  ${path.basename(archivePath)}\n`, 'utf8');
+
+        const bytes = fs.statSync(archivePath).size;
+        console.log(`✓ Archived ${files.length} file(s) to ${archivePath} (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+        console.log(`  SHA-256: ${sha256}`);
+        return { archivePath, checksumPath, format, files: files.length, bytes, sha256 };
+    } catch (error) {
+        if (output) {
+            output.destroy();
+        }
+        fs.rmSync(tempPath, { force: true });
+        console.error(`Error archiving ${projectDir}:`, error.message);
+        throw error;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Export checkpoints for resuming interrupted exports
+ * Records the pagination cursor and rows written for each object in a project export,
+ * so a re-run can continue unfinished files and skip objects already completed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CHECKPOINT_FILENAME = '.export-checkpoint.json';
+
+/**
+ * @typedef {Object} ObjectCheckpoint
+ * @property {string} type - 'experiment' or 'dataset'
+ * @property {string} name - Object name (for display)
+ * @property {string} filePath - File the object is being written to
+ * @property {string} status - 'in_progress' or 'complete'
+ * @property {string|null} cursor - Cursor for the next page to fetch (null once all pages are written)
+ * @property {number} rowsWritten - Records already written to filePath
+ * @property {number} bytesWritten - Size of filePath when the checkpoint was recorded
+ * @property {string} startedAt - ISO timestamp this run started writing the object
+ * @property {string} [finishedAt] - ISO timestamp the object was completed
+ * @property {string[]} [columns] - Columns of the completed file
+ * @property {boolean} [hadTruncation] - Whether values were truncated in the completed file
+ * @property {boolean} [schemaDriftDetected] - Whether fields appeared after the CSV header was written
+ */
+
+/**
+ * @typedef {Object} ExportCheckpoint
+ * @property {string} format - Export format the files are being written in
+ * @property {boolean} [gzip] - Whether the files are gzip-compressed
+ * @property {import('./column-profiles.js').ColumnProfile|null} [columnProfile] - CSV column profile the files are written with
+ * @property {string} startedAt - ISO timestamp of the original export run
+ * @property {string} updatedAt - ISO timestamp of the last checkpoint write
+ * @property {Object<string, ObjectCheckpoint>} objects - Per-object progress keyed by object ID
+ */
+
+/**
+ * Get the checkpoint file path for a project export folder
+ * @param {string} projectDir - Project export folder
+ * @returns {string} Path to the checkpoint file
+ */
+export function getCheckpointPath(projectDir) {
+    return path.join(projectDir, CHECKPOINT_FILENAME);
+}
+
+/**
+ * Load the checkpoint for a project export folder
+ * @param {string} projectDir - Project export folder
+ * @returns {ExportCheckpoint|null} Checkpoint, or null if none exists or it can't be read
+ */
+export function loadCheckpoint(projectDir) {
+    const checkpointPath = getCheckpointPath(projectDir);
+    if (!fs.existsSync(checkpointPath)) {
+        return null;
+    }
+
+    try {
+        const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+        return checkpoint && checkpoint.objects ? checkpoint : null;
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable checkpoint ${checkpointPath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Persist a checkpoint atomically (write to a temp file, then rename)
+ * so a crash mid-write never leaves a corrupt checkpoint behind
+ * @param {string} projectDir - Project export folder
+ * @param {ExportCheckpoint} checkpoint - Checkpoint to save
+ */
+export function saveCheckpoint(projectDir, checkpoint) {
+    const checkpointPath = getCheckpointPath(projectDir);
+    const tempPath = `${checkpointPath}.tmp`;
+    checkpoint.updatedAt = new Date().toISOString();
+    fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2), 'utf8');
+    fs.renameSync(tempPath, checkpointPath);
+}
+
+/**
+ * Remove the checkpoint for a project export folder (e.g. after a fully successful export)
+ * @param {string} projectDir - Project export folder
+ */
+export function clearCheckpoint(projectDir) {
+    fs.rmSync(getCheckpointPath(projectDir), { force: true });
+}
+
+/**
+ * Summarize a checkpoint for display
+ * @param {ExportCheckpoint} checkpoint - Checkpoint to summarize
+ * @returns {{ completed: number, inProgress: number, rowsWritten: number }} Progress counts
+ */
+export function summarizeCheckpoint(checkpoint) {
+    const objects = Object.values(checkpoint.objects);
+    return {
+        completed: objects.filter(object => object.status === 'complete').length,
+        inProgress: objects.filter(object => object.status !== 'complete').length,
+        rowsWritten: objects.reduce((total, object) => total + (object.rowsWritten || 0), 0),
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * Saved column profiles for CSV exports
+ * A profile picks which flattened paths to keep, in which order, and what to call them.
+ * Profiles live under "columnProfiles" in the per-user config file, e.g.:
+ *
+ *   "columnProfiles": {
+ *     "review": {
+ *       "columns": [
+ *         { "path": "id", "header": "ID" },
+ *         { "path": "input.question", "header": "Question" },
+ *         "output",
+ *         "scores.*"
+ *       ]
+ *     }
+ *   }
+ *
+ * A column is either a path string or { path, header }. Paths may use * and ? wildcards,
+ * which expand to every matching flattened column (sorted) under its own name.
+ * Profiles can be edited in the file directly or saved with saveColumnProfile.
+ */
+
+import { loadConfig, saveConfig } from './config.js';
+import { matchesPattern } from './utils.js';
+
+/**
+ * @typedef {Object} ProfileColumn
+ * @property {string} path - Flattened path (e.g. "metadata.model") or wildcard pattern
+ * @property {string} header - Header name written to the CSV
+ */
+
+/**
+ * @typedef {Object} ColumnProfile
+ * @property {string} name - Profile name
+ * @property {ProfileColumn[]} columns - Columns in output order
+ */
+
+/**
+ * Check whether a path is a wildcard pattern
+ * @param {string} columnPath - Column path
+ * @returns {boolean}
+ */
+function isWildcard(columnPath) {
+    return /[*?]/.test(columnPath);
+}
+
+/**
+ * Validate and normalize a profile from the config file
+ * @param {string} name - Profile name
+ * @param {Object} definition - Raw profile definition
+ * @returns {ColumnProfile} Normalized profile
+ * @throws {Error} If the definition is malformed
+ */
+function normalizeProfile(name, definition) {
+    const columns = Array.isArray(definition) ? definition : definition?.columns;
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new Error(`Column profile "${name}" must list at least one column`);
+    }
+
+    return {
+        name,
+        columns: columns.map(column => {
+            const columnPath = typeof column === 'string' ? column : column?.path;
+            if (typeof columnPath !== 'string' || !columnPath.trim()) {
+                throw new Error(`Column profile "${name}" has a column without a path`);
+            }
+            if (typeof column === 'object' && column.header && isWildcard(columnPath)) {
+                throw new Error(`Column profile "${name}": wildcard column "${columnPath}" can't be renamed`);
+            }
+            const header = typeof column === 'object' && column.header ? String(column.header) : columnPath.trim();
+            return { path: columnPath.trim(), header };
+        }),
+    };
+}
+
+/**
+ * List the column profiles saved in the config file
+ * @returns {ColumnProfile[]} Profiles sorted by name
+ * @throws {Error} If the config file or a profile is malformed
+ */
+export function listColumnProfiles() {
+    const profiles = loadConfig().columnProfiles || {};
+    return Object.keys(profiles)
+        .sort()
+        .map(name => normalizeProfile(name, profiles[name]));
+}
+
+/**
+ * Get a saved column profile by name
+ * @param {string} name - Profile name
+ * @returns {ColumnProfile} Profile
+ * @throws {Error} If no profile with that name exists or it is malformed
+ */
+export function getColumnProfile(name) {
+    const profiles = loadConfig().columnProfiles || {};
+    if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+        const available = Object.keys(profiles);
+        throw new Error(`Column profile "${name}" not found` +
+            (available.length ? ` (available: ${available.sort().join(', ')})` : ' (no profiles saved)'));
+    }
+    return normalizeProfile(name, profiles[name]);
+}
+
+/**
+ * Save a column profile to the config file, replacing one with the same name
+ * @param {string} name - Profile name
+ * @param {Array<string|Object>} columns - Columns as written in the config file (path strings or { path, header })
+ * @returns {ColumnProfile} Saved profile
+ * @throws {Error} If the name is empty or the columns are malformed
+ */
+export function saveColumnProfile(name, columns) {
+    if (!name || !name.trim()) {
+        throw new Error('Column profile name cannot be empty');
+    }
+    const profile = normalizeProfile(name, { columns });
+    const config = loadConfig();
+    config.columnProfiles = {
+        ...(config.columnProfiles || {}),
+        [name]: { columns: profile.columns.map(column => column.header === column.path ? column.path : { path: column.path, header: column.header }) },
+    };
+    saveConfig(config);
+    return profile;
+}
+
+/**
+ * Delete a column profile from the config file
+ * @param {string} name - Profile name
+ * @throws {Error} If there is no profile by that name
+ */
+export function removeColumnProfile(name) {
+    const config = loadConfig();
+    if (!Object.prototype.hasOwnProperty.call(config.columnProfiles || {}, name)) {
+        throw new Error(`Column profile "${name}" not found`);
+    }
+    delete config.columnProfiles[name];
+    saveConfig(config);
+}
+
+/**
+ * Check whether a profile keeps a flattened column
+ * @param {ColumnProfile} profile - Column profile
+ * @param {string} key - Flattened column name
+ * @returns {boolean}
+ */
+export function profileSelectsColumn(profile, key) {
+    return profile.columns.some(column => isWildcard(column.path)
+        ? matchesPattern(key, column.path)
+        : column.path === key);
+}
+
+/**
+ * Resolve a profile against the flattened columns discovered in the data
+ * Explicit paths are always kept (empty if absent from the data); wildcards expand to
+ * the matching discovered columns that aren't already listed.
+ * @param {ColumnProfile} profile - Column profile
+ * @param {string[]} keys - Discovered flattened column names
+ * @returns {ProfileColumn[]} Concrete columns in output order
+ */
+export function resolveProfileColumns(profile, keys) {
+    const explicitPaths = new Set(profile.columns.filter(column => !isWildcard(column.path)).map(column => column.path));
+    const seen = new Set();
+    const resolved = [];
+
+    for (const column of profile.columns) {
+        const matches = isWildcard(column.path)
+            ? keys.filter(key => matchesPattern(key, column.path) && !explicitPaths.has(key)).sort()
+                .map(key => ({ path: key, header: key }))
+            : [column];
+        for (const match of matches) {
+            if (!seen.has(match.path)) {
+                seen.add(match.path);
+                resolved.push(match);
+            }
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Map the header of an existing CSV back to flattened paths (e.g. when appending)
+ * Renamed headers map to their profile path; any other header is already a flattened path.
+ * @param {ColumnProfile|null} profile - Column profile the file was written with
+ * @param {string[]} headers - Header names in file order
+ * @returns {ProfileColumn[]} Columns in file order
+ */
+export function columnsFromHeader(profile, headers) {
+    return headers.map(header => {
+        const column = profile?.columns.find(candidate => candidate.header === header && !isWildcard(candidate.path));
+        return { path: column ? column.path : header, header };
+    });
+}
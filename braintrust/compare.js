@@ -0,0 +1,362 @@
+/**
+ * Side-by-side comparison of two experiments
+ * Rows of a baseline and a candidate experiment are matched by input (or a chosen field),
+ * then every score is compared to find regressions and improvements.
+ * Writes a row-level CSV plus a Markdown summary next to the project's exports.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Parser } from '@json2csv/plainjs';
+import { fetchExperimentRecordsWithPagination, sanitizeFilename } from './api.js';
+import { isRootSpan } from './score-summary.js';
+import { createOutputLayout } from './output-layout.js';
+
+const SCORE_EPSILON = 1e-9;       // Score changes smaller than this count as unchanged
+const SUMMARY_LIST_LIMIT = 25;    // Regressions/improvements listed per score in the summary
+
+/**
+ * @typedef {Object} ComparedRow
+ * @property {string} key - Match key
+ * @property {any} input - Input of the row (from the baseline when both sides have it)
+ * @property {Object|null} base - Baseline row { id, output, scores }, or null if only in the candidate
+ * @property {Object|null} candidate - Candidate row { id, output, scores }, or null if only in the baseline
+ * @property {Object<string, number>} deltas - Candidate minus baseline, per score present on both sides
+ * @property {string} status - 'regressed', 'improved', 'unchanged', 'only_in_base' or 'only_in_candidate'
+ */
+
+/**
+ * @typedef {Object} ScoreSummary
+ * @property {string} name - Score name
+ * @property {number|null} baseMean - Mean baseline score over matched rows
+ * @property {number|null} candidateMean - Mean candidate score over matched rows
+ * @property {number|null} meanDelta - candidateMean - baseMean
+ * @property {number} compared - Matched rows with this score on both sides
+ * @property {number} improved - Rows where the score went up
+ * @property {number} regressed - Rows where the score went down
+ * @property {number} unchanged - Rows where the score stayed the same
+ */
+
+/**
+ * @typedef {Object} ComparisonResult
+ * @property {string} csvPath - Row-level comparison file
+ * @property {string} summaryPath - Markdown summary file
+ * @property {number} matched - Rows present in both experiments
+ * @property {number} onlyInBase - Baseline rows without a match
+ * @property {number} onlyInCandidate - Candidate rows without a match
+ * @property {number} regressed - Matched rows where any score went down
+ * @property {number} improved - Matched rows where scores only went up
+ * @property {ScoreSummary[]} scores - Per-score aggregates
+ */
+
+/**
+ * Serialize a value with sorted object keys so equal inputs always produce the same key
+ * @param {any} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Read the match key of a row
+ * @param {Object} record - Experiment event
+ * @param {string} matchKey - Dotted path to match on (e.g. "input" or "metadata.case_id")
+ * @returns {string|null} Key, or null if the row has no value at that path
+ */
+function getMatchKey(record, matchKey) {
+    const value = matchKey.split('.').reduce((current, key) => current?.[key], record);
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return typeof value === 'string' ? value : stableStringify(value);
+}
+
+/**
+ * Fetch the top-level rows of an experiment, grouped by match key
+ * Only root spans are kept: child spans (LLM calls, tools) carry no eval-level output or scores.
+ * Rows that share a key are kept in order so the n-th baseline row pairs with the n-th candidate row.
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} experiment - Experiment from fetchExperiments
+ * @param {string} matchKey - Dotted path to match on
+ * @returns {Promise<{ rows: Map<string, Array<Object>>, missingKey: number }>} Rows by key and rows without a key
+ */
+async function fetchRowsByKey(apiKey, experiment, matchKey) {
+    const rows = new Map();
+    let missingKey = 0;
+    const label = experiment.name || experiment.id;
+
+    for await (const batch of fetchExperimentRecordsWithPagination(apiKey, experiment.id, null, { label })) {
+        for (const record of batch) {
+            if (!isRootSpan(record)) continue;
+
+            const key = getMatchKey(record, matchKey);
+            if (key === null) {
+                missingKey++;
+                continue;
+            }
+            if (!rows.has(key)) {
+                rows.set(key, []);
+            }
+            rows.get(key).push({
+                id: record.id,
+                created: record.created,
+                input: record.input,
+                output: record.output,
+                scores: record.scores || {},
+            });
+        }
+    }
+
+    // Fetch pages arrive newest first; pair duplicates in the order they were logged
+    for (const group of rows.values()) {
+        group.sort((a, b) => String(a.created).localeCompare(String(b.created)));
+    }
+    return { rows, missingKey };
+}
+
+/**
+ * Compare the scores of a matched pair of rows
+ * @param {Object|null} base - Baseline row
+ * @param {Object|null} candidate - Candidate row
+ * @returns {{ deltas: Object<string, number>, status: string }} Per-score deltas and row status
+ */
+function compareRow(base, candidate) {
+    if (!candidate) return { deltas: {}, status: 'only_in_base' };
+    if (!base) return { deltas: {}, status: 'only_in_candidate' };
+
+    const deltas = {};
+    for (const [name, baseScore] of Object.entries(base.scores)) {
+        const candidateScore = candidate.scores[name];
+        if (typeof baseScore === 'number' && typeof candidateScore === 'number') {
+            deltas[name] = candidateScore - baseScore;
+        }
+    }
+
+    const values = Object.values(deltas);
+    let status = 'unchanged';
+    if (values.some(delta => delta < -SCORE_EPSILON)) {
+        status = 'regressed';
+    } else if (values.some(delta => delta > SCORE_EPSILON)) {
+        status = 'improved';
+    }
+    return { deltas, status };
+}
+
+/**
+ * Format a value for a CSV cell or Markdown table
+ * @param {any} value - Value to format
+ * @returns {string} Text
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Format a score (or score delta) to 3 decimals
+ * @param {number|null} value - Score
+ * @param {boolean} [signed] - Prefix positive values with "+"
+ * @returns {string} Text
+ */
+function formatScore(value, signed = false) {
+    if (value === null || value === undefined) return '–';
+    const text = value.toFixed(3);
+    return signed && value > 0 ? `+${text}` : text;
+}
+
+/**
+ * Aggregate per-score statistics over matched rows
+ * @param {ComparedRow[]} rows - Compared rows
+ * @param {string[]} scoreNames - Every score name seen on either side
+ * @returns {ScoreSummary[]} Per-score aggregates
+ */
+function summarizeScores(rows, scoreNames) {
+    return scoreNames.map(name => {
+        const pairs = rows.filter(row => row.deltas[name] !== undefined);
+        const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const baseMean = mean(pairs.map(row => row.base.scores[name]));
+        const candidateMean = mean(pairs.map(row => row.candidate.scores[name]));
+        return {
+            name,
+            baseMean,
+            candidateMean,
+            meanDelta: baseMean === null ? null : candidateMean - baseMean,
+            compared: pairs.length,
+            improved: pairs.filter(row => row.deltas[name] > SCORE_EPSILON).length,
+            regressed: pairs.filter(row => row.deltas[name] < -SCORE_EPSILON).length,
+            unchanged: pairs.filter(row => Math.abs(row.deltas[name]) <= SCORE_EPSILON).length,
+        };
+    });
+}
+
+/**
+ * Build the Markdown summary report
+ * @param {Object} base - Baseline experiment
+ * @param {Object} candidate - Candidate experiment
+ * @param {string} matchKey - Field rows were matched on
+ * @param {ComparedRow[]} rows - Compared rows
+ * @param {ComparisonResult} result - Aggregate counts
+ * @returns {string} Markdown
+ */
+function buildSummaryMarkdown(base, candidate, matchKey, rows, result) {
+    const lines = [
+        `# ${candidate.name} vs ${base.name}`,
+        '',
+        `- Baseline: ${base.name} (${base.id})`,
+        `- Candidate: ${candidate.name} (${candidate.id})`,
+        `- Matched on: \`${matchKey}\``,
+        `- Matched rows: ${result.matched} (only in baseline: ${result.onlyInBase}, only in candidate: ${result.onlyInCandidate})`,
+        `- Regressed rows: ${result.regressed}, improved rows: ${result.improved}`,
+        '',
+        '## Scores',
+        '',
+        '| Score | Baseline | Candidate | Δ | Improved | Regressed | Unchanged |',
+        '|-------|----------|-----------|---|----------|-----------|-----------|',
+        ...result.scores.map(score => `| ${score.name} | ${formatScore(score.baseMean)} | ${formatScore(score.candidateMean)} | ` +
+            `${formatScore(score.meanDelta, true)} | ${score.improved} | ${score.regressed} | ${score.unchanged} |`),
+    ];
+
+    const truncate = (text) => text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    for (const [title, direction] of [['Regressions', -1], ['Improvements', 1]]) {
+        lines.push('', `## ${title}`);
+        let any = false;
+        for (const score of result.scores) {
+            const changed = rows
+                .filter(row => row.deltas[score.name] !== undefined && row.deltas[score.name] * direction > SCORE_EPSILON)
+                .sort((a, b) => (b.deltas[score.name] - a.deltas[score.name]) * direction);
+            if (changed.length === 0) continue;
+            any = true;
+            lines.push('', `### ${score.name} (${changed.length})`, '');
+            changed.slice(0, SUMMARY_LIST_LIMIT).forEach(row => {
+                const key = truncate(formatValue(row.key).replace(/\s+/g, ' ').replace(/\|/g, '\\|'));
+                lines.push(`- ${formatScore(row.deltas[score.name], true)}: ${key}`);
+            });
+            if (changed.length > SUMMARY_LIST_LIMIT) {
+                lines.push(`- ... and ${changed.length - SUMMARY_LIST_LIMIT} more (see the CSV)`);
+            }
+        }
+        if (!any) {
+            lines.push('', 'None.');
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Compare two experiments row by row and write the comparison files
+ *
+ * Writes to a comparisons folder in the project's export folder (<outputDir>/<project>/comparisons/
+ * with the default output template):
+ * - <candidate>_vs_<base>.csv: one row per match key with both outputs, both scores,
+ *   the per-score delta and a status (regressed, improved, unchanged, only_in_base, only_in_candidate)
+ * - <candidate>_vs_<base>.md: aggregate score table plus regressions and improvements per score
+ *
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} base - Baseline experiment (from fetchExperiments)
+ * @param {Object} candidate - Candidate experiment (from fetchExperiments)
+ * @param {Object} [options] - Comparison settings
+ * @param {string} [options.matchKey] - Dotted path to match rows on (default: 'input')
+ * @param {string} [options.outputDir] - Base output directory (default: './exports')
+ * @param {string} [options.template] - Path template placing the export folder (see output-layout.js)
+ * @param {boolean} [options.snapshot] - Write to a new timestamped export folder
+ * @param {string} [options.projectName] - Project name for the output folder
+ * @returns {Promise<ComparisonResult>} Aggregate comparison results
+ */
+export async function compareExperiments(apiKey, base, candidate, options = {}) {
+    const { matchKey = 'input', outputDir = './exports', template, snapshot = false, projectName = 'comparisons' } = options;
+
+    try {
+        console.log(`Fetching baseline: ${base.name}...`);
+        const baseData = await fetchRowsByKey(apiKey, base, matchKey);
+        console.log(`Fetching candidate: ${candidate.name}...`);
+        const candidateData = await fetchRowsByKey(apiKey, candidate, matchKey);
+
+        for (const [label, data] of [['baseline', baseData], ['candidate', candidateData]]) {
+            if (data.missingKey > 0) {
+                console.log(`  ⚠ ${data.missingKey} ${label} row(s) have no "${matchKey}" and were left out`);
+            }
+        }
+
+        // Pair rows key by key, keeping baseline order first, then candidate-only keys
+        const rows = [];
+        const keys = new Set([...baseData.rows.keys(), ...candidateData.rows.keys()]);
+        for (const key of keys) {
+            const baseRows = baseData.rows.get(key) || [];
+            const candidateRows = candidateData.rows.get(key) || [];
+            for (let i = 0; i < Math.max(baseRows.length, candidateRows.length); i++) {
+                const baseRow = baseRows[i] || null;
+                const candidateRow = candidateRows[i] || null;
+                rows.push({
+                    key,
+                    input: (baseRow || candidateRow).input,
+                    base: baseRow,
+                    candidate: candidateRow,
+                    ...compareRow(baseRow, candidateRow),
+                });
+            }
+        }
+
+        const scoreNames = Array.from(new Set(rows.flatMap(row => [
+            ...Object.keys(row.base?.scores || {}),
+            ...Object.keys(row.candidate?.scores || {}),
+        ]))).sort();
+
+        const { exportDir } = createOutputLayout(outputDir, { template, snapshot, projectName, projectId: base.project_id ?? null });
+        const comparisonsDir = path.join(exportDir, 'comparisons');
+        fs.mkdirSync(comparisonsDir, { recursive: true });
+        const reportName = sanitizeFilename(candidate.name || candidate.id, candidate.id) + '_vs_' + sanitizeFilename(base.name || base.id, base.id);
+        const csvPath = path.join(comparisonsDir, `${reportName}.csv`);
+        const summaryPath = path.join(comparisonsDir, `${reportName}.md`);
+
+        const fields = [
+            { label: 'key', value: row => row.key },
+            { label: 'status', value: row => row.status },
+            { label: 'input', value: row => formatValue(row.input) },
+            { label: 'base_id', value: row => row.base?.id },
+            { label: 'candidate_id', value: row => row.candidate?.id },
+            { label: 'base_output', value: row => formatValue(row.base?.output) },
+            { label: 'candidate_output', value: row => formatValue(row.candidate?.output) },
+            ...scoreNames.flatMap(name => [
+                { label: `base.${name}`, value: row => row.base?.scores[name] },
+                { label: `candidate.${name}`, value: row => row.candidate?.scores[name] },
+                { label: `delta.${name}`, value: row => row.deltas[name] },
+            ]),
+        ];
+        fs.writeFileSync(csvPath, new Parser({ fields }).parse(rows), 'utf8');
+
+        const matchedRows = rows.filter(row => row.base && row.candidate);
+        const result = {
+            csvPath,
+            summaryPath,
+            matched: matchedRows.length,
+            onlyInBase: rows.filter(row => row.status === 'only_in_base').length,
+            onlyInCandidate: rows.filter(row => row.status === 'only_in_candidate').length,
+            regressed: rows.filter(row => row.status === 'regressed').length,
+            improved: rows.filter(row => row.status === 'improved').length,
+            scores: summarizeScores(matchedRows, scoreNames),
+        };
+        fs.writeFileSync(summaryPath, buildSummaryMarkdown(base, candidate, matchKey, rows, result), 'utf8');
+
+        console.log(`\n✓ Compared ${result.matched} matched row(s): ${result.regressed} regressed, ${result.improved} improved`);
+        if (result.onlyInBase || result.onlyInCandidate) {
+            console.log(`  ${result.onlyInBase} row(s) only in the baseline, ${result.onlyInCandidate} only in the candidate`);
+        }
+        result.scores.forEach(score => {
+            console.log(`  ${score.name}: ${formatScore(score.baseMean)} → ${formatScore(score.candidateMean)} (${formatScore(score.meanDelta, true)})`);
+        });
+        console.log(`  Rows: ${csvPath}`);
+        console.log(`  Summary: ${summaryPath}`);
+        return result;
+    } catch (error) {
+        console.error(`Error comparing ${candidate.name} with ${base.name}:`, error.message);
+        throw error;
+    }
+}
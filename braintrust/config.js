@@ -0,0 +1,55 @@
+/**
+ * Per-user configuration file for the CLI
+ * Stored as JSON at ~/.braintrust-cli/config.json (override with BRAINTRUST_CLI_CONFIG).
+ * The file is only readable by the current user since it may hold credentials.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Get the path of the config file
+ * @returns {string} Absolute path to the config file
+ */
+export function getConfigPath() {
+    const override = process.env.BRAINTRUST_CLI_CONFIG;
+    if (override && override !== 'undefined') {
+        return path.resolve(override);
+    }
+    return path.join(os.homedir(), '.braintrust-cli', 'config.json');
+}
+
+/**
+ * Load the config file
+ * @returns {Object} Parsed config (empty object if the file doesn't exist)
+ * @throws {Error} If the file exists but isn't valid JSON
+ */
+export function loadConfig() {
+    const configPath = getConfigPath();
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        return config && typeof config === 'object' ? config : {};
+    } catch (error) {
+        throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Save the config file with owner-only permissions
+ * @param {Object} config - Config to save
+ */
+export function saveConfig(config) {
+    const configPath = getConfigPath();
+    fs.mkdirSync(path.dirname(configPath), { recursive: true, mode: 0o700 });
+
+    // Write to a temp file first so a crash never leaves a half-written config behind
+    const tempPath = `${configPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tempPath, configPath);
+    fs.chmodSync(configPath, 0o600);
+}
@@ -0,0 +1,213 @@
+/**
+ * Named credential profiles (e.g. "staging", "prod")
+ * Each profile holds an API key, an optional API URL and an optional default project.
+ * Profiles live under "profiles" in the per-user config file, which is only readable by
+ * the current user; "activeProfile" names the one used when none is chosen explicitly:
+ *
+ *   "activeProfile": "prod",
+ *   "profiles": {
+ *     "prod": { "apiKey": "sk-...", "projectId": "0be0...", "projectName": "Evals" },
+ *     "staging": { "apiKey": "sk-...", "apiUrl": "https://braintrust-api.staging.example.com" }
+ *   }
+ *
+ * Applying a profile loads its settings into the environment (BRAINTRUST_API_KEY,
+ * BRAINTRUST_API_URL, BRAINTRUST_PROJECT_ID/NAME), where the rest of the CLI reads them.
+ */
+
+import { loadConfig, saveConfig } from './config.js';
+import { normalizeApiUrl, readEnv } from './http.js';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// API URL set by the last applied profile, so switching to a profile without one restores the default
+let appliedApiUrl = null;
+
+/**
+ * @typedef {Object} CredentialProfile
+ * @property {string} name - Profile name
+ * @property {string} apiKey - Braintrust API key
+ * @property {string|null} apiUrl - API URL (null for the default)
+ * @property {string|null} projectId - Default project ID
+ * @property {string|null} projectName - Default project name
+ */
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ * @throws {Error} If the name is empty or has characters other than letters, digits, '-', '_' and '.'
+ */
+export function validateProfileName(name) {
+    if (!name || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid profile name "${name ?? ''}" (use letters, digits, '-', '_' and '.')`);
+    }
+}
+
+/**
+ * Show the start and end of an API key so profiles can be told apart without revealing it
+ * @param {string} apiKey - API key
+ * @returns {string} e.g. "sk-a…9f3c"
+ */
+export function maskApiKey(apiKey) {
+    if (!apiKey) {
+        return '(none)';
+    }
+    return apiKey.length > 10 ? `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}` : '…';
+}
+
+/**
+ * Get a saved profile
+ * @param {string} name - Profile name
+ * @returns {CredentialProfile|null} Profile, or null if there is none by that name
+ */
+export function getCredentialProfile(name) {
+    const profile = (loadConfig().profiles || {})[name];
+    if (!profile) {
+        return null;
+    }
+    return {
+        name,
+        apiKey: profile.apiKey,
+        apiUrl: profile.apiUrl || null,
+        projectId: profile.projectId || null,
+        projectName: profile.projectName || null,
+    };
+}
+
+/**
+ * List saved profiles without their keys
+ * @returns {Array<Object>} Profiles sorted by name ({ name, apiKey (masked), apiUrl, projectId, projectName, active })
+ */
+export function listCredentialProfiles() {
+    const config = loadConfig();
+    return Object.keys(config.profiles || {}).sort().map(name => {
+        const profile = getCredentialProfile(name);
+        return { ...profile, apiKey: maskApiKey(profile.apiKey), active: name === config.activeProfile };
+    });
+}
+
+/**
+ * Add a profile or update fields of an existing one
+ * The first profile saved becomes the active profile.
+ * @param {string} name - Profile name
+ * @param {Object} settings - Fields to set ({ apiKey, apiUrl, projectId, projectName }); apiUrl null resets to the default
+ * @returns {CredentialProfile} Saved profile
+ * @throws {Error} If the name or API URL is invalid, or a new profile has no API key
+ */
+export function saveCredentialProfile(name, settings) {
+    validateProfileName(name);
+    const config = loadConfig();
+    const profiles = config.profiles || {};
+    const profile = { ...(profiles[name] || {}) };
+
+    if (settings.apiKey) {
+        profile.apiKey = settings.apiKey;
+    }
+    if (!profile.apiKey) {
+        throw new Error(`Profile "${name}" needs an API key`);
+    }
+    if (settings.apiUrl !== undefined) {
+        if (settings.apiUrl) {
+            profile.apiUrl = normalizeApiUrl(settings.apiUrl);
+        } else {
+            delete profile.apiUrl;
+        }
+    }
+    if (settings.projectId !== undefined) {
+        profile.projectId = settings.projectId || undefined;
+        profile.projectName = settings.projectName || undefined;
+    }
+
+    config.profiles = { ...profiles, [name]: profile };
+    if (!config.activeProfile) {
+        config.activeProfile = name;
+    }
+    saveConfig(config);
+    return getCredentialProfile(name);
+}
+
+/**
+ * Delete a profile (clearing "activeProfile" if it pointed at it)
+ * @param {string} name - Profile name
+ * @throws {Error} If there is no profile by that name
+ */
+export function removeCredentialProfile(name) {
+    const config = loadConfig();
+    if (!config.profiles?.[name]) {
+        throw new Error(`No profile named "${name}"`);
+    }
+    delete config.profiles[name];
+    if (config.activeProfile === name) {
+        delete config.activeProfile;
+    }
+    saveConfig(config);
+}
+
+/**
+ * Make a profile the active one for future runs
+ * @param {string} name - Profile name
+ * @throws {Error} If there is no profile by that name
+ */
+export function setActiveProfile(name) {
+    const config = loadConfig();
+    if (!config.profiles?.[name]) {
+        throw new Error(`No profile named "${name}"`);
+    }
+    config.activeProfile = name;
+    saveConfig(config);
+}
+
+/**
+ * Load a profile's settings into the environment for this session
+ * Replaces the API key and default project; the API URL is set, or reset if a previously
+ * applied profile set it.
+ * @param {string} name - Profile name
+ * @returns {CredentialProfile} Applied profile
+ * @throws {Error} If there is no profile by that name
+ */
+export function applyCredentialProfile(name) {
+    const profile = getCredentialProfile(name);
+    if (!profile) {
+        throw new Error(`No profile named "${name}"`);
+    }
+
+    process.env.BRAINTRUST_PROFILE = name;
+    process.env.BRAINTRUST_API_KEY = profile.apiKey;
+    if (profile.apiUrl) {
+        process.env.BRAINTRUST_API_URL = profile.apiUrl;
+        appliedApiUrl = profile.apiUrl;
+    } else if (appliedApiUrl && process.env.BRAINTRUST_API_URL === appliedApiUrl) {
+        delete process.env.BRAINTRUST_API_URL;
+        appliedApiUrl = null;
+    }
+    // A project belongs to the profile's organization, so never carry one over from another profile
+    if (profile.projectId) {
+        process.env.BRAINTRUST_PROJECT_ID = profile.projectId;
+        process.env.BRAINTRUST_PROJECT_NAME = profile.projectName || profile.projectId;
+    } else {
+        delete process.env.BRAINTRUST_PROJECT_ID;
+        delete process.env.BRAINTRUST_PROJECT_NAME;
+    }
+    return profile;
+}
+
+/**
+ * Apply the profile to use for this run, if any
+ * An explicitly chosen profile (argument or BRAINTRUST_PROFILE) always applies. The active
+ * profile from the config file only applies when BRAINTRUST_API_KEY isn't set, so keys from
+ * the environment or .env keep working.
+ * @param {string|null} [name] - Profile chosen on the command line
+ * @returns {CredentialProfile|null} Applied profile
+ * @throws {Error} If the chosen profile doesn't exist
+ */
+export function loadStartupProfile(name = null) {
+    const explicit = name || readEnv('BRAINTRUST_PROFILE');
+    if (explicit) {
+        return applyCredentialProfile(explicit);
+    }
+
+    const active = loadConfig().activeProfile;
+    if (active && !readEnv('BRAINTRUST_API_KEY') && getCredentialProfile(active)) {
+        return applyCredentialProfile(active);
+    }
+    return null;
+}
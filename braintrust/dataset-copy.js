@@ -0,0 +1,130 @@
+/**
+ * Copy dataset rows between projects and organizations
+ * Records stream from the source dataset under one API key and are inserted into the
+ * target dataset under another (or the same) key, in batches.
+ *
+ * Row IDs are carried over unchanged, so every source row maps to the target row with the
+ * same ID. That makes re-runs safe: rows whose ID already exists in the target are skipped,
+ * and a retried batch replaces its own rows instead of duplicating them.
+ */
+
+import { fetchDatasetRecordsWithPagination, insertDatasetEvents, fetchObjectRowCount } from './api.js';
+
+const INSERT_BATCH_SIZE = 500;   // Events per insert request
+
+// Dataset fields that describe the row's content; everything else is bookkeeping owned by the source
+const COPIED_FIELDS = ['input', 'expected', 'metadata', 'tags', 'created'];
+
+/**
+ * @typedef {Object} DatasetEndpoint
+ * @property {string} apiKey - API key for the organization that owns the dataset
+ * @property {string} datasetId - Dataset ID
+ */
+
+/**
+ * @typedef {Object} CopyResult
+ * @property {number} read - Rows read from the source dataset
+ * @property {number} copied - Rows inserted into the target dataset
+ * @property {number} skipped - Rows already present in the target (copied by an earlier run)
+ * @property {number|null} sourceCount - Rows in the source dataset afterwards, if the count could be read
+ * @property {number|null} targetCount - Rows in the target dataset afterwards, if the count could be read
+ * @property {number} missing - Source rows whose ID isn't in the target afterwards
+ * @property {boolean} countsMatch - Whether every source row is now in the target
+ */
+
+/**
+ * Convert a source row to a target insert event
+ * @param {Object} record - Row from the source dataset
+ * @returns {Object} Insert event keeping the row ID and content fields
+ */
+function toCopyEvent(record) {
+    const event = { id: record.id };
+    for (const field of COPIED_FIELDS) {
+        if (record[field] !== undefined && record[field] !== null) {
+            event[field] = record[field];
+        }
+    }
+    return event;
+}
+
+/**
+ * Collect the row IDs already in a dataset
+ * @param {DatasetEndpoint} dataset - Dataset to scan
+ * @returns {Promise<Set<string>>} Row IDs
+ */
+async function fetchExistingRowIds(dataset) {
+    const ids = new Set();
+    for await (const batch of fetchDatasetRecordsWithPagination(dataset.apiKey, dataset.datasetId, null, { label: 'target dataset' })) {
+        batch.forEach(record => ids.add(record.id));
+    }
+    return ids;
+}
+
+/**
+ * Copy every row of one dataset into another
+ * @param {DatasetEndpoint} source - Dataset to copy from
+ * @param {DatasetEndpoint} target - Dataset to copy into
+ * @returns {Promise<CopyResult>} Copy counts and the final count comparison
+ */
+export async function copyDataset(source, target) {
+    const result = { read: 0, copied: 0, skipped: 0, sourceCount: null, targetCount: null, missing: 0, countsMatch: false };
+
+    try {
+        console.log('Checking the target dataset for rows copied by an earlier run...');
+        const existingIds = await fetchExistingRowIds(target);
+        if (existingIds.size > 0) {
+            console.log(`  ${existingIds.size} row(s) already in the target`);
+        }
+
+        const sourceIds = new Set();
+        let batch = [];
+        const flush = async () => {
+            await insertDatasetEvents(target.apiKey, target.datasetId, batch);
+            result.copied += batch.length;
+            batch.forEach(event => existingIds.add(event.id));
+            batch = [];
+            console.log(`  → Copied ${result.copied} rows...`);
+        };
+
+        console.log('Copying rows from the source dataset...');
+        for await (const records of fetchDatasetRecordsWithPagination(source.apiKey, source.datasetId, null, { label: 'source dataset' })) {
+            for (const record of records) {
+                result.read++;
+                sourceIds.add(record.id);
+                if (existingIds.has(record.id)) {
+                    result.skipped++;
+                    continue;
+                }
+                batch.push(toCopyEvent(record));
+                if (batch.length >= INSERT_BATCH_SIZE) {
+                    await flush();
+                }
+            }
+        }
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        // Look up every source row in the target, so a partial copy is never mistaken for a complete
+        // one (the target may hold unrelated rows, so its row count alone proves nothing)
+        console.log('Checking that every source row is in the target...');
+        const targetIds = await fetchExistingRowIds(target);
+        result.missing = Array.from(sourceIds).filter(id => !targetIds.has(id)).length;
+        result.sourceCount = await fetchObjectRowCount(source.apiKey, 'dataset', source.datasetId);
+        result.targetCount = await fetchObjectRowCount(target.apiKey, 'dataset', target.datasetId);
+        // Rows added to the source while it was read are only copied by the next run
+        result.countsMatch = result.missing === 0 && (result.sourceCount === null || sourceIds.size >= result.sourceCount);
+
+        console.log(`\n✓ Copied ${result.copied} row(s), skipped ${result.skipped} already present (${result.read} read)`);
+        console.log(`  Source rows: ${result.sourceCount ?? 'unknown'}, target rows: ${result.targetCount ?? 'unknown'}`);
+        if (result.missing > 0) {
+            console.log(`  ⚠ ${result.missing} source row(s) are missing from the target. Re-run the copy to fill them in.`);
+        } else if (!result.countsMatch) {
+            console.log(`  ⚠ The source has ${result.sourceCount - sourceIds.size} row(s) more than were read. Re-run the copy to pick them up.`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`Error copying dataset ${source.datasetId} after ${result.copied} rows:`, error.message);
+        throw error;
+    }
+}
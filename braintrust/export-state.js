@@ -0,0 +1,73 @@
+/**
+ * Persistent export state for incremental (delta) exports
+ * Unlike the checkpoint, this file outlives a successful export: it remembers the
+ * highest transaction ID written for each object so the next run only fetches newer events.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const STATE_FILENAME = '.export-state.json';
+
+/**
+ * @typedef {Object} ObjectExportState
+ * @property {string} type - 'experiment' or 'dataset'
+ * @property {string} name - Object name (for display)
+ * @property {string} filePath - File the object was exported to
+ * @property {string} format - Export format of filePath
+ * @property {string|null} watermark - Highest _xact_id written to filePath
+ * @property {number} rowsWritten - Records in filePath
+ * @property {string} lastExportedAt - ISO timestamp of the last export of this object
+ */
+
+/**
+ * Compare two Braintrust transaction IDs
+ * Transaction IDs are large integers serialized as strings, so compare by length, then by digits.
+ * A missing ID is treated as newer than any other so events without one are never skipped.
+ * @param {string} a - First transaction ID
+ * @param {string} b - Second transaction ID
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareXactIds(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    const left = String(a);
+    const right = String(b);
+    if (left.length !== right.length) {
+        return left.length - right.length;
+    }
+    return left < right ? -1 : 1;
+}
+
+/**
+ * Load the export state for a project export folder
+ * @param {string} projectDir - Project export folder
+ * @returns {{ objects: Object<string, ObjectExportState> }} Export state (empty if none exists)
+ */
+export function loadExportState(projectDir) {
+    const statePath = path.join(projectDir, STATE_FILENAME);
+    if (!fs.existsSync(statePath)) {
+        return { objects: {} };
+    }
+
+    try {
+        const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        return state && state.objects ? state : { objects: {} };
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable export state ${statePath}: ${error.message}`);
+        return { objects: {} };
+    }
+}
+
+/**
+ * Persist the export state atomically (write to a temp file, then rename)
+ * @param {string} projectDir - Project export folder
+ * @param {{ objects: Object<string, ObjectExportState> }} state - Export state to save
+ */
+export function saveExportState(projectDir, state) {
+    const statePath = path.join(projectDir, STATE_FILENAME);
+    const tempPath = `${statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tempPath, statePath);
+}
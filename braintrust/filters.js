@@ -0,0 +1,251 @@
+/**
+ * Record filters for exports (time range, tags, metadata values, score thresholds)
+ * Filters are pushed down to the API as a BTQL query where possible, translated to
+ * fetch path_lookup filters as a fallback, and always re-checked client-side.
+ */
+
+import { compareXactIds } from './export-state.js';
+
+const SCORE_OPERATORS = ['<=', '>=', '!=', '=', '<', '>'];
+
+/**
+ * @typedef {Object} ScoreFilter
+ * @property {string} name - Score name (e.g. "Factuality")
+ * @property {string} operator - One of <, <=, >, >=, =, !=
+ * @property {number} value - Threshold to compare against
+ */
+
+/**
+ * @typedef {Object} RecordFilters
+ * @property {string|null} since - ISO timestamp; only records created at or after it
+ * @property {string|null} until - ISO timestamp; only records created before it
+ * @property {string[]} tags - Records must have every one of these tags
+ * @property {Array<{ path: string[], value: string }>} metadata - Metadata paths that must equal the given values
+ * @property {ScoreFilter[]} scores - Score thresholds records must satisfy
+ */
+
+/**
+ * Parse a date or timestamp filter value into an ISO timestamp
+ * @param {string} value - Date such as "2024-05-01" or "2024-05-01T12:00:00Z"
+ * @param {string} label - Option name for error messages
+ * @returns {string} ISO timestamp
+ * @throws {Error} If the value isn't a valid date
+ */
+function parseTimestamp(value, label) {
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`Invalid ${label} date: "${value}" (expected e.g. 2024-05-01 or 2024-05-01T12:00:00Z)`);
+    }
+    return new Date(time).toISOString();
+}
+
+/**
+ * Build record filters from raw expressions (command-line flags or prompt answers)
+ * @param {Object} expressions - Raw filter expressions
+ * @param {string} [expressions.since] - Lower bound on created (inclusive)
+ * @param {string} [expressions.until] - Upper bound on created (exclusive)
+ * @param {string[]} [expressions.tags] - Required tags
+ * @param {string[]} [expressions.metadata] - "path=value" pairs, path may be dotted (e.g. "model.name=gpt-4o")
+ * @param {string[]} [expressions.scores] - Score thresholds such as "Factuality<0.5"
+ * @returns {RecordFilters} Parsed filters
+ * @throws {Error} If any expression is malformed
+ */
+export function parseRecordFilters({ since, until, tags = [], metadata = [], scores = [] } = {}) {
+    const filters = {
+        since: since ? parseTimestamp(since, 'since') : null,
+        until: until ? parseTimestamp(until, 'until') : null,
+        tags: tags.map(tag => tag.trim()).filter(Boolean),
+        metadata: [],
+        scores: [],
+    };
+
+    if (filters.since && filters.until && filters.since >= filters.until) {
+        throw new Error('The since date must be earlier than the until date');
+    }
+
+    for (const expression of metadata) {
+        const separator = expression.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid metadata filter: "${expression}" (expected key=value)`);
+        }
+        const path = expression.slice(0, separator).trim().split('.').filter(Boolean);
+        filters.metadata.push({ path, value: expression.slice(separator + 1).trim() });
+    }
+
+    for (const expression of scores) {
+        const operator = SCORE_OPERATORS.find(op => expression.includes(op));
+        const [name, rawValue] = operator ? expression.split(operator).map(part => part.trim()) : [];
+        const value = Number(rawValue);
+        if (!operator || !name || rawValue === '' || isNaN(value)) {
+            throw new Error(`Invalid score filter: "${expression}" (expected e.g. Factuality<0.5)`);
+        }
+        filters.scores.push({ name, operator, value });
+    }
+
+    return filters;
+}
+
+/**
+ * Check whether any filter is set
+ * @param {RecordFilters|null|undefined} filters - Record filters
+ * @returns {boolean} True if at least one filter applies
+ */
+export function hasRecordFilters(filters) {
+    return Boolean(filters) && Boolean(filters.since || filters.until || filters.tags.length ||
+        filters.metadata.length || filters.scores.length);
+}
+
+/**
+ * Describe filters in one line for logs and manifests
+ * @param {RecordFilters} filters - Record filters
+ * @returns {string} Human-readable summary
+ */
+export function describeRecordFilters(filters) {
+    const parts = [];
+    if (filters.since) parts.push(`created >= ${filters.since}`);
+    if (filters.until) parts.push(`created < ${filters.until}`);
+    filters.tags.forEach(tag => parts.push(`tag "${tag}"`));
+    filters.metadata.forEach(({ path, value }) => parts.push(`metadata.${path.join('.')} = "${value}"`));
+    filters.scores.forEach(({ name, operator, value }) => parts.push(`${name} ${operator} ${value}`));
+    return parts.join(', ');
+}
+
+/**
+ * Quote an identifier for BTQL when it isn't a plain name (e.g. score names with spaces)
+ * @param {string} name - Identifier
+ * @returns {string} BTQL identifier
+ */
+function quoteIdentifier(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Quote a string literal for BTQL
+ * @param {string} value - Literal value
+ * @returns {string} BTQL string literal
+ */
+function quoteLiteral(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Read a metadata filter value as the JSON literal it may stand for
+ * "--metadata attempt=3" can't tell whether the metadata holds the number 3 or the string "3",
+ * so such values match either.
+ * @param {string} value - Metadata filter value
+ * @returns {number|boolean|null|undefined} Number, boolean or null, or undefined for plain strings
+ */
+function parseLiteral(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null') return null;
+    if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value)) return Number(value);
+    return undefined;
+}
+
+/**
+ * Build the BTQL comparison for a metadata filter, matching the typed and string forms of ambiguous values
+ * @param {string[]} path - Metadata path
+ * @param {string} value - Metadata filter value
+ * @returns {string} BTQL boolean expression
+ */
+function buildMetadataClause(path, value) {
+    const field = `metadata.${path.map(quoteIdentifier).join('.')}`;
+    const literal = parseLiteral(value);
+    if (literal === undefined) {
+        return `${field} = ${quoteLiteral(value)}`;
+    }
+    const typed = literal === null ? `${field} is null` : `${field} = ${JSON.stringify(literal)}`;
+    return `(${typed} or ${field} = ${quoteLiteral(value)})`;
+}
+
+/**
+ * Build a BTQL filter expression evaluating every filter server-side
+ * @param {RecordFilters} filters - Record filters
+ * @param {string} [sinceXactId] - Also only match records newer than this transaction ID
+ * @returns {string} BTQL boolean expression
+ */
+export function buildQueryFilter(filters, sinceXactId = null) {
+    const clauses = [];
+    if (filters.since) clauses.push(`created >= ${quoteLiteral(filters.since)}`);
+    if (filters.until) clauses.push(`created < ${quoteLiteral(filters.until)}`);
+    filters.tags.forEach(tag => clauses.push(`tags includes ${quoteLiteral(tag)}`));
+    filters.metadata.forEach(({ path, value }) => clauses.push(buildMetadataClause(path, value)));
+    filters.scores.forEach(({ name, operator, value }) => {
+        clauses.push(`scores.${quoteIdentifier(name)} ${operator} ${value}`);
+    });
+    if (sinceXactId) clauses.push(`_xact_id > ${quoteLiteral(sinceXactId)}`);
+    return clauses.join(' and ');
+}
+
+/**
+ * Translate the filters the fetch endpoint understands (exact metadata matches)
+ * A path_lookup matches one JSON value, so values that may be a number, boolean or null
+ * are left to the client-side check.
+ * @param {RecordFilters} filters - Record filters
+ * @returns {Array<Object>} path_lookup filters for the fetch request body
+ */
+export function buildFetchFilters(filters) {
+    return filters.metadata
+        .filter(({ value }) => parseLiteral(value) === undefined)
+        .map(({ path, value }) => ({
+            type: 'path_lookup',
+            path: ['metadata', ...path],
+            value,
+        }));
+}
+
+/**
+ * Check a record against every filter client-side
+ * @param {Object} record - Event from the API
+ * @param {RecordFilters} filters - Record filters
+ * @returns {boolean} True if the record satisfies all filters
+ */
+export function matchesRecordFilters(record, filters) {
+    if (filters.since || filters.until) {
+        // A missing or unparseable timestamp can't be placed in the range, so the record doesn't match
+        const time = record.created ? new Date(record.created).getTime() : NaN;
+        if (Number.isNaN(time)) return false;
+        const created = new Date(time).toISOString();
+        if (filters.since && created < filters.since) return false;
+        if (filters.until && created >= filters.until) return false;
+    }
+
+    const tags = Array.isArray(record.tags) ? record.tags : [];
+    if (!filters.tags.every(tag => tags.includes(tag))) {
+        return false;
+    }
+
+    for (const { path, value } of filters.metadata) {
+        const actual = path.reduce((current, key) => current?.[key], record.metadata);
+        if (actual === undefined || (String(actual) !== value && actual !== parseLiteral(value))) {
+            return false;
+        }
+    }
+
+    for (const { name, operator, value } of filters.scores) {
+        const score = record.scores?.[name];
+        if (typeof score !== 'number') return false;
+        const passes = {
+            '<': score < value,
+            '<=': score <= value,
+            '>': score > value,
+            '>=': score >= value,
+            '=': score === value,
+            '!=': score !== value,
+        }[operator];
+        if (!passes) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check a record against an incremental watermark client-side
+ * @param {Object} record - Event from the API
+ * @param {string|null} sinceXactId - Watermark transaction ID
+ * @returns {boolean} True if the record is newer than the watermark (or there is none)
+ */
+export function isAfterWatermark(record, sinceXactId) {
+    return !sinceXactId || compareXactIds(record._xact_id, sinceXactId) > 0;
+}
@@ -0,0 +1,203 @@
+/**
+ * HTTP connection settings shared by every Braintrust API request
+ * Resolves the API base URL (for self-hosted deployments), an HTTPS proxy and an extra
+ * CA certificate from, in order: command-line flags (applied to the environment),
+ * environment variables and the per-user config file.
+ */
+
+import fs from 'fs';
+import https from 'https';
+import tls from 'tls';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { loadConfig, getConfigPath } from './config.js';
+
+export const DEFAULT_API_URL = 'https://api.braintrust.dev';
+
+// Agent for the current proxy/CA settings, rebuilt when they change
+let cachedAgent = null;
+// Connection keys of the config file, read once per config path instead of on every request
+let cachedConfig = null;
+
+/**
+ * Proxy agent that also trusts the extra CA for the tunnelled connection to the API
+ * (HttpsProxyAgent only applies its options to the connection to the proxy itself).
+ */
+class TunnelAgent extends HttpsProxyAgent {
+    constructor(proxy, options) {
+        super(proxy, options);
+        this.targetCa = options.ca;
+    }
+
+    connect(req, options) {
+        return super.connect(req, this.targetCa ? { ...options, ca: this.targetCa } : options);
+    }
+}
+
+/**
+ * @typedef {Object} ConnectionSettings
+ * @property {string} apiUrl - API base URL without the /v1 suffix
+ * @property {string|null} proxy - Proxy URL, if one is configured
+ * @property {string|null} caCert - Path of an extra PEM CA certificate (bundle), if one is configured
+ */
+
+/**
+ * Read an environment variable, treating empty and "undefined" as unset
+ * @param {...string} names - Variables to check, in order
+ * @returns {string|null} First value found
+ */
+export function readEnv(...names) {
+    for (const name of names) {
+        const value = process.env[name];
+        if (value && value !== 'undefined') {
+            return value.trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Normalize an API base URL ("https://bt.example.com/v1/" → "https://bt.example.com")
+ * @param {string} value - URL to normalize
+ * @returns {string} URL without trailing slashes or /v1
+ * @throws {Error} If the value isn't an http(s) URL
+ */
+export function normalizeApiUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`Invalid API URL "${value}"`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Invalid API URL "${value}" (must start with https:// or http://)`);
+    }
+    return url.toString().replace(/\/+$/, '').replace(/\/v1$/, '');
+}
+
+/**
+ * Read the connection keys of the config file
+ * The file is only read the first time (and again if BRAINTRUST_CLI_CONFIG points elsewhere),
+ * so an unreadable config is reported once rather than on every request.
+ * @returns {Object} "apiUrl", "proxy" and "caCert" from the config file
+ */
+function loadConnectionConfig() {
+    const configPath = getConfigPath();
+    if (cachedConfig?.path !== configPath) {
+        let config = {};
+        try {
+            config = loadConfig();
+        } catch (error) {
+            console.warn(`Warning: ${error.message}; using default connection settings`);
+        }
+        cachedConfig = { path: configPath, apiUrl: config.apiUrl, proxy: config.proxy, caCert: config.caCert };
+    }
+    return cachedConfig;
+}
+
+/**
+ * Resolve the connection settings
+ * Environment: BRAINTRUST_API_URL, HTTPS_PROXY (or HTTP_PROXY), BRAINTRUST_CA_CERT.
+ * Config file: "apiUrl", "proxy", "caCert".
+ * The environment is checked on every call, since profiles and flags change it as the CLI runs.
+ * @returns {ConnectionSettings} Resolved settings
+ * @throws {Error} If the configured API URL is invalid
+ */
+export function getConnectionSettings() {
+    const config = loadConnectionConfig();
+
+    return {
+        apiUrl: normalizeApiUrl(readEnv('BRAINTRUST_API_URL') || config.apiUrl || DEFAULT_API_URL),
+        proxy: readEnv('HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy') || config.proxy || null,
+        caCert: readEnv('BRAINTRUST_CA_CERT') || config.caCert || null,
+    };
+}
+
+/**
+ * Get the versioned API base that endpoints are appended to
+ * @returns {string} e.g. https://api.braintrust.dev/v1
+ */
+export function getApiBase() {
+    return `${getConnectionSettings().apiUrl}/v1`;
+}
+
+/**
+ * Check whether NO_PROXY exempts a host from the proxy
+ * Entries are host names or domain suffixes ("example.com", ".example.com"), optionally
+ * with a port; "*" exempts every host.
+ * @param {URL} target - Request URL
+ * @returns {boolean} True if the request should bypass the proxy
+ */
+function bypassesProxy(target) {
+    const noProxy = readEnv('NO_PROXY', 'no_proxy');
+    if (!noProxy) {
+        return false;
+    }
+
+    const hostname = target.hostname.toLowerCase();
+    const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+        const [host, entryPort] = entry.toLowerCase().split(':');
+        if (entryPort && entryPort !== port) {
+            return false;
+        }
+        const domain = host.replace(/^\*?\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Get the axios options that route a request through the configured proxy and CA
+ * Spread into every axios call; returns no options when neither is configured so
+ * axios keeps its defaults.
+ * @param {string} url - Request URL
+ * @returns {Object} axios request options ({ httpsAgent, proxy })
+ * @throws {Error} If the CA certificate file can't be read
+ */
+export function getRequestOptions(url) {
+    const { proxy, caCert } = getConnectionSettings();
+    const target = new URL(url);
+    const useProxy = proxy && !bypassesProxy(target);
+    if (!useProxy && !caCert) {
+        // No proxy for this host: stop axios from picking one up from the environment itself
+        return proxy ? { proxy: false } : {};
+    }
+
+    if (target.protocol === 'http:') {
+        // Plain HTTP (e.g. a local deployment) needs no tunnel; axios forwards through the proxy itself
+        if (!useProxy) {
+            return { proxy: false };
+        }
+        const proxyUrl = new URL(proxy);
+        return {
+            proxy: {
+                protocol: proxyUrl.protocol.replace(':', ''),
+                host: proxyUrl.hostname,
+                port: Number(proxyUrl.port) || (proxyUrl.protocol === 'https:' ? 443 : 80),
+                ...(proxyUrl.username ? { auth: { username: decodeURIComponent(proxyUrl.username), password: decodeURIComponent(proxyUrl.password) } } : {}),
+            },
+        };
+    }
+
+    const key = `${useProxy ? proxy : ''}|${caCert || ''}`;
+    if (!cachedAgent || cachedAgent.key !== key) {
+        const agentOptions = { keepAlive: true };
+        if (caCert) {
+            try {
+                // Trust the extra certificate on top of the bundled public CAs
+                agentOptions.ca = [...tls.rootCertificates, fs.readFileSync(caCert, 'utf8')];
+            } catch (error) {
+                throw new Error(`Could not read CA certificate ${caCert}: ${error.message}`);
+            }
+        }
+        cachedAgent = {
+            key,
+            agent: useProxy ? new TunnelAgent(proxy, agentOptions) : new https.Agent(agentOptions),
+        };
+    }
+
+    // proxy: false stops axios applying its own proxy handling on top of the agent
+    return { httpsAgent: cachedAgent.agent, proxy: false };
+}
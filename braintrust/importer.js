@@ -0,0 +1,324 @@
+/**
+ * Import CSV or JSON Lines files into a Braintrust dataset
+ * Each file column is mapped to a part of the dataset event (input, expected, metadata,
+ * tags or id); rows are converted as they are read and inserted in batches.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createHash } from 'crypto';
+import { parse } from 'csv-parse';
+import { insertDatasetEvents } from './api.js';
+import { hashFile } from './manifest.js';
+
+export const IMPORT_ROLES = ['input', 'expected', 'metadata', 'tags', 'id', 'skip'];
+
+const INSERT_BATCH_SIZE = 500;   // Events per insert request
+const SAMPLE_ROWS = 5;           // Rows kept to preview the file
+
+// Columns written by exports that describe the original event rather than its content
+const SYSTEM_COLUMNS = ['_xact_id', '_pagination_key', 'created', 'dataset_id', 'project_id', 'root_span_id',
+    'span_id', 'span_parents', 'span_attributes', 'origin', 'is_root', 'comments', 'audit_data'];
+
+/**
+ * @typedef {Object} ImportFileInfo
+ * @property {string} format - 'csv' or 'jsonl'
+ * @property {string[]} columns - Column names (CSV header, or every top-level key in a JSON Lines file)
+ * @property {Array<Object>} sampleRows - First rows of the file, keyed by column
+ */
+
+/**
+ * Determine the file format from its extension
+ * @param {string} filePath - File to import
+ * @returns {string} 'csv' or 'jsonl'
+ * @throws {Error} If the extension isn't supported
+ */
+export function getImportFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') return 'csv';
+    if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+    throw new Error(`Unsupported file type "${extension || path.basename(filePath)}" (expected .csv or .jsonl)`);
+}
+
+/**
+ * Read the rows of a CSV or JSON Lines file one at a time
+ * The file is closed when the caller stops early (e.g. breaks out of its loop).
+ * @param {string} filePath - File to import
+ * @returns {AsyncGenerator<Object>} Rows keyed by column name
+ */
+export async function* readImportRows(filePath) {
+    const format = getImportFormat(filePath);
+    const input = fs.createReadStream(filePath, format === 'csv' ? {} : { encoding: 'utf8' });
+
+    try {
+        if (format === 'csv') {
+            const parser = input.pipe(parse({
+                columns: true,
+                bom: true,
+                skip_empty_lines: true,
+                relax_column_count: true,
+            }));
+            for await (const row of parser) {
+                yield row;
+            }
+            return;
+        }
+
+        const reader = readline.createInterface({ input, crlfDelay: Infinity });
+        let lineNumber = 0;
+        for await (const line of reader) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            let row;
+            try {
+                row = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${lineNumber} of ${filePath} is not valid JSON: ${error.message}`);
+            }
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                throw new Error(`Line ${lineNumber} of ${filePath} is not a JSON object`);
+            }
+            yield row;
+        }
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Read the columns and a few sample rows of a file to import
+ * A CSV header names every column up front; a JSON Lines file is read to the end, so keys
+ * that first appear late in the file are mapped like the others.
+ * @param {string} filePath - File to import
+ * @returns {Promise<ImportFileInfo>} File format, columns and sample rows
+ * @throws {Error} If the file doesn't exist, has an unsupported type or is empty
+ */
+export async function inspectImportFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const format = getImportFormat(filePath);
+    const columns = new Set();
+    const sampleRows = [];
+    for await (const row of readImportRows(filePath)) {
+        Object.keys(row).forEach(column => columns.add(column));
+        if (sampleRows.length < SAMPLE_ROWS) {
+            sampleRows.push(row);
+        } else if (format === 'csv') {
+            break;
+        }
+    }
+
+    if (sampleRows.length === 0) {
+        throw new Error(`${filePath} contains no rows`);
+    }
+    return { format, columns: Array.from(columns), sampleRows };
+}
+
+/**
+ * Suggest a role for each column from its name
+ * input/expected/metadata/tags/id columns (and dotted columns such as "input.question"
+ * or "metadata.model", as written by CSV exports) map to their part of the event;
+ * export bookkeeping columns are skipped and anything else becomes metadata.
+ * @param {string[]} columns - Column names
+ * @returns {Object<string, string>} Role for each column
+ */
+export function suggestColumnMapping(columns) {
+    const mapping = {};
+    for (const column of columns) {
+        const root = column.split('.')[0].toLowerCase();
+        if (['input', 'expected', 'metadata', 'tags', 'id'].includes(root)) {
+            mapping[column] = root;
+        } else if (SYSTEM_COLUMNS.includes(root) || ['output', 'scores', 'metrics', 'error'].includes(root)) {
+            mapping[column] = 'skip';
+        } else {
+            mapping[column] = 'metadata';
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Parse a cell value from a CSV file
+ * JSON objects and arrays (e.g. flattened arrays written by CSV exports) are decoded;
+ * every other value stays a string so identifiers like "007" keep their exact text.
+ * @param {string} value - Raw cell
+ * @returns {any} Parsed value (undefined for empty cells)
+ */
+function parseCell(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const trimmed = value.trim();
+    if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Set a value at a nested path, creating objects along the way
+ * @param {Object} target - Object to modify
+ * @param {string[]} keys - Path within target
+ * @param {any} value - Value to set
+ */
+function setPath(target, keys, value) {
+    let current = target;
+    keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    });
+    current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Convert tags from a cell (JSON array or comma-separated list) to an array of strings
+ * @param {any} value - Parsed cell value
+ * @returns {string[]} Tags
+ */
+function toTags(value) {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Build a dataset event from a file row
+ *
+ * A column named exactly like its role supplies the whole value (a "metadata" object is merged);
+ * otherwise each mapped column becomes a key (with the "input." / "expected." / "metadata." prefix
+ * removed and dots nested), so several columns combine into one object. Tags accept a JSON array
+ * or comma-separated list, and an id column makes re-runs update rows instead of adding them.
+ *
+ * @param {Object} row - File row keyed by column
+ * @param {Object<string, string>} mapping - Role for each column
+ * @param {string} format - 'csv' or 'jsonl' (CSV cells are parsed, JSON values are used as is)
+ * @returns {Object|null} Dataset event, or null if the row has no mapped values
+ */
+export function buildDatasetEvent(row, mapping, format) {
+    const event = {};
+    let hasValues = false;
+
+    for (const [column, role] of Object.entries(mapping)) {
+        if (role === 'skip') continue;
+        const value = format === 'csv' ? parseCell(row[column]) : row[column];
+        if (value === undefined || value === null) continue;
+        hasValues = true;
+
+        if (role === 'id') {
+            event.id = String(value);
+        } else if (role === 'tags') {
+            event.tags = [...(event.tags || []), ...toTags(value)];
+        } else if (column.toLowerCase() === role && (role !== 'metadata' || isPlainObject(value))) {
+            event[role] = role === 'metadata' ? { ...(event.metadata || {}), ...value } : value;
+        } else {
+            const prefix = `${role}.`;
+            const key = column.toLowerCase().startsWith(prefix) ? column.slice(prefix.length) : column;
+            if (!isPlainObject(event[role])) {
+                event[role] = {};
+            }
+            setPath(event[role], key.split('.').filter(Boolean), value);
+        }
+    }
+
+    return hasValues ? event : null;
+}
+
+/**
+ * Derive the id of an imported row that has no id column
+ * The id comes from the file's content, not its name: the same row of the same file always
+ * gets the same id in a dataset, while an edited or different file with the same name gets
+ * new ids and never overwrites rows imported before. Formatted like a UUID.
+ * @param {string} datasetId - Dataset the row is imported into
+ * @param {string} fileHash - SHA-256 of the file being imported (see hashFile)
+ * @param {number} rowNumber - Row number in the file, starting at 1
+ * @returns {string} Row ID
+ */
+export function getImportRowId(datasetId, fileHash, rowNumber) {
+    const hash = createHash('sha256').update(`${datasetId}\n${fileHash}\n${rowNumber}`).digest('hex');
+    return [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-');
+}
+
+/**
+ * @typedef {Object} ImportResult
+ * @property {number} rowsRead - Rows read from the file
+ * @property {number} inserted - Events inserted into the dataset
+ * @property {number} skipped - Rows with no mapped values
+ */
+
+/**
+ * Import a CSV or JSON Lines file into a dataset
+ * Rows are converted as they are read and inserted INSERT_BATCH_SIZE at a time, so files
+ * of any size stream through. Rows without an id column get an id derived from the dataset,
+ * file content and row number (see getImportRowId), so re-running an interrupted or finished
+ * import of the same file replaces the rows it already inserted instead of duplicating them.
+ *
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} datasetId - Dataset to insert into
+ * @param {string} filePath - File to import
+ * @param {Object<string, string>} mapping - Role for each column (see IMPORT_ROLES)
+ * @param {Function} [onProgress] - Optional callback with the number of events inserted so far
+ * @returns {Promise<ImportResult>} Import counts
+ */
+export async function importFileToDataset(apiKey, datasetId, filePath, mapping, onProgress) {
+    const format = getImportFormat(filePath);
+    const result = { rowsRead: 0, inserted: 0, skipped: 0 };
+    let batch = [];
+
+    const flush = async () => {
+        await insertDatasetEvents(apiKey, datasetId, batch);
+        result.inserted += batch.length;
+        batch = [];
+        console.log(`  → Inserted ${result.inserted} rows...`);
+        if (onProgress) {
+            onProgress(result.inserted);
+        }
+    };
+
+    try {
+        const fileHash = await hashFile(filePath);
+        for await (const row of readImportRows(filePath)) {
+            result.rowsRead++;
+            const event = buildDatasetEvent(row, mapping, format);
+            if (!event) {
+                result.skipped++;
+                continue;
+            }
+            batch.push({ id: getImportRowId(datasetId, fileHash, result.rowsRead), ...event });
+            if (batch.length >= INSERT_BATCH_SIZE) {
+                await flush();
+            }
+        }
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        console.log(`✓ Imported ${result.inserted} rows from ${filePath}`);
+        if (result.skipped > 0) {
+            console.log(`  ⚠ Skipped ${result.skipped} empty row(s)`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`Error importing ${filePath} after ${result.inserted} rows:`, error.message);
+        throw error;
+    }
+}
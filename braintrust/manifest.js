@@ -0,0 +1,116 @@
+/**
+ * Export manifests
+ * Every export writes manifest.json to the project folder, describing each exported file
+ * (row count, columns, SHA-256, timing, truncation and schema drift) and each failed object,
+ * so archived exports can be checked for completeness later.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ManifestObject
+ * @property {string} id - Experiment or dataset ID
+ * @property {string} name - Experiment or dataset name
+ * @property {string} type - 'experiment' or 'dataset'
+ * @property {string|null} file - File path relative to the project folder (null if there were no rows to write; every object of a SQLite export shares the database file)
+ * @property {number} rowCount - Rows in the file
+ * @property {number} newRows - Rows added by this export (less than rowCount for resumed or incremental runs)
+ * @property {number} bytes - File size
+ * @property {string|null} sha256 - SHA-256 of the file (hex)
+ * @property {string[]} columns - CSV header, Parquet schema fields, JSON Lines top-level keys or SQLite events columns
+ * @property {string|null} startedAt - ISO timestamp the object's export started
+ * @property {string|null} finishedAt - ISO timestamp the object's export finished
+ * @property {boolean} hadTruncation - Whether large fields were truncated (CSV)
+ * @property {boolean} schemaDriftDetected - Whether fields appeared after the header or schema was fixed
+ */
+
+/**
+ * @typedef {Object} ExportManifest
+ * @property {number} version - Manifest format version
+ * @property {{ id: string|null, name: string }} project - Exported project
+ * @property {string} format - Export format
+ * @property {string} startedAt - ISO timestamp the export started
+ * @property {string} finishedAt - ISO timestamp the export finished
+ * @property {Object} options - Export settings that shape the files (scope, filters, column profile, ...)
+ * @property {ManifestObject[]} objects - Exported files
+ * @property {Array<Object>} failed - Objects that failed ({ id, name, type, error, startedAt, finishedAt })
+ * @property {{ file: string, sha256: string }|null} summary - Experiment summary file, if one was written
+ */
+
+/**
+ * Get the manifest path for a project export folder
+ * @param {string} projectDir - Project export folder
+ * @returns {string} Path to manifest.json
+ */
+export function getManifestPath(projectDir) {
+    return path.join(projectDir, MANIFEST_FILENAME);
+}
+
+/**
+ * Load the manifest of a project export folder
+ * @param {string} projectDir - Project export folder
+ * @returns {ExportManifest|null} Manifest, or null if none exists or it can't be read
+ */
+export function loadManifest(projectDir) {
+    const manifestPath = getManifestPath(projectDir);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest && Array.isArray(manifest.objects) ? manifest : null;
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable manifest ${manifestPath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Write a manifest atomically (write to a temp file, then rename)
+ * @param {string} projectDir - Project export folder
+ * @param {ExportManifest} manifest - Manifest to save
+ * @returns {string} Path to manifest.json
+ */
+export function saveManifest(projectDir, manifest) {
+    const manifestPath = getManifestPath(projectDir);
+    const tempPath = `${manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2), 'utf8');
+    fs.renameSync(tempPath, manifestPath);
+    return manifestPath;
+}
+
+/**
+ * Compute the SHA-256 of a file without loading it into memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Describe an exported file for the manifest
+ * @param {string} projectDir - Project export folder
+ * @param {string} filePath - Exported file
+ * @returns {Promise<{ file: string|null, bytes: number, sha256: string|null }>} Relative path, size and checksum
+ */
+export async function describeExportFile(projectDir, filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { file: null, bytes: 0, sha256: null };
+    }
+    return {
+        file: path.relative(projectDir, filePath).split(path.sep).join('/'),
+        bytes: fs.statSync(filePath).size,
+        sha256: await hashFile(filePath),
+    };
+}
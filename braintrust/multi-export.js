@@ -0,0 +1,112 @@
+/**
+ * Export several projects (or a whole organization) in one run
+ * Each project is exported with exportProjectData into its own folder; a failure in one
+ * project is recorded and the run moves on to the next.
+ */
+
+import { exportProjectData, sanitizeFilename } from './api.js';
+
+/**
+ * @typedef {Object} ProjectExportOutcome
+ * @property {string} id - Project ID
+ * @property {string} name - Project name
+ * @property {string} status - 'success', 'partial' (some objects failed), 'empty' (nothing to export) or 'failed'
+ * @property {string|null} projectDir - Folder the project was exported to
+ * @property {number} exported - Objects exported
+ * @property {number} failed - Objects that failed
+ * @property {number} rows - Rows in the exported files
+ * @property {string|null} error - Why the project failed (status 'failed')
+ */
+
+/**
+ * @typedef {Object} MultiExportResult
+ * @property {ProjectExportOutcome[]} projects - Outcome per project, in export order
+ * @property {boolean} ok - True if every project exported without failures
+ */
+
+/**
+ * Choose a folder name for each project
+ * Projects whose names map to the same folder get their ID appended so they never overwrite each other.
+ * Only the folder is renamed; the manifest keeps the project's own name.
+ * @param {Array<{ id: string, name: string }>} projects - Projects to export
+ * @returns {Map<string, string>} Folder name (passed to exportProjectData as options.folderName) by project ID
+ */
+function getFolderNames(projects) {
+    const counts = new Map();
+    projects.forEach(project => {
+        const folder = sanitizeFilename(project.name || project.id);
+        counts.set(folder, (counts.get(folder) || 0) + 1);
+    });
+
+    return new Map(projects.map(project => {
+        const name = project.name || project.id;
+        return [project.id, counts.get(sanitizeFilename(name)) > 1 ? `${name}_${project.id.substring(0, 8)}` : name];
+    }));
+}
+
+/**
+ * Print the per-project outcome table
+ * @param {ProjectExportOutcome[]} outcomes - Outcome per project
+ */
+function printSummary(outcomes) {
+    const icons = { success: '✓', partial: '⚠', empty: '-', failed: '✗' };
+    const nameWidth = Math.min(Math.max(...outcomes.map(outcome => outcome.name.length), 7), 40);
+
+    console.log('\n========================================');
+    console.log('  Project Export Summary');
+    console.log('========================================');
+    for (const outcome of outcomes) {
+        const name = outcome.name.length > nameWidth ? `${outcome.name.slice(0, nameWidth - 3)}...` : outcome.name.padEnd(nameWidth);
+        const details = outcome.status === 'failed'
+            ? outcome.error
+            : `${outcome.exported} object(s), ${outcome.rows.toLocaleString()} rows${outcome.failed ? `, ${outcome.failed} failed` : ''}`;
+        console.log(`  ${icons[outcome.status]} ${name}  ${outcome.status.padEnd(7)}  ${details}`);
+    }
+
+    const count = (status) => outcomes.filter(outcome => outcome.status === status).length;
+    console.log(`\n  ${count('success')} succeeded, ${count('partial')} partially failed, ${count('failed')} failed, ${count('empty')} empty (${outcomes.length} project(s))`);
+}
+
+/**
+ * Export several projects, one after another, each into its own folder
+ * Objects within a project still export concurrently under the shared request budget.
+ * @param {string} apiKey - Braintrust API key
+ * @param {Array<{ id: string, name: string }>} projects - Projects to export (e.g. from listProjects)
+ * @param {string} outputDir - Output directory for exports
+ * @param {import('./api.js').ExportOptions} [options] - Export settings applied to every project
+ * @returns {Promise<MultiExportResult>} Outcome per project
+ */
+export async function exportProjects(apiKey, projects, outputDir = './exports', options = {}) {
+    const folderNames = getFolderNames(projects);
+    const outcomes = [];
+
+    for (const [index, project] of projects.entries()) {
+        const name = project.name || project.id;
+        const outcome = { id: project.id, name, status: 'success', projectDir: null, exported: 0, failed: 0, rows: 0, error: null };
+        console.log(`\n[Project ${index + 1}/${projects.length}] ${name}`);
+
+        try {
+            const result = await exportProjectData(apiKey, project.id, outputDir, true, name, { ...options, folderName: folderNames.get(project.id) });
+            outcome.projectDir = result.projectDir;
+            outcome.exported = result.exported.length;
+            outcome.failed = result.failed.length;
+            outcome.rows = result.exported.reduce((total, object) => total + (object.recordCount || 0), 0);
+            if (result.failed.length > 0) {
+                outcome.status = 'partial';
+            } else if (result.exported.length === 0) {
+                outcome.status = 'empty';
+            }
+        } catch (error) {
+            // exportProjectData has already logged the error; keep going with the next project
+            outcome.status = 'failed';
+            outcome.error = error.message;
+        }
+        outcomes.push(outcome);
+    }
+
+    printSummary(outcomes);
+    return {
+        projects: outcomes,
+        ok: outcomes.every(outcome => outcome.status === 'success' || outcome.status === 'empty'),
+    };
+}
@@ -0,0 +1,307 @@
+/**
+ * Export output location and file naming
+ * Files are placed by a path template relative to the export root, e.g. the default
+ * "{project}/{type}/{name}_{id}.{ext}". The leading folders that only depend on the project
+ * and the export time form the export folder, which also holds manifest.json, summary.csv
+ * and the checkpoint/state files; "{project}/{date}/{type}/{name}_{id}.{ext}" keeps one
+ * export folder per project and day.
+ *
+ * Settings come from, in order: command-line flags, BRAINTRUST_EXPORT_DIR /
+ * BRAINTRUST_OUTPUT_TEMPLATE, and "output": { "dir", "template", "snapshots" } in the
+ * per-user config file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { sanitizeFilename } from './utils.js';
+import { MANIFEST_FILENAME } from './manifest.js';
+
+export const DEFAULT_OUTPUT_DIR = './exports';
+export const DEFAULT_OUTPUT_TEMPLATE = '{project}/{type}/{name}_{id}.{ext}';
+
+// Variables that only depend on the project and the export time (allowed in the export folder)
+const EXPORT_VARIABLES = ['project', 'project_id', 'date', 'time', 'timestamp'];
+const TIME_VARIABLES = ['date', 'time', 'timestamp'];
+// Variables that differ per experiment/dataset
+const OBJECT_VARIABLES = ['type', 'name', 'id', 'full_id', 'ext'];
+
+/**
+ * @typedef {Object} OutputSettings
+ * @property {string} dir - Export root directory
+ * @property {string} template - Path template below the root
+ * @property {boolean} snapshot - Put every export in a new timestamped folder
+ */
+
+/**
+ * @typedef {Object} OutputLayout
+ * @property {string} exportDir - Export folder (manifest, summary, checkpoint and state files)
+ * @property {function(Object, string, string): string} getFilePath - (object, type, extension) → file path
+ */
+
+/**
+ * List the variables used in a template segment
+ * @param {string} segment - Path segment
+ * @returns {string[]} Variable names
+ */
+function segmentVariables(segment) {
+    return Array.from(segment.matchAll(/\{([^{}]*)\}/g), match => match[1]);
+}
+
+/**
+ * Validate a path template and split it into export folder and per-object segments
+ * @param {string} template - Path template
+ * @param {boolean} [snapshot] - Add a {timestamp} folder below the export folder (unless it already has one)
+ * @returns {{ folderSegments: string[], objectSegments: string[] }} Template segments
+ * @throws {Error} If the template is malformed
+ */
+export function parseOutputTemplate(template, snapshot = false) {
+    if (!template || !template.trim()) {
+        throw new Error('Output template cannot be empty');
+    }
+    const segments = template.trim().split(/[\\/]+/);
+    if (path.isAbsolute(template) || segments.some(segment => segment === '..' || segment === '.' || segment === '')) {
+        throw new Error(`Invalid output template "${template}" (use a relative path without "." or ".." folders)`);
+    }
+
+    for (const variable of segments.flatMap(segmentVariables)) {
+        if (!EXPORT_VARIABLES.includes(variable) && !OBJECT_VARIABLES.includes(variable)) {
+            throw new Error(`Unknown variable {${variable}} in output template (available: ${[...EXPORT_VARIABLES, ...OBJECT_VARIABLES].map(name => `{${name}}`).join(', ')})`);
+        }
+    }
+
+    // The export folder is every leading folder that doesn't depend on the object
+    let folderCount = 0;
+    while (folderCount < segments.length - 1 && segmentVariables(segments[folderCount]).every(variable => EXPORT_VARIABLES.includes(variable))) {
+        folderCount++;
+    }
+    const folderSegments = segments.slice(0, folderCount);
+    const objectSegments = segments.slice(folderCount);
+
+    if (!folderSegments.some(segment => /\{project(_id)?\}/.test(segment))) {
+        throw new Error(`Output template "${template}" must start with a folder naming the project ({project} or {project_id}) so projects don't share an export folder`);
+    }
+    if (!objectSegments.some(segment => /\{(full_)?id\}/.test(segment))) {
+        throw new Error(`Output template "${template}" must include {id} or {full_id} so every file gets its own name`);
+    }
+
+    if (snapshot && !folderSegments.some(segment => segment.includes('{timestamp}'))) {
+        folderSegments.push('{timestamp}');
+    }
+    const fileName = objectSegments[objectSegments.length - 1];
+    if (!fileName.includes('{ext}')) {
+        objectSegments[objectSegments.length - 1] = `${fileName}.{ext}`;
+    }
+    return { folderSegments, objectSegments };
+}
+
+/**
+ * Check whether the export folder of a template changes with the export time
+ * @param {string} template - Path template
+ * @param {boolean} [snapshot] - Snapshot folders enabled
+ * @returns {boolean} True if repeated exports go to different folders
+ */
+export function isTimestampedLayout(template, snapshot = false) {
+    const { folderSegments } = parseOutputTemplate(template, snapshot);
+    return folderSegments.some(segment => segmentVariables(segment).some(variable => TIME_VARIABLES.includes(variable)));
+}
+
+/**
+ * Resolve the output settings
+ * @param {Object} [overrides] - Values from command-line flags ({ dir, template, snapshot }); undefined entries are ignored
+ * @returns {OutputSettings} Resolved settings
+ * @throws {Error} If the template is malformed
+ */
+export function getOutputSettings(overrides = {}) {
+    let config = {};
+    try {
+        config = loadConfig().output || {};
+    } catch (error) {
+        console.warn(`Warning: ${error.message}; using default output settings`);
+    }
+    const fromEnv = (name) => process.env[name] && process.env[name] !== 'undefined' ? process.env[name] : null;
+
+    const settings = {
+        dir: overrides.dir || fromEnv('BRAINTRUST_EXPORT_DIR') || config.dir || DEFAULT_OUTPUT_DIR,
+        template: overrides.template || fromEnv('BRAINTRUST_OUTPUT_TEMPLATE') || config.template || DEFAULT_OUTPUT_TEMPLATE,
+        snapshot: overrides.snapshot ?? Boolean(config.snapshots),
+    };
+    parseOutputTemplate(settings.template, settings.snapshot);
+    return settings;
+}
+
+/**
+ * Format the time variables of an export
+ * All in UTC so folder names sort chronologically.
+ * @param {Date} date - Export start time
+ * @returns {{ date: string, time: string, timestamp: string }} e.g. 2024-05-01, 134502, 20240501T134502Z
+ */
+function formatTimeVariables(date) {
+    const iso = date.toISOString();
+    const day = iso.slice(0, 10);
+    const time = iso.slice(11, 19).replace(/:/g, '');
+    return { date: day, time, timestamp: `${day.replace(/-/g, '')}T${time}Z` };
+}
+
+/**
+ * Fill a template segment's variables
+ * @param {string} segment - Path segment
+ * @param {Object} values - Variable values
+ * @returns {string} Path segment
+ */
+function fillSegment(segment, values) {
+    return segment.replace(/\{([^{}]*)\}/g, (match, variable) => values[variable]);
+}
+
+/**
+ * Create the output layout of one project export
+ * @param {string} outputDir - Export root directory
+ * @param {Object} options - Layout settings
+ * @param {string} [options.template] - Path template (default: DEFAULT_OUTPUT_TEMPLATE)
+ * @param {boolean} [options.snapshot] - Add a timestamped folder below the export folder
+ * @param {string} options.projectName - Project name ({project})
+ * @param {string} [options.folderName] - Used for {project} instead of the project name (e.g. "<project>_<id8>"
+ *   when several projects of a multi-project export share a name)
+ * @param {string|null} [options.projectId] - Project ID ({project_id})
+ * @param {Date} [options.startedAt] - Export start time ({date}, {time}, {timestamp})
+ * @returns {OutputLayout} Export folder and file path builder
+ * @throws {Error} If the template is malformed, or uses {project_id} without a project ID
+ */
+export function createOutputLayout(outputDir, { template = DEFAULT_OUTPUT_TEMPLATE, snapshot = false, projectName, folderName = null, projectId = null, startedAt = new Date() }) {
+    const { folderSegments, objectSegments } = parseOutputTemplate(template, snapshot);
+    if (!projectId && template.includes('{project_id}')) {
+        throw new Error('Output template uses {project_id}, but the project ID is not known');
+    }
+
+    const exportValues = {
+        project: sanitizeFilename(folderName || projectName),
+        project_id: projectId,
+        ...formatTimeVariables(startedAt),
+    };
+    const exportDir = path.join(outputDir, ...folderSegments.map(segment => fillSegment(segment, exportValues)));
+
+    return {
+        exportDir,
+        getFilePath(object, type, extension) {
+            // sanitizeFilename(name, id) gives "<name>_<id8>" (falling back to the ID for unusable names)
+            const id8 = object.id.substring(0, 8);
+            const safeName = sanitizeFilename(object.name || object.id, object.id).slice(0, -(id8.length + 1));
+            const values = {
+                ...exportValues,
+                type: `${type}s`,
+                name: safeName,
+                id: id8,
+                full_id: object.id.replace(/[^a-z0-9_-]/gi, '_'),
+                ext: extension,
+            };
+            return path.join(exportDir, ...objectSegments.map(segment => fillSegment(segment, values)));
+        },
+    };
+}
+
+/**
+ * Check whether a template segment is the same for every export of a project
+ * @param {string} segment - Path segment
+ * @returns {boolean} True if the segment doesn't use time variables
+ */
+function isFixedSegment(segment) {
+    return segmentVariables(segment).every(variable => !TIME_VARIABLES.includes(variable));
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the most recent export folder of a project
+ * With timestamped layouts this is the newest snapshot holding a manifest; otherwise the
+ * single export folder. Projects that shared a folder name in a multi-project export were
+ * written to "<project>_<id8>" folders, which are found by the project name in their manifest.
+ * @param {string} outputDir - Export root directory
+ * @param {Object} options - Layout settings (see createOutputLayout)
+ * @returns {string|null} Export folder, or null if no export of the project was found
+ */
+export function findLatestExportDir(outputDir, options) {
+    const { folderSegments } = parseOutputTemplate(options.template || DEFAULT_OUTPUT_TEMPLATE, options.snapshot);
+    const fixedValues = { project: sanitizeFilename(options.folderName || options.projectName), project_id: options.projectId || null };
+
+    // Walk the folders that match the template, taking any folder where the time goes
+    let candidates = [outputDir];
+    for (const segment of folderSegments) {
+        if (isFixedSegment(segment)) {
+            candidates = candidates.map(dir => path.join(dir, fillSegment(segment, fixedValues)));
+        } else {
+            candidates = candidates.flatMap(dir => fs.existsSync(dir)
+                ? fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => path.join(dir, entry.name))
+                : []);
+        }
+    }
+
+    const exports = candidates.filter(dir => fs.existsSync(path.join(dir, MANIFEST_FILENAME)));
+    if (exports.length === 0) {
+        if (candidates.length === 1 && fs.existsSync(candidates[0])) {
+            return candidates[0];
+        }
+        return options.folderName ? null : findRenamedExportDir(outputDir, options, folderSegments, fixedValues);
+    }
+    return newestExportDir(exports);
+}
+
+/**
+ * Pick the export folder with the newest manifest
+ * @param {string[]} exportDirs - Export folders holding a manifest
+ * @returns {string} Newest export folder
+ */
+function newestExportDir(exportDirs) {
+    return exportDirs
+        .map(dir => ({ dir, modified: fs.statSync(path.join(dir, MANIFEST_FILENAME)).mtimeMs }))
+        .sort((a, b) => b.modified - a.modified)[0].dir;
+}
+
+/**
+ * Find the newest export of a project written to a "<project>_<id8>" folder (see multi-export.js)
+ * Only layouts whose {project} folder sits below fixed folders are searched.
+ * @param {string} outputDir - Export root directory
+ * @param {Object} options - Layout settings (see createOutputLayout)
+ * @param {string[]} folderSegments - Export folder segments of the template
+ * @param {Object} fixedValues - Values of the project variables
+ * @returns {string|null} Export folder whose manifest names the project, or null if there is none
+ */
+function findRenamedExportDir(outputDir, options, folderSegments, fixedValues) {
+    const projectIndex = folderSegments.findIndex(segment => segmentVariables(segment).includes('project'));
+    if (projectIndex < 0 || !folderSegments.slice(0, projectIndex).every(isFixedSegment) || fixedValues.project_id === null && folderSegments[projectIndex].includes('{project_id}')) {
+        return null;
+    }
+    const parentDir = path.join(outputDir, ...folderSegments.slice(0, projectIndex).map(segment => fillSegment(segment, fixedValues)));
+    if (!fs.existsSync(parentDir)) {
+        return null;
+    }
+
+    const [before, after] = fillSegment(folderSegments[projectIndex], { ...fixedValues, project: '\0' }).split('\0');
+    const pattern = new RegExp(`^${escapeRegExp(before)}(${escapeRegExp(fixedValues.project)}_[a-z0-9]{8})${escapeRegExp(after ?? '')}$`);
+    const exports = fs.readdirSync(parentDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name.match(pattern)?.[1])
+        .filter(Boolean)
+        .map(folderName => findLatestExportDir(outputDir, { ...options, folderName }))
+        .filter(dir => dir && loadManifestProjectName(dir) === options.projectName);
+    return exports.length > 0 ? newestExportDir(exports) : null;
+}
+
+/**
+ * Read the project name recorded in an export folder's manifest
+ * @param {string} exportDir - Export folder
+ * @returns {string|null} Project name, or null without a readable manifest
+ */
+function loadManifestProjectName(exportDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(exportDir, MANIFEST_FILENAME), 'utf8')).project?.name ?? null;
+    } catch (error) {
+        return null;
+    }
+}
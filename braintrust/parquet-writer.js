@@ -0,0 +1,247 @@
+/**
+ * Parquet export writer for analytics pipelines (DuckDB, Spark, pandas)
+ * Infers a typed schema from a sample of streamed events and flushes row groups
+ * as they fill so large experiments stay memory-bounded. Object fields (input, output,
+ * metadata, ...) are free-form and stored as JSON; values that turn up after the sample
+ * and don't fit the schema are kept as JSON in an extra column instead of being dropped.
+ */
+
+import fs from 'fs';
+import parquet from '@dsnp/parquetjs';
+
+const { ParquetSchema, ParquetWriter } = parquet;
+
+const INITIAL_BUFFER_SIZE = 1000;   // Records sampled to infer the schema
+const ROW_GROUP_SIZE = 5000;        // Rows buffered in memory before a row group is flushed
+const COMPRESSION = 'SNAPPY';
+
+// Fields missing from the inferred schema, or whose values no longer fit their column type
+export const EXTRA_FIELDS_COLUMN = '_extra_fields';
+
+// ISO 8601 timestamps as returned by the API (e.g. "2024-05-01T12:34:56.789Z")
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Infer a Parquet field definition from sampled values of a single field
+ * Numbers become DOUBLE, booleans BOOLEAN, ISO strings TIMESTAMP_MILLIS, other strings UTF8.
+ * Anything else (objects, arrays, mixed types) is stored as a JSON column, since the keys
+ * of an object seen in the sample say nothing about the keys of later ones.
+ *
+ * @param {Array} values - Non-null sampled values for the field
+ * @returns {Object} Field definition in ParquetSchema format
+ */
+function inferField(values) {
+    if (values.length === 0) {
+        return { type: 'JSON', optional: true, compression: COMPRESSION };
+    }
+
+    if (values.every(value => typeof value === 'number')) {
+        return { type: 'DOUBLE', optional: true, compression: COMPRESSION };
+    }
+    if (values.every(value => typeof value === 'boolean')) {
+        return { type: 'BOOLEAN', optional: true, compression: COMPRESSION };
+    }
+    if (values.every(value => typeof value === 'string')) {
+        const isTimestamp = values.every(value => ISO_TIMESTAMP_PATTERN.test(value));
+        return { type: isTimestamp ? 'TIMESTAMP_MILLIS' : 'UTF8', optional: true, compression: COMPRESSION };
+    }
+    return { type: 'JSON', optional: true, compression: COMPRESSION };
+}
+
+/**
+ * Infer field definitions for every key seen across a set of records
+ * @param {Array<Object>} objects - Sampled records
+ * @returns {Object} Map of field name to field definition
+ */
+function inferFields(objects) {
+    const valuesByKey = new Map();
+    for (const object of objects) {
+        for (const [key, value] of Object.entries(object)) {
+            if (!valuesByKey.has(key)) {
+                valuesByKey.set(key, []);
+            }
+            if (value !== null && value !== undefined) {
+                valuesByKey.get(key).push(value);
+            }
+        }
+    }
+
+    const fields = {};
+    for (const key of Array.from(valuesByKey.keys()).sort()) {
+        fields[key] = inferField(valuesByKey.get(key));
+    }
+    return fields;
+}
+
+/**
+ * Convert a value to the type of its column
+ * @param {any} value - Non-null field value
+ * @param {Object} field - Field definition
+ * @returns {any} Converted value, or undefined if it doesn't fit the column type
+ */
+function coerceValue(value, field) {
+    switch (field.type) {
+        case 'DOUBLE':
+            return typeof value === 'number' ? value : undefined;
+        case 'BOOLEAN':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'TIMESTAMP_MILLIS': {
+            const time = typeof value === 'string' ? Date.parse(value) : NaN;
+            return isNaN(time) ? undefined : new Date(time);
+        }
+        case 'UTF8':
+            return typeof value === 'string' ? value : undefined;
+        default:
+            // parquetjs treats a bare array as repeated values, so wrap it to store it as one JSON value
+            return Array.isArray(value) ? [value] : value;
+    }
+}
+
+/**
+ * Convert a record to match the inferred schema
+ * Fields missing from the schema and values that no longer fit their column type are moved
+ * to the EXTRA_FIELDS_COLUMN JSON column and reported so the caller can flag schema drift.
+ *
+ * @param {Object} record - Event from the API
+ * @param {Object} fields - Field definitions the record must match
+ * @returns {{ row: Object, drifted: boolean }} Converted row and whether anything moved to the extra column
+ */
+export function coerceRecord(record, fields) {
+    const row = {};
+    const extra = {};
+
+    for (const [key, value] of Object.entries(record)) {
+        if (value === null || value === undefined) {
+            continue;
+        }
+        const coerced = fields[key] && key !== EXTRA_FIELDS_COLUMN ? coerceValue(value, fields[key]) : undefined;
+        if (coerced === undefined) {
+            extra[key] = value;
+        } else {
+            row[key] = coerced;
+        }
+    }
+
+    const drifted = Object.keys(extra).length > 0;
+    if (drifted) {
+        row[EXTRA_FIELDS_COLUMN] = extra;
+    }
+    return { row, drifted };
+}
+
+/**
+ * Stream records to a Parquet file with a typed schema
+ *
+ * Mirrors the CSV writer's sampling approach:
+ * - Buffers first 1000 records to infer column types
+ * - Streams remaining records into row groups of ROW_GROUP_SIZE rows
+ * - Warns if fields or types appear that don't fit the inferred schema, and keeps them as JSON
+ *   in the EXTRA_FIELDS_COLUMN column
+ *
+ * @param {Array|AsyncIterator} records - Records to export (array or async iterator)
+ * @param {string} filePath - Output file path
+ * @param {Function} [onProgress] - Optional callback for progress updates
+ * @returns {Object} Object with recordCount, columns, hadTruncation, and schemaDriftDetected flags
+ */
+export async function streamParquetToFile(records, filePath, onProgress) {
+    const buffer = [];
+    let recordCount = 0;
+    let schemaDriftDetected = false;
+    let writer = null;
+    let fields = null;
+    let fileCreated = false;
+
+    // Infer the schema from the buffered sample and write it out
+    const openWriter = async () => {
+        fields = { ...inferFields(buffer), [EXTRA_FIELDS_COLUMN]: { type: 'JSON', optional: true, compression: COMPRESSION } };
+        fileCreated = true;
+        writer = await ParquetWriter.openFile(new ParquetSchema(fields), filePath, { rowGroupSize: ROW_GROUP_SIZE });
+        await appendRecords(buffer.splice(0));
+    };
+
+    const appendRecords = async (recordsArray) => {
+        for (const record of recordsArray) {
+            const { row, drifted } = coerceRecord(record, fields);
+            if (drifted && !schemaDriftDetected) {
+                schemaDriftDetected = true;
+                console.log('');
+                console.log(`  ⚠ Schema drift detected: fields or types changed after initial sample`);
+                console.log(`  ⚠ Values that don't fit the inferred Parquet schema are kept as JSON in the ${EXTRA_FIELDS_COLUMN} column`);
+                console.log('');
+            }
+            await writer.appendRow(row);
+        }
+        recordCount += recordsArray.length;
+    };
+
+    try {
+        // Check if records is an async iterator or array
+        const isAsyncIterable = records[Symbol.asyncIterator];
+        const recordsToProcess = isAsyncIterable ? records : [records];
+
+        for await (const batch of recordsToProcess) {
+            // Handle both single records and batches
+            const recordsArray = Array.isArray(batch) ? batch : [batch];
+
+            if (recordsArray.length === 0) continue;
+
+            // Phase 1: Buffer initial records to infer the schema
+            if (!writer) {
+                buffer.push(...recordsArray);
+                if (buffer.length >= INITIAL_BUFFER_SIZE) {
+                    await openWriter();
+                    if (onProgress) {
+                        onProgress(recordCount);
+                    }
+                }
+                continue;
+            }
+
+            // Phase 2: Stream remaining records into row groups
+            await appendRecords(recordsArray);
+
+            if (onProgress) {
+                onProgress(recordCount);
+            }
+        }
+
+        // Handle case where we buffered records but never reached INITIAL_BUFFER_SIZE
+        if (!writer && buffer.length > 0) {
+            await openWriter();
+        }
+
+        if (writer) {
+            await writer.close();
+        }
+
+        if (recordCount === 0) {
+            console.log(`No data to export to ${filePath}`);
+        } else {
+            console.log(`✓ Exported ${recordCount} records to ${filePath}`);
+            if (schemaDriftDetected) {
+                console.log(`  ⚠ Note: Schema drift was detected - late fields are in the ${EXTRA_FIELDS_COLUMN} column`);
+            }
+        }
+
+        return { recordCount, columns: fields ? Object.keys(fields) : [], hadTruncation: false, schemaDriftDetected };
+    } catch (error) {
+        // A Parquet file without its footer can't be read, so release it and remove what was written
+        if (writer && !writer.closed) {
+            await writer.close().catch(() => {});
+        }
+        if (fileCreated) {
+            fs.rmSync(filePath, { force: true });
+        }
+        console.error(`Error streaming Parquet to ${filePath}:`, error.message);
+        throw error;
+    }
+}
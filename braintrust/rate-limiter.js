@@ -1,6 +1,7 @@
 /**
  * Rate limiting and retry utility for Braintrust API calls
- * Handles 429 responses with exponential backoff and Retry-After header support
+ * Paces every request through a shared, header-driven token bucket and
+ * handles 429 responses with exponential backoff and Retry-After header support
  */
 
 /**
@@ -10,6 +11,204 @@
  * @property {number} maxBackoff - Maximum backoff delay in ms (default: 30000)
  */
 
+/**
+ * @typedef {Object} RateLimiter
+ * @property {Function} acquire - Resolves once a request may be sent
+ * @property {Function} observe - Adjust the pace from a response's rate-limit headers
+ * @property {Function} pauseUntil - Hold every request until the given time (ms since epoch)
+ * @property {Function} setRequestsPerMinute - Change the maximum sustained request rate
+ * @property {number} requestsPerMinute - Current sustained request rate
+ */
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {number|null} limit - Requests allowed per window, if reported
+ * @property {number} remaining - Requests left in the current window
+ * @property {number} resetAt - When the window resets (ms since epoch)
+ */
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 20;  // Matches the former fixed 3-second pacing
+const DEFAULT_BURST = 3;                         // Requests that may go out back to back after a pause
+const MIN_REQUESTS_PER_MINUTE = 1;               // Never stall completely while the window still has room
+const HEADER_HEADROOM = 0.9;                     // Leave 10% of the reported remaining budget unused
+
+/**
+ * Read a header from an axios response headers object (plain object or AxiosHeaders)
+ * @param {Object} headers - Response headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+function readHeader(headers, name) {
+    if (!headers) return undefined;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === null || value === undefined ? undefined : String(value);
+}
+
+/**
+ * Parse rate-limit headers from an API response
+ * Understands x-ratelimit-* and ratelimit-* names. The reset value may be seconds until
+ * the window resets, or a Unix timestamp in seconds or milliseconds.
+ * @param {Object} headers - Response headers
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {RateLimitStatus|null} Parsed status, or null if the headers aren't present
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+    const header = (name) => readHeader(headers, `x-ratelimit-${name}`) ?? readHeader(headers, `ratelimit-${name}`);
+    const remaining = parseFloat(header('remaining'));
+    const reset = parseFloat(header('reset'));
+    if (isNaN(remaining) || isNaN(reset)) {
+        return null;
+    }
+
+    let resetAt;
+    if (reset > 1e12) {
+        resetAt = reset;                // Unix timestamp in milliseconds
+    } else if (reset > 1e9) {
+        resetAt = reset * 1000;         // Unix timestamp in seconds
+    } else {
+        resetAt = now + reset * 1000;   // Seconds until reset
+    }
+
+    const limit = parseFloat(header('limit'));
+    return { limit: isNaN(limit) ? null : limit, remaining: Math.max(0, remaining), resetAt };
+}
+
+/**
+ * Create a token-bucket rate limiter shared by concurrent callers
+ * Tokens refill continuously at the current rate and the bucket holds up to `burst` tokens.
+ * Waiters are served in arrival order, so concurrent exports share the budget fairly.
+ * 
+ * The rate adapts to the API's rate-limit headers: the remaining requests are spread evenly
+ * over the time left in the window (slowing down as the budget runs low, speeding back up
+ * once it recovers), never exceeding requestsPerMinute. An exhausted window or a 429 pauses
+ * every caller until the window resets.
+ * 
+ * @param {Object} [options] - Limiter settings
+ * @param {number} [options.requestsPerMinute] - Maximum sustained request rate (default: 20)
+ * @param {number} [options.burst] - Bucket capacity (default: 3)
+ * @returns {RateLimiter} Rate limiter
+ */
+export function createRateLimiter({ requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, burst = DEFAULT_BURST } = {}) {
+    let maxRate = requestsPerMinute;
+    let rate = requestsPerMinute;
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let slowedDown = false;
+    let queue = Promise.resolve();
+    
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - lastRefill) * rate / 60000);
+        lastRefill = now;
+    };
+    
+    const setRate = (newRate) => {
+        refill();
+        rate = Math.max(MIN_REQUESTS_PER_MINUTE, Math.min(maxRate, newRate));
+        
+        // Only report changes between full speed and slowed down, not every adjustment
+        const isSlow = rate < maxRate * 0.75;
+        if (isSlow && !slowedDown) {
+            console.log(`  ⏳ API rate limit budget running low, slowing to ${Math.round(rate)} requests/minute`);
+        } else if (!isSlow && slowedDown) {
+            console.log(`  ✓ API rate limit budget recovered, back to ${Math.round(rate)} requests/minute`);
+        }
+        slowedDown = isSlow;
+    };
+    
+    const limiter = {
+        acquire() {
+            const turn = queue.then(async () => {
+                refill();
+                while (tokens < 1 || Date.now() < pausedUntil) {
+                    const pauseMs = pausedUntil - Date.now();
+                    await sleep(pauseMs > 0 ? pauseMs : Math.ceil((1 - tokens) * 60000 / rate));
+                    refill();
+                }
+                tokens -= 1;
+            });
+            queue = turn;
+            return turn;
+        },
+        observe(headers) {
+            const status = parseRateLimitHeaders(headers);
+            if (!status) return;
+            
+            const windowMs = status.resetAt - Date.now();
+            if (windowMs <= 0) {
+                setRate(maxRate);
+            } else if (status.remaining < 1) {
+                limiter.pauseUntil(status.resetAt);
+            } else {
+                setRate(status.remaining * HEADER_HEADROOM * 60000 / windowMs);
+            }
+        },
+        pauseUntil(time) {
+            if (time > pausedUntil) {
+                pausedUntil = time;
+                tokens = Math.min(tokens, 0);
+            }
+        },
+        setRequestsPerMinute(requestsPerMinuteValue) {
+            maxRate = requestsPerMinuteValue;
+            setRate(requestsPerMinuteValue);
+        },
+        get requestsPerMinute() {
+            return rate;
+        }
+    };
+    return limiter;
+}
+
+// One limiter for every API call made by this process
+const sharedLimiter = createRateLimiter();
+
+/**
+ * Send an API request through the process-wide rate limiter
+ * Waits for a slot in the shared budget, then adapts the pace from the response's
+ * rate-limit headers. A 429 pauses every concurrent caller, not just this one.
+ * This is the only place requests are throttled; callers never sleep on their own.
+ * 
+ * @param {Function} sendRequest - Async function performing the request and returning the axios response
+ * @returns {Promise<Object>} The axios response
+ */
+export async function throttledRequest(sendRequest) {
+    await sharedLimiter.acquire();
+    try {
+        const response = await sendRequest();
+        sharedLimiter.observe(response.headers);
+        return response;
+    } catch (error) {
+        if (error.response) {
+            sharedLimiter.observe(error.response.headers);
+            if (error.response.status === 429) {
+                sharedLimiter.pauseUntil(Date.now() + getRetryAfterMs(error.response.headers, 1000));
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Set the maximum process-wide request rate
+ * @param {number} requestsPerMinute - Maximum sustained request rate
+ */
+export function setRequestsPerMinute(requestsPerMinute) {
+    sharedLimiter.setRequestsPerMinute(requestsPerMinute);
+}
+
+/**
+ * Parse a Retry-After header (decimal seconds like "0.294" or integer like "45")
+ * @param {Object} headers - Response headers
+ * @param {number|null} [fallback] - Value to return when the header is missing or invalid
+ * @returns {number|null} Delay in milliseconds, rounded up
+ */
+function getRetryAfterMs(headers, fallback = null) {
+    const retryAfter = parseFloat(readHeader(headers, 'retry-after'));
+    return !isNaN(retryAfter) && retryAfter > 0 ? Math.ceil(retryAfter * 1000) : fallback;
+}
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -128,21 +327,12 @@ export async function withRetry(apiCall, config = {}) {
             let backoffDelay;
             let useRetryAfter = false;
             
-            if (isRateLimitError && error.response?.headers?.['retry-after']) {
-                // Parse Retry-After header (can be decimal seconds like "0.294" or integer like "45")
-                const retryAfterValue = error.response.headers['retry-after'];
-                const retryAfter = parseFloat(retryAfterValue);
-                
-                // Validate: must be a valid number > 0
-                if (!isNaN(retryAfter) && retryAfter > 0) {
-                    backoffDelay = Math.ceil(retryAfter * 1000); // Convert to milliseconds, round up
-                    useRetryAfter = true;
-                } else {
-                    // Invalid Retry-After header, silently fall back to exponential backoff
-                    backoffDelay = calculateBackoff(attempt, initialBackoff, maxBackoff);
-                }
+            const retryAfterMs = isRateLimitError ? getRetryAfterMs(error.response.headers) : null;
+            if (retryAfterMs) {
+                backoffDelay = retryAfterMs;
+                useRetryAfter = true;
             } else {
-                // Use exponential backoff
+                // Use exponential backoff (also when Retry-After is missing or invalid)
                 backoffDelay = calculateBackoff(attempt, initialBackoff, maxBackoff);
             }
 
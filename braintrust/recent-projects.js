@@ -0,0 +1,53 @@
+/**
+ * Recently used projects
+ * The last few projects picked in the interactive menu are kept under "recentProjects"
+ * in the per-user config file, so the project picker can list them first between runs.
+ */
+
+import { loadConfig, saveConfig } from './config.js';
+
+const MAX_RECENT_PROJECTS = 5;
+
+/**
+ * @typedef {Object} RecentProject
+ * @property {string} id - Project ID
+ * @property {string} name - Project name
+ * @property {string|null} created - When the project was created
+ * @property {string} lastUsedAt - ISO timestamp the project was last selected
+ */
+
+/**
+ * List recently used projects, most recent first
+ * @returns {RecentProject[]} Recent projects (empty if none or the config can't be read)
+ */
+export function getRecentProjects() {
+    try {
+        const recent = loadConfig().recentProjects;
+        return Array.isArray(recent) ? recent.filter(project => project && project.id) : [];
+    } catch (error) {
+        // Recents are a convenience; an unreadable config shouldn't block project selection
+        return [];
+    }
+}
+
+/**
+ * Move a project to the top of the recent projects list
+ * @param {Object} project - Selected project ({ id, name, created })
+ */
+export function recordRecentProject(project) {
+    try {
+        const config = loadConfig();
+        const previous = getRecentProjects().find(recent => recent.id === project.id);
+        const entry = {
+            id: project.id,
+            name: project.name,
+            created: project.created || previous?.created || null,
+            lastUsedAt: new Date().toISOString(),
+        };
+        config.recentProjects = [entry, ...getRecentProjects().filter(recent => recent.id !== project.id)]
+            .slice(0, MAX_RECENT_PROJECTS);
+        saveConfig(config);
+    } catch (error) {
+        console.warn(`Warning: Could not save recent projects: ${error.message}`);
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Bounded-concurrency scheduler for exporting several objects at once
+ * API calls are paced separately by the shared rate limiter (see rate-limiter.js),
+ * so raising concurrency overlaps fetching and writing without sending requests faster.
+ */
+
+export const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Run an async worker over a list of items with at most `concurrency` running at a time
+ * Items are started in list order. Workers are expected to record their own failures;
+ * an error thrown by a worker rejects the returned promise.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<void>} Resolves once every item has been processed
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    let next = 0;
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runNext));
+}
+
+/**
+ * Parse a positive integer setting (command-line flag or environment variable)
+ * @param {string|number|undefined} value - Raw value
+ * @param {string} label - Setting name for error messages
+ * @returns {number|undefined} Parsed value, or undefined if not set
+ * @throws {Error} If the value isn't a positive integer
+ */
+export function parsePositiveInteger(value, label) {
+    if (value === undefined || value === null || value === '' || value === 'undefined') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${label}: "${value}" (expected a positive whole number)`);
+    }
+    return number;
+}
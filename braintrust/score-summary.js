@@ -0,0 +1,257 @@
+/**
+ * Per-experiment score summaries
+ * Aggregates are accumulated batch by batch while events stream to the export writer,
+ * then written as one summary.csv row per experiment in the project folder.
+ *
+ * The fields each summary needs are also kept per event in a summary state file
+ * (.export-summaries/<experiment id>.jsonl), so a file that is only partly written by a run
+ * (resumed, incremental or skipped as complete) can be summarized without fetching it again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Parser } from '@json2csv/plainjs';
+
+export const SUMMARY_FILENAME = 'summary.csv';
+export const SUMMARY_STATE_DIR = '.export-summaries';
+
+/**
+ * Check whether an event is the top-level span of its trace (one row of an experiment)
+ * @param {Object} record - Experiment event
+ * @returns {boolean}
+ */
+export function isRootSpan(record) {
+    return record.is_root ?? !(Array.isArray(record.span_parents) && record.span_parents.length > 0);
+}
+
+/**
+ * Compute a percentile of sorted values with linear interpolation (p = 0.5 is the median)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null} Percentile, or null if there are no values
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Round a statistic for the CSV, hiding floating point noise
+ * @param {number|null} value - Statistic
+ * @returns {number|null} Value rounded to 6 decimals
+ */
+function round(value) {
+    return value === null || value === undefined ? null : Number(value.toFixed(6));
+}
+
+/**
+ * Mean, median and p95 of a list of values
+ * @param {number[]} values - Values in any order (sorted in place)
+ * @returns {{ mean: number|null, median: number|null, p95: number|null }}
+ */
+function describe(values) {
+    values.sort((a, b) => a - b);
+    const mean = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    return { mean: round(mean), median: round(percentile(values, 0.5)), p95: round(percentile(values, 0.95)) };
+}
+
+/**
+ * Create an accumulator for the summary of one experiment
+ *
+ * - Rows, scores and durations come from root spans, so scores copied onto scorer
+ *   child spans aren't counted twice
+ * - Errors count rows whose trace has an error on any span
+ * - Token counts are summed over every span, since LLM calls are logged as child spans
+ *
+ * @param {Object} experiment - Experiment from fetchExperiments
+ * @returns {{ add: Function, toRow: Function, scoreNames: Function }} Accumulator
+ */
+export function createExperimentSummary(experiment) {
+    let rows = 0;
+    const durations = [];
+    const scores = new Map();
+    const erroredTraces = new Set();
+    const tokens = { prompt: 0, completion: 0, total: 0 };
+
+    return {
+        /**
+         * Add a batch of events to the summary
+         * @param {Array<Object>} records - Experiment events
+         */
+        add(records) {
+            for (const record of records) {
+                const metrics = record.metrics || {};
+                if (typeof metrics.prompt_tokens === 'number') tokens.prompt += metrics.prompt_tokens;
+                if (typeof metrics.completion_tokens === 'number') tokens.completion += metrics.completion_tokens;
+                if (typeof metrics.tokens === 'number') tokens.total += metrics.tokens;
+                if (record.error !== undefined && record.error !== null) {
+                    erroredTraces.add(record.root_span_id || record.id);
+                }
+
+                if (!isRootSpan(record)) continue;
+                rows++;
+                if (typeof metrics.start === 'number' && typeof metrics.end === 'number') {
+                    durations.push(metrics.end - metrics.start);
+                }
+                for (const [name, value] of Object.entries(record.scores || {})) {
+                    if (typeof value !== 'number') continue;
+                    if (!scores.has(name)) {
+                        scores.set(name, []);
+                    }
+                    scores.get(name).push(value);
+                }
+            }
+        },
+
+        /**
+         * Names of the scores seen so far
+         * @returns {string[]}
+         */
+        scoreNames() {
+            return Array.from(scores.keys());
+        },
+
+        /**
+         * Build the summary.csv row for this experiment
+         * @returns {Object} Row keyed by column
+         */
+        toRow() {
+            const duration = describe(durations);
+            const row = {
+                experiment_id: experiment.id,
+                experiment_name: experiment.name,
+                created: experiment.created,
+                rows,
+                errors: erroredTraces.size,
+                'duration.mean': duration.mean,
+                'duration.median': duration.median,
+                'duration.p95': duration.p95,
+                prompt_tokens: tokens.prompt,
+                completion_tokens: tokens.completion,
+                total_tokens: tokens.total,
+            };
+            for (const [name, values] of scores) {
+                const stats = describe(values);
+                row[`scores.${name}.mean`] = stats.mean;
+                row[`scores.${name}.median`] = stats.median;
+                row[`scores.${name}.p95`] = stats.p95;
+            }
+            return row;
+        },
+    };
+}
+
+/**
+ * Get the summary state file of an experiment in a project export folder
+ * @param {string} projectDir - Project export folder
+ * @param {string} experimentId - Experiment ID
+ * @returns {string} Path to the summary state file
+ */
+export function getSummaryStatePath(projectDir, experimentId) {
+    return path.join(projectDir, SUMMARY_STATE_DIR, `${experimentId}.jsonl`);
+}
+
+/**
+ * Reduce an event to the fields its experiment summary is built from
+ * @param {Object} record - Experiment event
+ * @returns {Object} Event with only id, trace, error, score and metric fields
+ */
+function toSummaryEvent(record) {
+    const metrics = record.metrics || {};
+    return {
+        id: record.id,
+        root_span_id: record.root_span_id,
+        is_root: isRootSpan(record),
+        error: record.error === undefined || record.error === null ? null : true,
+        scores: record.scores,
+        metrics: {
+            start: metrics.start,
+            end: metrics.end,
+            prompt_tokens: metrics.prompt_tokens,
+            completion_tokens: metrics.completion_tokens,
+            tokens: metrics.tokens,
+        },
+    };
+}
+
+/**
+ * Start an empty summary state file for an experiment written from scratch
+ * @param {string} statePath - Summary state file (see getSummaryStatePath)
+ */
+export function resetSummaryState(statePath) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, '', 'utf8');
+}
+
+/**
+ * Append a batch of events to an experiment's summary state file
+ * @param {string} statePath - Summary state file (see getSummaryStatePath)
+ * @param {Array<Object>} records - Experiment events
+ */
+export function appendSummaryState(statePath, records) {
+    if (records.length === 0) return;
+    // Each batch starts on a new line, so a line cut short by a crash never swallows the next one
+    fs.appendFileSync(statePath, '\n' + records.map(record => JSON.stringify(toSummaryEvent(record))).join('\n'), 'utf8');
+}
+
+/**
+ * Rebuild an experiment's summary from its summary state file
+ * The file may hold several versions of an event (appended by incremental runs, or fetched
+ * again after a resume); the last one wins, like in the Braintrust API.
+ * @param {Object} experiment - Experiment from fetchExperiments
+ * @param {string} statePath - Summary state file (see getSummaryStatePath)
+ * @returns {Promise<Object|null>} Summary accumulator, or null if the experiment has no summary state
+ */
+export async function loadExperimentSummary(experiment, statePath) {
+    if (!fs.existsSync(statePath)) {
+        return null;
+    }
+
+    const events = new Map();
+    const reader = readline.createInterface({
+        input: fs.createReadStream(statePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity,
+    });
+    for await (const line of reader) {
+        if (!line.trim()) continue;
+        try {
+            const event = JSON.parse(line);
+            events.set(event.id, event);
+        } catch {
+            // A line cut short by a crash; its event is fetched again by the run that resumes it
+        }
+    }
+
+    const summary = createExperimentSummary(experiment);
+    summary.add(Array.from(events.values()));
+    return summary;
+}
+
+/**
+ * Write summary.csv with one row per experiment
+ * Score columns are the union of every experiment's scores, sorted by name.
+ * @param {Array<Object>} summaries - Accumulators from createExperimentSummary
+ * @param {string} filePath - Output file path
+ */
+export function writeSummaryCSV(summaries, filePath) {
+    try {
+        const rows = summaries.map(summary => summary.toRow());
+        const scoreNames = Array.from(new Set(summaries.flatMap(summary => summary.scoreNames()))).sort();
+        const fields = [
+            'experiment_id', 'experiment_name', 'created', 'rows', 'errors',
+            'duration.mean', 'duration.median', 'duration.p95',
+            'prompt_tokens', 'completion_tokens', 'total_tokens',
+            ...scoreNames.flatMap(name => ['mean', 'median', 'p95'].map(stat => `scores.${name}.${stat}`)),
+        ].map(label => ({ label, value: row => row[label] }));
+
+        fs.writeFileSync(filePath, new Parser({ fields }).parse(rows), 'utf8');
+        console.log(`✓ Wrote summary of ${rows.length} experiment(s) to ${filePath}`);
+    } catch (error) {
+        console.error(`Error writing summary to ${filePath}:`, error.message);
+        throw error;
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * SQLite export of a whole project
+ * Writes every selected experiment and dataset into one database file in the export folder
+ * (<project>.sqlite), so they can be queried together with SQL:
+ *
+ * - objects: one row per experiment/dataset with its metadata from fetchExperiments/fetchDatasets
+ * - events: one row per event, keyed by (object_id, id), with JSON columns for input, output,
+ *   expected, metadata, ... (query them with json_extract)
+ * - scores: one row per event and score name, normalized from each event's scores
+ *
+ * Events stream from the pagination generators and every page is inserted in its own
+ * transaction. The database is built under a temporary name and only replaces the previous
+ * one once every object has been written. If any object fails, an existing database is left
+ * in place and the new one, without the failed objects, is kept as <project>.partial.sqlite.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { fetchExperimentRecordsWithPagination, fetchDatasetRecordsWithPagination, sanitizeFilename } from './api.js';
+import { runWithConcurrency } from './scheduler.js';
+import { hasRecordFilters, describeRecordFilters } from './filters.js';
+import { createExperimentSummary, writeSummaryCSV, isRootSpan, SUMMARY_FILENAME } from './score-summary.js';
+import { saveManifest, describeExportFile, hashFile, MANIFEST_VERSION } from './manifest.js';
+
+// Event fields stored as JSON text
+const JSON_COLUMNS = ['input', 'output', 'expected', 'error', 'metadata', 'metrics', 'tags', 'span_attributes', 'span_parents', 'context', 'origin'];
+const EVENT_COLUMNS = ['object_id', 'id', 'xact_id', 'created', 'root_span_id', 'span_id', 'is_root', ...JSON_COLUMNS, 'data'];
+
+const SCHEMA = `
+    CREATE TABLE objects (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        name TEXT,
+        description TEXT,
+        project_id TEXT,
+        created TEXT,
+        metadata TEXT,
+        data TEXT NOT NULL,
+        event_count INTEGER,
+        exported_at TEXT
+    );
+    CREATE TABLE events (
+        object_id TEXT NOT NULL REFERENCES objects(id),
+        id TEXT NOT NULL,
+        xact_id TEXT,
+        created TEXT,
+        root_span_id TEXT,
+        span_id TEXT,
+        is_root INTEGER,
+        ${JSON_COLUMNS.map(column => `${column} TEXT`).join(',\n        ')},
+        data TEXT NOT NULL,
+        PRIMARY KEY (object_id, id)
+    );
+    CREATE TABLE scores (
+        object_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        value REAL,
+        PRIMARY KEY (object_id, event_id, name),
+        FOREIGN KEY (object_id, event_id) REFERENCES events(object_id, id)
+    );
+    CREATE INDEX events_root_span ON events(object_id, root_span_id);
+    CREATE INDEX scores_name ON scores(name, value);
+`;
+
+/**
+ * Serialize a value for a JSON column
+ * @param {any} value - Field value
+ * @returns {string|null} JSON text, or null for missing values
+ */
+function toJSON(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Create the database schema and the statements used to fill it
+ * @param {Database.Database} db - Open database
+ * @returns {Object} Prepared statements and the per-page insert transaction
+ */
+function prepareDatabase(db) {
+    db.exec(SCHEMA);
+
+    const insertObject = db.prepare(`
+        INSERT OR REPLACE INTO objects (id, type, name, description, project_id, created, metadata, data)
+        VALUES (@id, @type, @name, @description, @project_id, @created, @metadata, @data)`);
+    const insertEvent = db.prepare(`
+        INSERT OR REPLACE INTO events (${EVENT_COLUMNS.join(', ')})
+        VALUES (${EVENT_COLUMNS.map(column => `@${column}`).join(', ')})`);
+    const deleteEventScores = db.prepare('DELETE FROM scores WHERE object_id = ? AND event_id = ?');
+    const insertScore = db.prepare('INSERT INTO scores (object_id, event_id, name, value) VALUES (?, ?, ?, ?)');
+
+    return {
+        insertObject,
+        countEvents: db.prepare('SELECT COUNT(*) AS count FROM events WHERE object_id = ?'),
+        finishObject: db.prepare('UPDATE objects SET event_count = ?, exported_at = ? WHERE id = ?'),
+        // One transaction per fetched page; a newer version of an event replaces the older one
+        insertPage: db.transaction((objectId, records) => {
+            for (const record of records) {
+                const row = {
+                    object_id: objectId,
+                    id: record.id,
+                    xact_id: record._xact_id ?? null,
+                    created: record.created ?? null,
+                    root_span_id: record.root_span_id ?? null,
+                    span_id: record.span_id ?? null,
+                    is_root: isRootSpan(record) ? 1 : 0,
+                    data: JSON.stringify(record),
+                };
+                JSON_COLUMNS.forEach(column => {
+                    row[column] = toJSON(record[column]);
+                });
+                insertEvent.run(row);
+
+                deleteEventScores.run(objectId, record.id);
+                for (const [name, value] of Object.entries(record.scores || {})) {
+                    insertScore.run(objectId, record.id, name, typeof value === 'number' ? value : null);
+                }
+            }
+        }),
+        // Drop whatever a failed object managed to write, so the database only holds complete objects
+        removeObject: db.transaction((objectId) => {
+            db.prepare('DELETE FROM scores WHERE object_id = ?').run(objectId);
+            db.prepare('DELETE FROM events WHERE object_id = ?').run(objectId);
+            db.prepare('DELETE FROM objects WHERE id = ?').run(objectId);
+        }),
+    };
+}
+
+/**
+ * Export the selected experiments and datasets of a project into one SQLite database
+ * Called by exportProjectData for the sqlite format once the objects are selected and the
+ * export folder exists; writes the database, summary.csv and manifest.json there.
+ * @param {string} apiKey - Braintrust API key
+ * @param {Object} context - Export settings
+ * @param {string} context.projectDir - Export folder
+ * @param {string|null} context.projectId - Project ID
+ * @param {string} context.projectName - Project name (names the database file)
+ * @param {Array<Object>} context.experiments - Experiments to export
+ * @param {Array<Object>} context.datasets - Datasets to export
+ * @param {string} context.startedAt - ISO timestamp the export started
+ * @param {number} context.concurrency - Objects exported at once
+ * @param {import('./api.js').ExportOptions} context.options - Export options (only, filters, template, snapshot)
+ * @returns {Promise<import('./api.js').ExportResult>} Summary of exported and failed objects
+ */
+export async function exportProjectToSQLite(apiKey, { projectDir, projectId, projectName, experiments, datasets, startedAt, concurrency, options }) {
+    const { only = null, filters = null, template, snapshot = false } = options;
+    const databasePath = path.join(projectDir, `${sanitizeFilename(projectName)}.sqlite`);
+    const partialPath = path.join(projectDir, `${sanitizeFilename(projectName)}.partial.sqlite`);
+    const tempPath = `${databasePath}.tmp`;
+    const result = { projectDir, databasePath: null, summaryPath: null, manifestPath: null, exported: [], failed: [] };
+
+    fs.rmSync(tempPath, { force: true });
+    const db = new Database(tempPath);
+    // The file is only moved into place once complete, so skip syncing the temporary database
+    db.pragma('journal_mode = MEMORY');
+    db.pragma('synchronous = OFF');
+
+    try {
+        const statements = prepareDatabase(db);
+        console.log(`Writing SQLite database: ${databasePath}`);
+        if (hasRecordFilters(filters)) {
+            console.log(`Filtering records: ${describeRecordFilters(filters)}`);
+        }
+
+        const summaries = new Map();
+        const finished = new Map();
+        const exportTask = async ({ object, type, position, total }) => {
+            const objectStartedAt = new Date().toISOString();
+            try {
+                console.log(`[${position}/${total}] Exporting ${type}: ${object.name || object.id}...`);
+                statements.insertObject.run({
+                    id: object.id,
+                    type,
+                    name: object.name ?? null,
+                    description: object.description ?? null,
+                    project_id: object.project_id ?? projectId,
+                    created: object.created ?? null,
+                    metadata: toJSON(object.metadata),
+                    data: JSON.stringify(object),
+                });
+
+                const fetchOptions = { filters, label: `${type} ${object.name || object.id}` };
+                const pages = type === 'experiment'
+                    ? fetchExperimentRecordsWithPagination(apiKey, object.id, undefined, fetchOptions)
+                    : fetchDatasetRecordsWithPagination(apiKey, object.id, undefined, fetchOptions);
+                const summary = type === 'experiment' ? createExperimentSummary(object) : null;
+
+                for await (const batch of pages) {
+                    summary?.add(batch);
+                    statements.insertPage(object.id, batch);
+                }
+
+                const { count } = statements.countEvents.get(object.id);
+                statements.finishObject.run(count, new Date().toISOString(), object.id);
+                console.log(`✓ Exported ${count} records of ${type} ${object.name || object.id}`);
+
+                result.exported.push({ id: object.id, name: object.name, type, filePath: databasePath, recordCount: count, newRecords: count });
+                finished.set(object.id, { count, startedAt: objectStartedAt, finishedAt: new Date().toISOString() });
+                if (summary) {
+                    summaries.set(object.id, summary);
+                }
+            } catch (error) {
+                console.error(`✗ Failed to export ${type} ${object.name || object.id}:`, error.message);
+                statements.removeObject(object.id);
+                result.failed.push({ id: object.id, name: object.name, type, error: error.message, startedAt: objectStartedAt, finishedAt: new Date().toISOString() });
+            }
+        };
+
+        // Experiments are queued first, then datasets, like the file exports
+        const tasks = [
+            ...experiments.map((object, index) => ({ object, type: 'experiment', position: index + 1, total: experiments.length })),
+            ...datasets.map((object, index) => ({ object, type: 'dataset', position: index + 1, total: datasets.length })),
+        ];
+        await runWithConcurrency(tasks, concurrency, exportTask);
+
+        db.close();
+        // Never replace a previous database with one that is missing objects
+        if (result.failed.length > 0 && fs.existsSync(databasePath)) {
+            fs.renameSync(tempPath, partialPath);
+            console.log(`\n⚠ ${result.failed.length} object(s) failed, so the previous database and manifest were left in place: ${databasePath}`);
+            console.log(`  The new database without the failed objects is ${partialPath}. Re-run the export to retry them.`);
+            return result;
+        }
+        fs.renameSync(tempPath, databasePath);
+        fs.rmSync(partialPath, { force: true });
+        result.databasePath = databasePath;
+
+        const experimentSummaries = experiments.map(object => summaries.get(object.id)).filter(Boolean);
+        if (experimentSummaries.length > 0) {
+            result.summaryPath = path.join(projectDir, SUMMARY_FILENAME);
+            writeSummaryCSV(experimentSummaries, result.summaryPath);
+        }
+
+        // Every object lives in the same database file, so they share its size and checksum
+        const database = await describeExportFile(projectDir, databasePath);
+        const manifest = {
+            version: MANIFEST_VERSION,
+            project: {
+                id: projectId,
+                name: projectName,
+            },
+            format: 'sqlite',
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            options: {
+                template,
+                snapshot,
+                only,
+                filters: hasRecordFilters(filters) ? filters : null,
+            },
+            objects: tasks.filter(task => finished.has(task.object.id)).map(({ object, type }) => {
+                const { count, startedAt: objectStartedAt, finishedAt } = finished.get(object.id);
+                return {
+                    id: object.id,
+                    name: object.name,
+                    type,
+                    ...database,
+                    rowCount: count,
+                    newRows: count,
+                    columns: EVENT_COLUMNS,
+                    startedAt: objectStartedAt,
+                    finishedAt,
+                    hadTruncation: false,
+                    schemaDriftDetected: false,
+                };
+            }),
+            failed: result.failed,
+            summary: result.summaryPath ? { file: SUMMARY_FILENAME, sha256: await hashFile(result.summaryPath) } : null,
+        };
+        result.manifestPath = saveManifest(projectDir, manifest);
+
+        if (result.failed.length > 0) {
+            console.log(`\n⚠ ${result.failed.length} object(s) failed and are not in the database. Re-run the export to retry them.`);
+        }
+        console.log(`\n✓ Export complete!`);
+        console.log(`  Database: ${databasePath}`);
+        if (result.summaryPath) {
+            console.log(`  Summary: ${result.summaryPath}`);
+        }
+        console.log(`  Manifest: ${result.manifestPath}`);
+        return result;
+    } catch (error) {
+        if (db.open) {
+            db.close();
+        }
+        fs.rmSync(tempPath, { force: true });
+        console.error(`Error writing SQLite database ${databasePath}:`, error.message);
+        throw error;
+    }
+}
@@ -29,6 +29,7 @@ export async function getApiKey(forcePrompt = false) {
         console.log(chalk.gray('You can set it via:'));
         console.log(chalk.gray('  - Environment variable: BRAINTRUST_API_KEY'));
         console.log(chalk.gray('  - .env file: BRAINTRUST_API_KEY=your_key_here'));
+        console.log(chalk.gray('  - A saved profile: BRAINTRUST_PROFILE=<name> or the Login menu'));
         console.log(chalk.gray('  - Or enter it below\n'));
     }
 
@@ -38,27 +39,51 @@ export async function getApiKey(forcePrompt = false) {
         throw new Error('API key is required');
     }
 
-    // Optionally save to .env file
+    // Saving (to a profile or .env) is offered once the key has been verified
+    return apiKey.trim();
+}
+
+/**
+ * Write the API key to the .env file in the current directory, replacing any existing entry
+ * @param {string} apiKey - Braintrust API key to save
+ * @throws {Error} If the .env file cannot be read or written
+ */
+export function saveApiKeyToEnv(apiKey) {
     const envPath = path.join(process.cwd(), '.env');
-    const shouldSave = await inputMenu('Save API key to .env file? (y/n): ');
-    
-    if (shouldSave && (shouldSave.toLowerCase() === 'y' || shouldSave.toLowerCase() === 'yes')) {
-        try {
-            let envContent = '';
-            if (fs.existsSync(envPath)) {
-                envContent = fs.readFileSync(envPath, 'utf8');
-                // Remove existing BRAINTRUST_API_KEY if present
-                envContent = envContent.replace(/BRAINTRUST_API_KEY=.*\n/g, '');
-            }
-            envContent += `BRAINTRUST_API_KEY=${apiKey.trim()}\n`;
-            fs.writeFileSync(envPath, envContent);
-            console.log(chalk.green('✓ API key saved to .env file'));
-        } catch (error) {
-            console.log(chalk.yellow('Could not save to .env file, but continuing with current session...'));
-        }
+    let envContent = '';
+    if (fs.existsSync(envPath)) {
+        envContent = fs.readFileSync(envPath, 'utf8');
+        // Remove existing BRAINTRUST_API_KEY if present
+        envContent = envContent.replace(/BRAINTRUST_API_KEY=.*\n/g, '');
     }
+    envContent += `BRAINTRUST_API_KEY=${apiKey}\n`;
+    fs.writeFileSync(envPath, envContent);
+}
 
-    return apiKey.trim();
+/**
+ * Sanitize filename to remove invalid characters and ensure uniqueness
+ * @param {string} name - The name to sanitize
+ * @param {string} [id] - Optional ID to append for uniqueness
+ * @returns {string} Sanitized filename
+ */
+export function sanitizeFilename(name, id = null) {
+    // Replace non-alphanumeric characters with underscores
+    let sanitized = name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    
+    // Collapse consecutive underscores and trim leading/trailing underscores
+    sanitized = sanitized.replace(/_+/g, '_').replace(/^_+|_+$/g, '');
+    
+    // If sanitized name is empty or only underscores, use fallback
+    if (!sanitized || sanitized === '' || /^_*$/.test(sanitized)) {
+        sanitized = id ? id.substring(0, 8) : 'unnamed';
+    }
+    
+    // Append first 8 characters of ID to ensure uniqueness
+    if (id) {
+        const idSuffix = id.substring(0, 8);
+        return `${sanitized}_${idSuffix}`;
+    }
+    return sanitized;
 }
 
 /**
@@ -67,15 +92,73 @@ export async function getApiKey(forcePrompt = false) {
 export async function verifyApiKey(apiKey) {
     try {
         const axios = (await import('axios')).default;
+        const { getApiBase, getRequestOptions } = await import('./http.js');
         // Use the project endpoint to verify the API key
-        const response = await axios.get('https://api.braintrust.dev/v1/project', {
+        const url = `${getApiBase()}/project`;
+        const response = await axios.get(url, {
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
                 'Content-Type': 'application/json',
             },
+            ...getRequestOptions(url),
         });
         return response && response.status === 200;
     } catch (error) {
+        if (!error.response) {
+            // Not a rejected key: the API couldn't be reached (URL, proxy or certificate settings)
+            console.error('Error verifying API key:', error.message);
+        }
         return false;
     }
 }
+
+/**
+ * Match a value against a wildcard pattern (case-insensitive)
+ * Supports * (any characters) and ? (a single character); other characters match literally.
+ * @param {string} value - Value to test (e.g. an experiment name)
+ * @param {string} pattern - Wildcard pattern (e.g. "baseline-*")
+ * @returns {boolean} True if the whole value matches the pattern
+ */
+export function matchesPattern(value, pattern) {
+    if (value === undefined || value === null) {
+        return false;
+    }
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+    return regex.test(String(value));
+}
+
+/**
+ * Score how well a search term fuzzily matches a value (case-insensitive)
+ * Substring matches rank above scattered ones, earlier and tighter matches rank higher,
+ * and scattered matches need every character of the term in order (e.g. "evlprd" → "eval-prod").
+ * @param {string} term - Search term typed by the user
+ * @param {string} value - Value to match (e.g. a project name or ID)
+ * @returns {number|null} Score (higher is better), or null if the value doesn't match
+ */
+export function fuzzyScore(term, value) {
+    const query = term.trim().toLowerCase();
+    const target = String(value ?? '').toLowerCase();
+    if (!query) {
+        return 0;
+    }
+
+    const index = target.indexOf(query);
+    if (index !== -1) {
+        return 1000 - Math.min(index, 100) * 2 - Math.min(target.length - query.length, 100);
+    }
+
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    for (const char of query) {
+        const next = target.indexOf(char, position + 1);
+        if (next === -1) {
+            return null;
+        }
+        streak = next === position + 1 ? streak + 1 : 0;
+        score += 10 + streak * 5 - Math.min(next - position - 1, 9);
+        position = next;
+    }
+    return score;
+}
@@ -0,0 +1,300 @@
+/**
+ * Verify an export folder against its manifest
+ * Recomputes each file's SHA-256 and row count and compares them with manifest.json,
+ * optionally also comparing row counts with the records currently in Braintrust.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { parse } from 'csv-parse';
+import parquet from '@dsnp/parquetjs';
+import { loadManifest, hashFile, getManifestPath, MANIFEST_FILENAME } from './manifest.js';
+import { fetchObjectRowCount } from './api.js';
+import { SUMMARY_STATE_DIR } from './score-summary.js';
+
+const { ParquetReader } = parquet;
+
+// Files the CLI keeps next to the exports that are not listed in the manifest
+const BOOKKEEPING_FILES = [MANIFEST_FILENAME, '.export-checkpoint.json', '.export-state.json'];
+
+/**
+ * @typedef {Object} VerifiedFile
+ * @property {string} id - Experiment or dataset ID
+ * @property {string} name - Experiment or dataset name
+ * @property {string} type - 'experiment' or 'dataset'
+ * @property {string|null} file - File path relative to the project folder
+ * @property {string} status - 'ok', 'missing', 'altered', 'stale' or 'unchecked'
+ * @property {string[]} issues - What didn't match
+ * @property {number|null} rowCount - Rows counted in the file
+ * @property {number|null} apiCount - Records in Braintrust (when checked)
+ * @property {number|null} [distinctCount] - Distinct events in the file (when checked after an incremental export)
+ */
+
+/**
+ * @typedef {Object} VerifyReport
+ * @property {string} projectDir - Verified folder
+ * @property {boolean} ok - True if every file matches
+ * @property {VerifiedFile[]} files - Result per manifest entry
+ * @property {string[]} problems - Export-level problems (failed objects, summary checksum)
+ * @property {string[]} untracked - Export files in the folder that the manifest doesn't list
+ */
+
+/**
+ * Open an exported file for reading, decompressing .gz files on the fly
+ * @param {string} filePath - Exported file
+ * @returns {import('stream').Readable} File contents
+ */
+function openExportFile(filePath) {
+    const stream = fs.createReadStream(filePath);
+    // pipeline passes a corrupt or truncated .gz on as an error instead of stalling the reader
+    return /\.gz$/i.test(filePath) ? pipeline(stream, zlib.createGunzip(), () => {}) : stream;
+}
+
+/**
+ * Count the rows of an exported file
+ * CSV is parsed (cells may contain line breaks), JSON Lines counts non-empty lines
+ * and Parquet reads the row count from the file footer. Gzip-compressed CSV and
+ * JSON Lines files (.csv.gz, .jsonl.gz) are counted as they are decompressed.
+ * A SQLite database holds the whole project, so its events are counted per object.
+ * @param {string} filePath - Exported file
+ * @param {string} [objectId] - Experiment or dataset ID (SQLite databases only)
+ * @returns {Promise<number>} Data rows in the file
+ */
+export async function countFileRows(filePath, objectId = null) {
+    const extension = path.extname(filePath.replace(/\.gz$/i, '')).toLowerCase();
+
+    if (extension === '.sqlite') {
+        // Loaded on demand so the native module is only needed for SQLite exports
+        const { default: Database } = await import('better-sqlite3');
+        const db = new Database(filePath, { readonly: true, fileMustExist: true });
+        try {
+            return db.prepare('SELECT COUNT(*) AS count FROM events WHERE object_id = ?').get(objectId).count;
+        } finally {
+            db.close();
+        }
+    }
+
+    if (extension === '.parquet') {
+        const reader = await ParquetReader.openFile(filePath);
+        try {
+            return Number(reader.getRowCount());
+        } finally {
+            await reader.close();
+        }
+    }
+
+    let rows = 0;
+    if (extension === '.csv') {
+        const parser = pipeline(openExportFile(filePath), parse({ columns: false, relax_column_count: true, bom: true }), () => {});
+        for await (const _record of parser) {
+            rows++;
+        }
+        // The first record is the header
+        return Math.max(rows - 1, 0);
+    }
+
+    const reader = readline.createInterface({
+        input: openExportFile(filePath).setEncoding('utf8'),
+        crlfDelay: Infinity
+    });
+    for await (const line of reader) {
+        if (line.trim()) rows++;
+    }
+    return rows;
+}
+
+/**
+ * Count the distinct event IDs in a CSV or JSON Lines export
+ * Incremental exports append a new row for every changed event, so a file can hold several
+ * versions of one event; this counts each event once.
+ * @param {string} filePath - Exported file (optionally gzip-compressed)
+ * @returns {Promise<number|null>} Distinct IDs, or null for other formats or CSV files without an id column
+ */
+export async function countDistinctIds(filePath) {
+    const extension = path.extname(filePath.replace(/\.gz$/i, '')).toLowerCase();
+    const ids = new Set();
+
+    if (extension === '.csv') {
+        const parser = pipeline(openExportFile(filePath), parse({ columns: false, relax_column_count: true, bom: true }), () => {});
+        let idColumn = null;
+        for await (const record of parser) {
+            if (idColumn === null) {
+                idColumn = record.indexOf('id');
+                if (idColumn < 0) {
+                    parser.destroy();
+                    return null;
+                }
+                continue;
+            }
+            ids.add(record[idColumn]);
+        }
+        return ids.size;
+    }
+
+    if (extension === '.jsonl') {
+        const reader = readline.createInterface({
+            input: openExportFile(filePath).setEncoding('utf8'),
+            crlfDelay: Infinity
+        });
+        for await (const line of reader) {
+            if (line.trim()) ids.add(JSON.parse(line).id);
+        }
+        return ids.size;
+    }
+
+    return null;
+}
+
+/**
+ * List export files below a project folder (relative paths with forward slashes)
+ * @param {string} projectDir - Project export folder
+ * @returns {string[]} Relative file paths
+ */
+function listExportFiles(projectDir) {
+    const files = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                // Folders with their own manifest are separate exports (e.g. snapshots below the project folder)
+                if (entry.name !== SUMMARY_STATE_DIR && !fs.existsSync(path.join(fullPath, MANIFEST_FILENAME))) {
+                    walk(fullPath);
+                }
+            } else if (!BOOKKEEPING_FILES.includes(entry.name) && !entry.name.endsWith('.tmp')) {
+                files.push(path.relative(projectDir, fullPath).split(path.sep).join('/'));
+            }
+        }
+    };
+    walk(projectDir);
+    return files;
+}
+
+/**
+ * Verify the files of an export folder against its manifest
+ *
+ * Each manifest entry ends up as one of:
+ * - missing: the file is gone
+ * - altered: its checksum or row count differs from the manifest
+ * - stale: it is intact, but Braintrust now holds a different number of records (checkApi only)
+ * - unchecked: it is intact, but Braintrust's current record count couldn't be fetched (checkApi only)
+ * - ok
+ *
+ * After an incremental export, files are compared with Braintrust by their distinct events,
+ * since changed events were appended as extra rows.
+ *
+ * @param {string} projectDir - Project export folder (holding manifest.json)
+ * @param {Object} [options] - Verification settings
+ * @param {string} [options.apiKey] - When set, compare row counts with the current records in Braintrust
+ * @returns {Promise<VerifyReport>} Verification results
+ * @throws {Error} If the folder has no readable manifest
+ */
+export async function verifyExport(projectDir, options = {}) {
+    const manifest = loadManifest(projectDir);
+    if (!manifest) {
+        throw new Error(`No manifest found at ${getManifestPath(projectDir)} (only exports made with a manifest can be verified)`);
+    }
+
+    const report = { projectDir, ok: true, files: [], problems: [], untracked: [] };
+    const filtered = Boolean(manifest.options?.filters);
+    // The objects of a SQLite export share one database, so each file is only hashed once
+    const hashes = new Map();
+
+    try {
+        console.log(`Verifying ${manifest.objects.length} file(s) exported ${manifest.finishedAt} from ${manifest.project?.name}...`);
+        if (options.apiKey && filtered) {
+            console.log('  Export used record filters, so row counts are not compared with Braintrust');
+        }
+
+        for (const entry of manifest.objects) {
+            const result = { id: entry.id, name: entry.name, type: entry.type, file: entry.file, status: 'ok', issues: [], rowCount: null, apiCount: null };
+            const filePath = entry.file ? path.join(projectDir, entry.file) : null;
+
+            if (!filePath) {
+                // Nothing was written for an empty object; only its count can be checked
+                result.rowCount = 0;
+            } else if (!fs.existsSync(filePath)) {
+                result.status = 'missing';
+                result.issues.push('file not found');
+            } else {
+                if (!hashes.has(filePath)) {
+                    hashes.set(filePath, await hashFile(filePath));
+                }
+                if (hashes.get(filePath) !== entry.sha256) {
+                    result.issues.push('checksum differs from the manifest');
+                }
+                try {
+                    result.rowCount = await countFileRows(filePath, entry.id);
+                } catch (error) {
+                    result.issues.push(`rows could not be read: ${error.message}`);
+                }
+                if (result.rowCount !== null && result.rowCount !== entry.rowCount) {
+                    result.issues.push(`${result.rowCount} rows, manifest says ${entry.rowCount}`);
+                }
+                if (result.issues.length > 0) {
+                    result.status = 'altered';
+                }
+            }
+
+            if (options.apiKey && !filtered && result.status === 'ok') {
+                let exportedCount = entry.rowCount;
+                if (filePath && manifest.options?.incremental) {
+                    try {
+                        result.distinctCount = await countDistinctIds(filePath);
+                    } catch (error) {
+                        result.issues.push(`event IDs could not be read: ${error.message}`);
+                    }
+                    exportedCount = result.distinctCount ?? exportedCount;
+                }
+                result.apiCount = await fetchObjectRowCount(options.apiKey, entry.type, entry.id);
+                if (result.apiCount === null) {
+                    result.status = 'unchecked';
+                    result.issues.push('current record count unavailable from Braintrust');
+                } else if (result.apiCount !== exportedCount) {
+                    result.status = 'stale';
+                    result.issues.push(`Braintrust now has ${result.apiCount} records, export has ${exportedCount}`);
+                }
+            }
+
+            report.files.push(result);
+            const label = `${entry.type} ${entry.name || entry.id}`;
+            if (result.status === 'ok') {
+                console.log(`  ✓ ${label}${result.issues.length ? ` (${result.issues.join('; ')})` : ''}`);
+            } else {
+                console.log(`  ✗ ${label}: ${result.status} - ${result.issues.join('; ')}`);
+            }
+        }
+
+        if (manifest.failed?.length > 0) {
+            report.problems.push(`${manifest.failed.length} object(s) failed during the export: ${manifest.failed.map(object => object.name || object.id).join(', ')}`);
+        }
+        if (manifest.summary) {
+            const summaryPath = path.join(projectDir, manifest.summary.file);
+            if (!fs.existsSync(summaryPath)) {
+                report.problems.push(`${manifest.summary.file} not found`);
+            } else if (await hashFile(summaryPath) !== manifest.summary.sha256) {
+                report.problems.push(`${manifest.summary.file} checksum differs from the manifest`);
+            }
+        }
+        report.problems.forEach(problem => console.log(`  ✗ ${problem}`));
+
+        // Files the manifest doesn't know about are reported, but don't fail verification
+        const listed = new Set([...manifest.objects.map(entry => entry.file), manifest.summary?.file].filter(Boolean));
+        report.untracked = listExportFiles(projectDir).filter(file => !listed.has(file));
+        if (report.untracked.length > 0) {
+            console.log(`  ⚠ ${report.untracked.length} file(s) not in the manifest: ${report.untracked.join(', ')}`);
+        }
+
+        report.ok = report.problems.length === 0 && report.files.every(file => file.status === 'ok');
+        const mismatched = report.files.filter(file => file.status !== 'ok').length;
+        console.log(report.ok
+            ? `\n✓ All ${report.files.length} file(s) match the manifest`
+            : `\n✗ ${mismatched} file(s) and ${report.problems.length} other problem(s) found`);
+        return report;
+    } catch (error) {
+        console.error(`Error verifying ${projectDir}:`, error.message);
+        throw error;
+    }
+}
@@ -0,0 +1,1065 @@
+import { parseArgs } from 'util';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { verifyApiKey, saveApiKeyToEnv } from '../braintrust/utils.js';
+import { parseRecordFilters } from '../braintrust/filters.js';
+import { listColumnProfiles, getColumnProfile, saveColumnProfile, removeColumnProfile } from '../braintrust/column-profiles.js';
+import { getConfigPath } from '../braintrust/config.js';
+import { normalizeApiUrl, readEnv, DEFAULT_API_URL } from '../braintrust/http.js';
+import { getOutputSettings, isTimestampedLayout, findLatestExportDir } from '../braintrust/output-layout.js';
+import { loadStartupProfile, listCredentialProfiles, getCredentialProfile, saveCredentialProfile, removeCredentialProfile, setActiveProfile, validateProfileName } from '../braintrust/credential-profiles.js';
+import { parsePositiveInteger } from '../braintrust/scheduler.js';
+import { listProjects, exportProjectData, getProjectById, getResumableExport, createDataset, getDatasetById, fetchExperiments, EXPORT_FORMATS } from '../braintrust/api.js';
+import { copyDataset } from '../braintrust/dataset-copy.js';
+import { compareExperiments } from '../braintrust/compare.js';
+import { verifyExport } from '../braintrust/verify.js';
+import { archiveExport, ARCHIVE_FORMATS } from '../braintrust/archive.js';
+import { exportProjects } from '../braintrust/multi-export.js';
+import { inspectImportFile, suggestColumnMapping, importFileToDataset, IMPORT_ROLES } from '../braintrust/importer.js';
+
+/**
+ * Process exit codes used by non-interactive command mode
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    ERROR: 1,          // Unexpected failure (network, API, filesystem)
+    USAGE: 2,          // Unknown command or invalid flags
+    AUTH: 3,           // Missing or invalid API key
+    PARTIAL: 4         // Finished, but some objects failed, row counts don't match or files fail verification
+};
+
+/**
+ * Error raised for invalid command-line usage (reported with exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Connection flags accepted by every command
+ * --profile loads a saved credential profile; the others are applied to the environment after it,
+ * so they take precedence over the profile, BRAINTRUST_API_URL, HTTPS_PROXY, BRAINTRUST_CA_CERT
+ * and the config file (see braintrust/http.js).
+ */
+const CONNECTION_OPTIONS = {
+    'profile': { type: 'string' },
+    'api-url': { type: 'string' },
+    'proxy': { type: 'string' },
+    'ca-cert': { type: 'string' },
+};
+
+/**
+ * Command definitions keyed by the words used to invoke them.
+ * Each command declares its flags in util.parseArgs format; only commands with takesName
+ * accept a positional argument (the profile or column profile name).
+ */
+const COMMANDS = {
+    'export': {
+        usage: 'export (--project-id <id>... | --project-name <name>... | --all-projects) [--out <dir>] [--template <path template>] [--snapshot] [--only experiments|datasets] [--format csv|jsonl|parquet|sqlite] [--gzip] [--archive zip|tar.gz] [--resume] [--incremental] [--complete-headers] [--columns <profile>] [--concurrency <n>] [--requests-per-minute <n>] [--include <pattern>]... [--exclude <pattern>]... [--since <date>] [--until <date>] [--tag <tag>]... [--metadata <key=value>]... [--score <name><op><value>]...',
+        description: 'Export experiments and datasets of one or more projects (each into its own folder)',
+        options: {
+            'project-id': { type: 'string', multiple: true, default: [] },
+            'project-name': { type: 'string', multiple: true, default: [] },
+            'all-projects': { type: 'boolean', default: false },
+            'out': { type: 'string' },
+            'template': { type: 'string' },
+            'snapshot': { type: 'boolean' },
+            'only': { type: 'string' },
+            'format': { type: 'string', default: 'csv' },
+            'gzip': { type: 'boolean', default: false },
+            'archive': { type: 'string' },
+            'resume': { type: 'boolean', default: false },
+            'incremental': { type: 'boolean', default: false },
+            'complete-headers': { type: 'boolean', default: false },
+            'columns': { type: 'string' },
+            'concurrency': { type: 'string' },
+            'requests-per-minute': { type: 'string' },
+            'include': { type: 'string', multiple: true, default: [] },
+            'exclude': { type: 'string', multiple: true, default: [] },
+            'since': { type: 'string' },
+            'until': { type: 'string' },
+            'tag': { type: 'string', multiple: true, default: [] },
+            'metadata': { type: 'string', multiple: true, default: [] },
+            'score': { type: 'string', multiple: true, default: [] },
+        },
+        run: runExport
+    },
+    'import': {
+        usage: 'import (--project-id <id> | --project-name <name>) (--dataset-id <id> | --dataset-name <name>) --file <path> [--map <column=role>]...',
+        description: 'Insert rows from a CSV or JSONL file into a dataset (created if --dataset-name does not exist)',
+        options: {
+            'project-id': { type: 'string' },
+            'project-name': { type: 'string' },
+            'dataset-id': { type: 'string' },
+            'dataset-name': { type: 'string' },
+            'file': { type: 'string' },
+            'map': { type: 'string', multiple: true, default: [] },
+        },
+        run: runImport
+    },
+    'copy-dataset': {
+        usage: 'copy-dataset --source-dataset-id <id> (--target-project-id <id> | --target-project-name <name>) [--target-dataset-id <id> | --target-dataset-name <name>] [--target-key-env <VAR>]',
+        description: 'Copy a dataset into another project or organization (target key from $BRAINTRUST_TARGET_API_KEY or --target-key-env)',
+        options: {
+            'source-dataset-id': { type: 'string' },
+            'target-project-id': { type: 'string' },
+            'target-project-name': { type: 'string' },
+            'target-dataset-id': { type: 'string' },
+            'target-dataset-name': { type: 'string' },
+            'target-key-env': { type: 'string' },
+        },
+        run: runCopyDataset
+    },
+    'compare': {
+        usage: 'compare (--project-id <id> | --project-name <name>) --base <experiment> --candidate <experiment> [--match-key <path>] [--out <dir>]',
+        description: 'Compare two experiments row by row (matched by input or --match-key) and report score regressions and improvements',
+        options: {
+            'project-id': { type: 'string' },
+            'project-name': { type: 'string' },
+            'base': { type: 'string' },
+            'candidate': { type: 'string' },
+            'match-key': { type: 'string', default: 'input' },
+            'out': { type: 'string' },
+        },
+        run: runCompare
+    },
+    'verify': {
+        usage: 'verify (--dir <export folder> | --project-name <name> [--out <dir>]) [--check-api] [--json]',
+        description: 'Check exported files against their manifest (checksums, row counts) and optionally against current Braintrust record counts',
+        options: {
+            'dir': { type: 'string' },
+            'project-name': { type: 'string' },
+            'out': { type: 'string' },
+            'check-api': { type: 'boolean', default: false },
+            'json': { type: 'boolean', default: false },
+        },
+        run: runVerify
+    },
+    'archive': {
+        usage: 'archive (--dir <export folder> | --project-name <name> [--out <dir>]) [--format zip|tar.gz] [--file <path>]',
+        description: 'Package an export folder with its manifest and summary into one .zip or .tar.gz archive (written next to the folder unless --file is given)',
+        options: {
+            'dir': { type: 'string' },
+            'project-name': { type: 'string' },
+            'out': { type: 'string' },
+            'format': { type: 'string', default: 'zip' },
+            'file': { type: 'string' },
+        },
+        run: runArchive
+    },
+    'column-profiles list': {
+        usage: 'column-profiles list [--json]',
+        description: 'List saved CSV column profiles',
+        options: {
+            'json': { type: 'boolean', default: false },
+        },
+        run: runColumnProfilesList
+    },
+    'column-profiles add': {
+        usage: 'column-profiles add <name> --column <path[=header]>...',
+        description: 'Save a CSV column profile, or replace one (columns in output order; paths may use * and ? wildcards)',
+        options: {
+            'column': { type: 'string', multiple: true, default: [] },
+        },
+        takesName: true,
+        run: runColumnProfilesAdd
+    },
+    'column-profiles remove': {
+        usage: 'column-profiles remove <name>',
+        description: 'Delete a CSV column profile',
+        options: {},
+        takesName: true,
+        run: runColumnProfilesRemove
+    },
+    'projects list': {
+        usage: 'projects list [--json]',
+        description: 'List the projects available to your API key',
+        options: {
+            'json': { type: 'boolean', default: false },
+        },
+        run: runProjectsList
+    },
+    'profiles list': {
+        usage: 'profiles list [--json]',
+        description: 'List saved credential profiles (keys are masked)',
+        options: {
+            'json': { type: 'boolean', default: false },
+        },
+        managesProfiles: true,
+        run: runProfilesList
+    },
+    'profiles add': {
+        usage: 'profiles add <name> [--key-stdin] [--project-id <id> | --project-name <name>] [--use]',
+        description: 'Save a credential profile, or update one (the key is read from stdin and verified; --api-url is stored with it)',
+        options: {
+            'key-stdin': { type: 'boolean', default: false },
+            'project-id': { type: 'string' },
+            'project-name': { type: 'string' },
+            'use': { type: 'boolean', default: false },
+        },
+        takesName: true,
+        managesProfiles: true,
+        run: runProfilesAdd
+    },
+    'profiles remove': {
+        usage: 'profiles remove <name>',
+        description: 'Delete a credential profile',
+        options: {},
+        takesName: true,
+        managesProfiles: true,
+        run: runProfilesRemove
+    },
+    'profiles use': {
+        usage: 'profiles use <name>',
+        description: 'Make a credential profile the active one for future runs',
+        options: {},
+        takesName: true,
+        managesProfiles: true,
+        run: runProfilesUse
+    },
+    'login': {
+        usage: 'login --key-stdin [--save]',
+        description: 'Verify an API key read from stdin and optionally save it to .env',
+        options: {
+            'key-stdin': { type: 'boolean', default: false },
+            'save': { type: 'boolean', default: false },
+        },
+        run: runLogin
+    },
+};
+
+/**
+ * Run the CLI non-interactively from command-line arguments
+ * @param {string[]} argv - Arguments after the script name (process.argv.slice(2))
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCommand(argv) {
+    if (argv[0] === 'help' || argv[0] === '--help' || argv[0] === '-h') {
+        printUsage();
+        return EXIT_CODES.SUCCESS;
+    }
+
+    // Prefer two-word commands (e.g. "projects list") over single-word ones
+    let commandName = argv.slice(0, 2).join(' ');
+    let rest = argv.slice(2);
+    if (!COMMANDS[commandName]) {
+        commandName = argv[0];
+        rest = argv.slice(1);
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(chalk.red(`Unknown command: ${argv.join(' ')}\n`));
+        printUsage();
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        const { values, positionals } = parseArgs({
+            args: rest,
+            options: { ...CONNECTION_OPTIONS, ...command.options },
+            allowPositionals: Boolean(command.takesName),
+            strict: true,
+        });
+        if (!command.managesProfiles) {
+            try {
+                loadStartupProfile(values.profile);
+            } catch (error) {
+                throw new UsageError(error.message);
+            }
+        }
+        applyConnectionFlags(values);
+        return await command.run(values, positionals);
+    } catch (error) {
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(chalk.red(`${error.message}\n`));
+            console.error(`Usage: npm start -- ${command.usage} [--profile <name>] [--api-url <url>] [--proxy <url>] [--ca-cert <path>]`);
+            return EXIT_CODES.USAGE;
+        }
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return EXIT_CODES.ERROR;
+    }
+}
+
+/**
+ * Print the list of available commands
+ */
+function printUsage() {
+    console.log('Usage: npm start -- <command> [options]');
+    console.log('Run without arguments to start the interactive menu.\n');
+    console.log('Commands:');
+    for (const command of Object.values(COMMANDS)) {
+        console.log(`  ${command.usage}`);
+        console.log(chalk.gray(`      ${command.description}`));
+    }
+    console.log('\nConnection options (any command):');
+    console.log('  --profile <name>    Use a saved credential profile ($BRAINTRUST_PROFILE)');
+    console.log('  --api-url <url>     Braintrust API URL for self-hosted deployments ($BRAINTRUST_API_URL)');
+    console.log('  --proxy <url>       HTTPS proxy ($HTTPS_PROXY, honors $NO_PROXY)');
+    console.log('  --ca-cert <path>    Extra PEM CA certificate to trust ($BRAINTRUST_CA_CERT)');
+}
+
+/**
+ * Apply connection flags to the environment read by braintrust/http.js
+ * @param {Object} values - Parsed flags
+ * @throws {UsageError} If --api-url isn't a valid URL or --ca-cert doesn't exist
+ */
+function applyConnectionFlags(values) {
+    if (values['api-url'] !== undefined) {
+        try {
+            process.env.BRAINTRUST_API_URL = normalizeApiUrl(values['api-url']);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    if (values['proxy'] !== undefined) {
+        process.env.HTTPS_PROXY = values['proxy'];
+    }
+    if (values['ca-cert'] !== undefined) {
+        if (!fs.existsSync(values['ca-cert'])) {
+            throw new UsageError(`CA certificate not found: ${values['ca-cert']}`);
+        }
+        process.env.BRAINTRUST_CA_CERT = path.resolve(values['ca-cert']);
+    }
+}
+
+/**
+ * Read the API key from the environment (BRAINTRUST_API_KEY or .env, or the applied profile)
+ * @returns {string|null} API key, or null if not configured
+ */
+function getEnvApiKey() {
+    return readEnv('BRAINTRUST_API_KEY');
+}
+
+/**
+ * Read the API key like getEnvApiKey, telling the user how to configure one if it's missing
+ * @returns {string|null} API key, or null (after printing the error) if not configured
+ */
+function requireEnvApiKey() {
+    const apiKey = getEnvApiKey();
+    if (!apiKey) {
+        console.error(chalk.red('✗ No API key found. Set BRAINTRUST_API_KEY, add a profile ("profiles add <name> --key-stdin") or run "login --key-stdin --save".'));
+    }
+    return apiKey;
+}
+
+/**
+ * Read the default project set by the applied profile
+ * @returns {{ id: string, name: string }|null} Default project, or null if there is none
+ */
+function getDefaultProject() {
+    const projectId = process.env.BRAINTRUST_PROJECT_ID;
+    if (!projectId || projectId === 'undefined') {
+        return null;
+    }
+    return { id: projectId, name: process.env.BRAINTRUST_PROJECT_NAME || projectId };
+}
+
+/**
+ * Read all of stdin as a string
+ * @returns {Promise<string>} Contents of stdin
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * export: run exportProjectData without prompting
+ * A single --project-id or --project-name exports that project; repeating them or passing
+ * --all-projects exports each project into its own folder with a summary at the end.
+ */
+async function runExport(values) {
+    const projectIds = values['project-id'];
+    const projectNames = values['project-name'];
+    const projectCount = projectIds.length + projectNames.length;
+
+    if (values['all-projects'] && projectCount > 0) {
+        throw new UsageError('--all-projects cannot be combined with --project-id or --project-name');
+    }
+    if (!values['all-projects'] && projectCount === 0) {
+        // Fall back to the profile's default project
+        const defaultProject = getDefaultProject();
+        if (!defaultProject) {
+            throw new UsageError('Either --project-id, --project-name or --all-projects is required (or a profile with a default project)');
+        }
+        projectIds.push(defaultProject.id);
+    }
+    if (values.only && values.only !== 'experiments' && values.only !== 'datasets') {
+        throw new UsageError(`Invalid value for --only: "${values.only}" (expected "experiments" or "datasets")`);
+    }
+    if (!EXPORT_FORMATS[values.format]) {
+        throw new UsageError(`Invalid value for --format: "${values.format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    if (values.gzip && !EXPORT_FORMATS[values.format].compressible) {
+        throw new UsageError(`--gzip only applies to the ${Object.keys(EXPORT_FORMATS).filter(format => EXPORT_FORMATS[format].compressible).join(' and ')} formats`);
+    }
+    if (values.gzip && values.incremental) {
+        throw new UsageError('--incremental appends to the files of the last export, which can\'t be done with --gzip');
+    }
+    if (values.archive !== undefined && !ARCHIVE_FORMATS[values.archive]) {
+        throw new UsageError(`Invalid value for --archive: "${values.archive}" (expected one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
+    }
+
+    let columnProfile = null;
+    if (values.columns) {
+        if (values.format !== 'csv') {
+            throw new UsageError('--columns only applies to the csv format');
+        }
+        try {
+            columnProfile = getColumnProfile(values.columns);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    let concurrency;
+    let requestsPerMinute;
+    try {
+        concurrency = parsePositiveInteger(values.concurrency, '--concurrency');
+        requestsPerMinute = parsePositiveInteger(values['requests-per-minute'], '--requests-per-minute');
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    let output;
+    try {
+        output = getOutputSettings({ dir: values.out, template: values.template, snapshot: values.snapshot });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if ((values.resume || values.incremental) && isTimestampedLayout(output.template, output.snapshot)) {
+        throw new UsageError('--resume and --incremental continue an earlier export in the same folder, so they can\'t be used with timestamped folders (--snapshot, "snapshots" in the config file, or {date}/{time}/{timestamp} in the template folders)');
+    }
+
+    let filters;
+    try {
+        filters = parseRecordFilters({
+            since: values.since,
+            until: values.until,
+            tags: values.tag,
+            metadata: values.metadata,
+            scores: values.score
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const apiKey = requireEnvApiKey();
+    if (!apiKey) {
+        return EXIT_CODES.AUTH;
+    }
+
+    const exportOptions = {
+        only: values.only,
+        format: values.format,
+        resume: values.resume,
+        incremental: values.incremental,
+        completeHeaders: values['complete-headers'],
+        columnProfile,
+        concurrency,
+        requestsPerMinute,
+        include: values.include,
+        exclude: values.exclude,
+        filters,
+        template: output.template,
+        snapshot: output.snapshot,
+        gzip: values.gzip
+    };
+
+    if (values['all-projects'] || projectCount > 1) {
+        const projects = await listProjects(apiKey);
+        const selected = values['all-projects'] ? projects : [];
+        for (const id of projectIds) {
+            selected.push(projects.find(p => p.id === id) || await getProjectById(apiKey, id));
+        }
+        for (const name of projectNames) {
+            const project = projects.find(p => p.name === name);
+            if (!project) {
+                throw new UsageError(`Project "${name}" not found`);
+            }
+            selected.push(project);
+        }
+        const unique = selected.filter((project, index) => selected.findIndex(p => p.id === project.id) === index);
+
+        console.log(`Exporting ${unique.length} project(s)`);
+        const result = await exportProjects(apiKey, unique, output.dir, exportOptions);
+        let archived = true;
+        if (values.archive) {
+            for (const project of result.projects.filter(outcome => outcome.status === 'success')) {
+                archived = await archiveExportFolder(project.projectDir, values.archive) && archived;
+            }
+        }
+        return result.ok && archived ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+    }
+
+    const projectId = projectIds[0];
+    const projectName = projectNames[0];
+
+    // Resolve the project name for folder creation when only an ID is given
+    let displayName = projectName;
+    if (projectId) {
+        const project = await getProjectById(apiKey, projectId);
+        displayName = project.name;
+    }
+
+    // Resuming must continue in the format the interrupted export was using
+    const checkpoint = values.resume
+        ? getResumableExport(output.dir, displayName, { template: output.template, snapshot: output.snapshot, projectId })
+        : null;
+    if (checkpoint && checkpoint.format !== values.format) {
+        throw new UsageError(`The unfinished export uses the ${checkpoint.format} format; pass --format ${checkpoint.format} to resume it`);
+    }
+    if (checkpoint && Boolean(checkpoint.gzip) !== values.gzip) {
+        throw new UsageError(`The unfinished export ${checkpoint.gzip ? 'is' : 'is not'} gzip-compressed; ${checkpoint.gzip ? 'pass' : 'drop'} --gzip to resume it`);
+    }
+
+    const result = await exportProjectData(
+        apiKey,
+        projectId || projectName,
+        output.dir,
+        Boolean(projectId),
+        displayName,
+        exportOptions
+    );
+
+    if (result.failed.length > 0) {
+        console.error(chalk.red(`\n✗ ${result.failed.length} object(s) failed to export:`));
+        result.failed.forEach(object => console.error(chalk.red(`  - ${object.type} ${object.name || object.id}: ${object.error}`)));
+        return EXIT_CODES.PARTIAL;
+    }
+    // Only complete exports are archived; a partial one is meant to be resumed first
+    if (values.archive && result.manifestPath && !await archiveExportFolder(result.projectDir, values.archive)) {
+        return EXIT_CODES.PARTIAL;
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Package a freshly exported folder for export --archive
+ * A failed archive is reported without failing the export itself.
+ * @param {string} projectDir - Export folder
+ * @param {string} format - 'zip' or 'tar.gz'
+ * @returns {Promise<boolean>} True if the archive was written
+ */
+async function archiveExportFolder(projectDir, format) {
+    try {
+        await archiveExport(projectDir, { format });
+        return true;
+    } catch (error) {
+        console.error(chalk.red(`✗ Could not archive ${projectDir}: ${error.message}`));
+        return false;
+    }
+}
+
+/**
+ * import: insert rows from a CSV or JSONL file into a dataset
+ * Columns are mapped from their names (see suggestColumnMapping) unless overridden with --map
+ */
+async function runImport(values) {
+    const useDefault = !values['project-id'] && !values['project-name'];
+    const projectId = useDefault ? getDefaultProject()?.id : values['project-id'];
+    const projectName = values['project-name'];
+    const datasetId = values['dataset-id'];
+    const datasetName = values['dataset-name'];
+
+    if (!projectId && !projectName) {
+        throw new UsageError('Either --project-id or --project-name is required (or a profile with a default project)');
+    }
+    if (Boolean(datasetId) === Boolean(datasetName)) {
+        throw new UsageError('Exactly one of --dataset-id or --dataset-name is required');
+    }
+    if (!values.file) {
+        throw new UsageError('--file is required');
+    }
+
+    let fileInfo;
+    try {
+        fileInfo = await inspectImportFile(values.file);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    // Start from the suggested mapping and apply --map overrides
+    const mapping = suggestColumnMapping(fileInfo.columns);
+    for (const expression of values.map) {
+        const separator = expression.lastIndexOf('=');
+        const column = expression.slice(0, separator);
+        const role = expression.slice(separator + 1);
+        if (separator <= 0 || !IMPORT_ROLES.includes(role)) {
+            throw new UsageError(`Invalid value for --map: "${expression}" (expected column=${IMPORT_ROLES.join('|')})`);
+        }
+        if (!fileInfo.columns.includes(column)) {
+            throw new UsageError(`Column "${column}" not found in ${values.file} (columns: ${fileInfo.columns.join(', ')})`);
+        }
+        mapping[column] = role;
+    }
+
+    const apiKey = requireEnvApiKey();
+    if (!apiKey) {
+        return EXIT_CODES.AUTH;
+    }
+
+    let resolvedProjectId = projectId;
+    if (!resolvedProjectId) {
+        const project = (await listProjects(apiKey)).find(p => p.name === projectName);
+        if (!project) {
+            throw new Error(`Project "${projectName}" not found`);
+        }
+        resolvedProjectId = project.id;
+    }
+
+    const dataset = datasetId ? await getDatasetById(apiKey, datasetId) : await createDataset(apiKey, resolvedProjectId, datasetName);
+    if (dataset.project_id !== resolvedProjectId) {
+        throw new UsageError(`Dataset ${dataset.name} (${dataset.id}) belongs to project ${dataset.project_id}, not the selected project ${resolvedProjectId}`);
+    }
+    console.log(`Importing ${values.file} into dataset ${dataset.name} (${dataset.id})`);
+    fileInfo.columns.forEach(column => console.log(`  ${column} → ${mapping[column]}`));
+
+    await importFileToDataset(apiKey, dataset.id, values.file, mapping);
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * copy-dataset: copy a dataset into another project, possibly in another organization
+ * The target API key is read from the environment variable named by --target-key-env
+ * (default BRAINTRUST_TARGET_API_KEY), falling back to the source key for same-org copies.
+ */
+async function runCopyDataset(values) {
+    const sourceDatasetId = values['source-dataset-id'];
+    const targetProjectId = values['target-project-id'];
+    const targetProjectName = values['target-project-name'];
+
+    if (!sourceDatasetId) {
+        throw new UsageError('--source-dataset-id is required');
+    }
+    if (!targetProjectId && !targetProjectName) {
+        throw new UsageError('Either --target-project-id or --target-project-name is required');
+    }
+    if (values['target-dataset-id'] && values['target-dataset-name']) {
+        throw new UsageError('Pass only one of --target-dataset-id or --target-dataset-name');
+    }
+
+    const apiKey = requireEnvApiKey();
+    if (!apiKey) {
+        return EXIT_CODES.AUTH;
+    }
+
+    const keyVariable = values['target-key-env'] || 'BRAINTRUST_TARGET_API_KEY';
+    const targetKeyValue = readEnv(keyVariable);
+    if (values['target-key-env'] && !targetKeyValue) {
+        console.error(chalk.red(`✗ Environment variable ${keyVariable} is not set.`));
+        return EXIT_CODES.AUTH;
+    }
+    const targetApiKey = targetKeyValue || apiKey;
+
+    const sourceDataset = await getDatasetById(apiKey, sourceDatasetId);
+
+    let projectId = targetProjectId;
+    if (!projectId) {
+        const project = (await listProjects(targetApiKey)).find(p => p.name === targetProjectName);
+        if (!project) {
+            throw new Error(`Target project "${targetProjectName}" not found`);
+        }
+        projectId = project.id;
+    }
+
+    // Reuse an existing dataset of the target project, or create one (named after the source by default)
+    const targetDataset = values['target-dataset-id']
+        ? await getDatasetById(targetApiKey, values['target-dataset-id'])
+        : await createDataset(targetApiKey, projectId, values['target-dataset-name'] || sourceDataset.name, sourceDataset.description || undefined);
+    if (targetDataset.project_id !== projectId) {
+        throw new UsageError(`Target dataset ${targetDataset.name} (${targetDataset.id}) belongs to project ${targetDataset.project_id}, not the target project ${projectId}`);
+    }
+    if (targetDataset.id === sourceDataset.id) {
+        throw new UsageError('The target dataset is the source dataset');
+    }
+
+    console.log(`Copying dataset ${sourceDataset.name} (${sourceDataset.id}) to ${targetDataset.name} (${targetDataset.id})`);
+    const result = await copyDataset(
+        { apiKey, datasetId: sourceDataset.id },
+        { apiKey: targetApiKey, datasetId: targetDataset.id }
+    );
+    return result.countsMatch ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * compare: write a side-by-side comparison of two experiments of a project
+ * Experiments are given by name or ID; --base is the reference the candidate is measured against.
+ */
+async function runCompare(values) {
+    const useDefault = !values['project-id'] && !values['project-name'];
+    const projectId = useDefault ? getDefaultProject()?.id : values['project-id'];
+    const projectName = values['project-name'];
+
+    if (!projectId && !projectName) {
+        throw new UsageError('Either --project-id or --project-name is required (or a profile with a default project)');
+    }
+    if (!values.base || !values.candidate) {
+        throw new UsageError('Both --base and --candidate are required');
+    }
+    if (!values['match-key'].trim()) {
+        throw new UsageError('--match-key cannot be empty');
+    }
+
+    const apiKey = requireEnvApiKey();
+    if (!apiKey) {
+        return EXIT_CODES.AUTH;
+    }
+
+    let displayName = projectName;
+    if (projectId) {
+        const project = await getProjectById(apiKey, projectId);
+        displayName = project.name;
+    }
+
+    const experiments = await fetchExperiments(apiKey, projectId || projectName, Boolean(projectId));
+    const findExperiment = (nameOrId) => {
+        const experiment = experiments.find(e => e.id === nameOrId) || experiments.find(e => e.name === nameOrId);
+        if (!experiment) {
+            throw new UsageError(`Experiment "${nameOrId}" not found in project ${displayName}`);
+        }
+        return experiment;
+    };
+    const base = findExperiment(values.base);
+    const candidate = findExperiment(values.candidate);
+    if (base.id === candidate.id) {
+        throw new UsageError('--base and --candidate are the same experiment');
+    }
+
+    console.log(`Comparing ${candidate.name} against ${base.name} (matched on ${values['match-key']})`);
+    const output = getOutputSettings({ dir: values.out });
+    await compareExperiments(apiKey, base, candidate, {
+        matchKey: values['match-key'].trim(),
+        outputDir: output.dir,
+        template: output.template,
+        snapshot: output.snapshot,
+        projectName: displayName
+    });
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * verify: check an export folder against its manifest
+ * Exits with PARTIAL when a file is missing, altered or (with --check-api) stale or unchecked.
+ */
+async function runVerify(values) {
+    if (values.dir && values['project-name']) {
+        throw new UsageError('Only one of --dir or --project-name can be given');
+    }
+    const projectName = values['project-name'] || getDefaultProject()?.name;
+    if (!values.dir && !projectName) {
+        throw new UsageError('Either --dir or --project-name is required (or a profile with a default project)');
+    }
+    // Without --dir, verify the newest export of the project (the latest snapshot with timestamped layouts)
+    let projectDir = values.dir;
+    if (!projectDir) {
+        const output = getOutputSettings({ dir: values.out });
+        projectDir = findLatestExportDir(output.dir, { template: output.template, snapshot: output.snapshot, projectName, projectId: values['project-name'] ? null : getDefaultProject()?.id });
+        if (!projectDir) {
+            console.error(chalk.red(`✗ No export of ${projectName} found in ${output.dir}`));
+            return EXIT_CODES.ERROR;
+        }
+    }
+
+    let apiKey = null;
+    if (values['check-api']) {
+        apiKey = requireEnvApiKey();
+        if (!apiKey) {
+            return EXIT_CODES.AUTH;
+        }
+    }
+
+    // With --json, progress goes to stderr so stdout holds only the report
+    const log = console.log;
+    if (values.json) {
+        console.log = console.error;
+    }
+    let report;
+    try {
+        report = await verifyExport(projectDir, { apiKey });
+    } finally {
+        console.log = log;
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+    }
+    return report.ok ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+}
+
+/**
+ * archive: package an export folder into a .zip or .tar.gz archive
+ * Without --dir, the newest export of the project is archived.
+ */
+async function runArchive(values) {
+    if (values.dir && values['project-name']) {
+        throw new UsageError('Only one of --dir or --project-name can be given');
+    }
+    if (!ARCHIVE_FORMATS[values.format]) {
+        throw new UsageError(`Invalid value for --format: "${values.format}" (expected one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')})`);
+    }
+    const projectName = values['project-name'] || getDefaultProject()?.name;
+    if (!values.dir && !projectName) {
+        throw new UsageError('Either --dir or --project-name is required (or a profile with a default project)');
+    }
+    let projectDir = values.dir;
+    if (!projectDir) {
+        const output = getOutputSettings({ dir: values.out });
+        projectDir = findLatestExportDir(output.dir, { template: output.template, snapshot: output.snapshot, projectName, projectId: values['project-name'] ? null : getDefaultProject()?.id });
+        if (!projectDir) {
+            console.error(chalk.red(`✗ No export of ${projectName} found in ${output.dir}`));
+            return EXIT_CODES.ERROR;
+        }
+    }
+
+    await archiveExport(projectDir, { format: values.format, archivePath: values.file ? path.resolve(values.file) : null });
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * column-profiles list: print saved column profiles from the config file
+ */
+async function runColumnProfilesList(values) {
+    const profiles = listColumnProfiles();
+
+    if (values.json) {
+        console.log(JSON.stringify(profiles, null, 2));
+    } else if (profiles.length === 0) {
+        console.error(`No column profiles saved in ${getConfigPath()}`);
+    } else {
+        profiles.forEach(profile => {
+            console.log(`${profile.name}\t${profile.columns.map(column => column.header === column.path ? column.path : `${column.path}=${column.header}`).join(', ')}`);
+        });
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * column-profiles add: save a column profile from --column flags
+ * Each --column is a flattened path, optionally followed by "=<header>" to rename it.
+ */
+async function runColumnProfilesAdd(values, positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one column profile name');
+    }
+    const [name] = positionals;
+    if (values.column.length === 0) {
+        throw new UsageError('At least one --column is required');
+    }
+
+    const columns = values.column.map(expression => {
+        const separator = expression.indexOf('=');
+        return separator < 0 ? expression : { path: expression.slice(0, separator), header: expression.slice(separator + 1) };
+    });
+    const existing = listColumnProfiles().some(profile => profile.name === name);
+    let profile;
+    try {
+        profile = saveColumnProfile(name, columns);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    console.log(chalk.green(`✓ ${existing ? 'Updated' : 'Saved'} column profile "${name}" (${profile.columns.length} column(s)) in ${getConfigPath()}`));
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * column-profiles remove: delete a saved column profile
+ */
+async function runColumnProfilesRemove(values, positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one column profile name');
+    }
+    const [name] = positionals;
+    try {
+        removeColumnProfile(name);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    console.log(chalk.green(`✓ Removed column profile "${name}"`));
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * projects list: print available projects as tab-separated lines or JSON
+ */
+async function runProjectsList(values) {
+    const apiKey = requireEnvApiKey();
+    if (!apiKey) {
+        return EXIT_CODES.AUTH;
+    }
+
+    const projects = await listProjects(apiKey);
+
+    if (values.json) {
+        console.log(JSON.stringify(projects.map(p => ({ id: p.id, name: p.name })), null, 2));
+    } else {
+        projects.forEach(p => console.log(`${p.id}\t${p.name}`));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * login: verify a key piped on stdin, optionally persisting it to .env
+ */
+async function runLogin(values) {
+    if (!values['key-stdin']) {
+        throw new UsageError('login requires --key-stdin (pipe the API key on standard input)');
+    }
+    if (process.stdin.isTTY) {
+        throw new UsageError('--key-stdin expects the API key to be piped on standard input');
+    }
+
+    const apiKey = (await readStdin()).trim();
+    if (!apiKey) {
+        console.error(chalk.red('✗ No API key received on stdin'));
+        return EXIT_CODES.AUTH;
+    }
+
+    const isValid = await verifyApiKey(apiKey);
+    if (!isValid) {
+        console.error(chalk.red('✗ Invalid API key'));
+        return EXIT_CODES.AUTH;
+    }
+
+    if (values.save) {
+        saveApiKeyToEnv(apiKey);
+        console.log(chalk.green('✓ API key verified and saved to .env file'));
+    } else {
+        console.log(chalk.green('✓ API key verified'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Read the profile name given as the command's only positional argument
+ * @param {string[]} positionals - Positional arguments
+ * @returns {string} Profile name
+ * @throws {UsageError} If no name, or more than one, was given
+ */
+function getProfileNameArgument(positionals) {
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one profile name');
+    }
+    return positionals[0];
+}
+
+/**
+ * profiles list: print saved credential profiles with masked keys
+ */
+async function runProfilesList(values) {
+    const profiles = listCredentialProfiles();
+
+    if (values.json) {
+        console.log(JSON.stringify(profiles, null, 2));
+    } else if (profiles.length === 0) {
+        console.error(`No profiles saved in ${getConfigPath()}`);
+    } else {
+        profiles.forEach(profile => {
+            const project = profile.projectId ? `${profile.projectName || ''} (${profile.projectId})`.trim() : '-';
+            console.log(`${profile.active ? '*' : ' '} ${profile.name}\t${profile.apiKey}\t${profile.apiUrl || DEFAULT_API_URL}\t${project}`);
+        });
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * profiles add: save a profile (or update an existing one) after verifying its key
+ * The key is read from stdin; an existing profile keeps its key when --key-stdin isn't given.
+ */
+async function runProfilesAdd(values, positionals) {
+    const name = getProfileNameArgument(positionals);
+    try {
+        validateProfileName(name);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const existing = getCredentialProfile(name);
+
+    if (values['project-id'] && values['project-name']) {
+        throw new UsageError('Only one of --project-id or --project-name can be given');
+    }
+    if (!values['key-stdin'] && !existing) {
+        throw new UsageError('--key-stdin is required for a new profile (pipe the API key on standard input)');
+    }
+
+    let apiKey = existing?.apiKey;
+    if (values['key-stdin']) {
+        if (process.stdin.isTTY) {
+            throw new UsageError('--key-stdin expects the API key to be piped on standard input');
+        }
+        apiKey = (await readStdin()).trim();
+        if (!apiKey) {
+            console.error(chalk.red('✗ No API key received on stdin'));
+            return EXIT_CODES.AUTH;
+        }
+    }
+
+    // Verify against the URL the profile will use (--api-url has already been applied)
+    const apiUrl = values['api-url'] !== undefined ? process.env.BRAINTRUST_API_URL : existing?.apiUrl;
+    if (apiUrl) {
+        process.env.BRAINTRUST_API_URL = apiUrl;
+    }
+    if (!(await verifyApiKey(apiKey))) {
+        console.error(chalk.red(`✗ Invalid API key for profile "${name}"`));
+        return EXIT_CODES.AUTH;
+    }
+
+    const settings = { apiKey, apiUrl: values['api-url'] !== undefined ? apiUrl : undefined };
+    if (values['project-id']) {
+        const project = await getProjectById(apiKey, values['project-id']);
+        settings.projectId = project.id;
+        settings.projectName = project.name;
+    } else if (values['project-name']) {
+        const project = (await listProjects(apiKey)).find(p => p.name === values['project-name']);
+        if (!project) {
+            throw new Error(`Project "${values['project-name']}" not found`);
+        }
+        settings.projectId = project.id;
+        settings.projectName = project.name;
+    }
+
+    const profile = saveCredentialProfile(name, settings);
+    if (values.use) {
+        setActiveProfile(name);
+    }
+    const active = listCredentialProfiles().find(p => p.name === name)?.active;
+    console.log(chalk.green(`✓ ${existing ? 'Updated' : 'Saved'} profile "${name}"${active ? ' (active)' : ''} in ${getConfigPath()}`));
+    if (profile.projectId) {
+        console.log(chalk.gray(`  Default project: ${profile.projectName} (${profile.projectId})`));
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * profiles remove: delete a saved profile
+ */
+async function runProfilesRemove(values, positionals) {
+    const name = getProfileNameArgument(positionals);
+    try {
+        removeCredentialProfile(name);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    console.log(chalk.green(`✓ Removed profile "${name}"`));
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * profiles use: make a profile the active one for future runs
+ */
+async function runProfilesUse(values, positionals) {
+    const name = getProfileNameArgument(positionals);
+    try {
+        setActiveProfile(name);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    console.log(chalk.green(`✓ Now using profile "${name}"`));
+    if (getEnvApiKey() && !readEnv('BRAINTRUST_PROFILE')) {
+        console.log(chalk.yellow('  BRAINTRUST_API_KEY is set in the environment or .env and takes precedence; unset it to use the profile'));
+    }
+    return EXIT_CODES.SUCCESS;
+}
@@ -1,5 +1,6 @@
 import { Separator } from "@inquirer/prompts";
 import chalk from "chalk";
+import { fuzzyScore } from "../braintrust/utils.js";
 
 let mainMenuConfig = {
     message: "Select an option",
@@ -16,6 +17,10 @@ const theme = {
 export async function getMenuConfig(menu, apiResponse = "None") {
     switch (menu) {
         case "main":
+            // Show the credential profile in use, if any, in the header
+            const profileName = process.env.BRAINTRUST_PROFILE && process.env.BRAINTRUST_PROFILE !== "undefined"
+                ? process.env.BRAINTRUST_PROFILE
+                : null;
             if(!process.env.BRAINTRUST_API_KEY || process.env.BRAINTRUST_API_KEY === "undefined"){
                 mainMenuConfig.choices = [
                     new Separator(theme.decorator(" =") + theme.style.separator(" Braintrust CLI ") + theme.decorator("= ")),
@@ -32,7 +37,7 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                 ]
             } else if (!process.env.BRAINTRUST_PROJECT_NAME || process.env.BRAINTRUST_PROJECT_NAME === "undefined") {
                 mainMenuConfig.choices = [
-                    new Separator(theme.decorator(" =") + theme.style.separator(" Braintrust CLI ") + theme.decorator("= ")),
+                    new Separator(theme.decorator(" =") + theme.style.separator(profileName ? ` Braintrust CLI | Profile: ${profileName} ` : " Braintrust CLI ") + theme.decorator("= ")),
                     {
                         name: "Login / Update API Key",
                         value: "login",
@@ -43,6 +48,11 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                         value: "selectProject",
                         description: "Select a project to work with"
                     },
+                    {
+                        name: "Export Multiple Projects",
+                        value: "exportProjects",
+                        description: "Export several projects, or every project in the organization, in one run"
+                    },
                     {
                         name: "Exit",
                         value: "exit",
@@ -52,7 +62,7 @@ export async function getMenuConfig(menu, apiResponse = "None") {
             } else {
                 // Display current project in header when one is selected
                 const projectDisplay = process.env.BRAINTRUST_PROJECT_NAME && process.env.BRAINTRUST_PROJECT_NAME !== "undefined" 
-                    ? ` Braintrust CLI | Project: ${process.env.BRAINTRUST_PROJECT_NAME} `
+                    ? ` Braintrust CLI |${profileName ? ` Profile: ${profileName} |` : ""} Project: ${process.env.BRAINTRUST_PROJECT_NAME} `
                     : " Braintrust CLI ";
                 mainMenuConfig.choices = [
                     new Separator(theme.decorator(" =") + theme.style.separator(projectDisplay) + theme.decorator("= ")),
@@ -66,11 +76,36 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                         value: "selectProject",
                         description: "Select a project to work with"
                     },
+                    {
+                        name: "Export Multiple Projects",
+                        value: "exportProjects",
+                        description: "Export several projects, or every project in the organization, in one run"
+                    },
                     {
                         name: "Export Project Data",
                         value: "exportData",
                         description: "Export all experiments and datasets to CSV files"
                     },
+                    {
+                        name: "Import File into Dataset",
+                        value: "importData",
+                        description: "Insert rows from a CSV or JSONL file into a new or existing dataset"
+                    },
+                    {
+                        name: "Copy Dataset",
+                        value: "copyDataset",
+                        description: "Copy a dataset to another project or organization"
+                    },
+                    {
+                        name: "Verify Export",
+                        value: "verifyExport",
+                        description: "Check this project's exported files against their manifest"
+                    },
+                    {
+                        name: "Compare Experiments",
+                        value: "compareExperiments",
+                        description: "Compare two experiments row by row and report score regressions and improvements"
+                    },
                     {
                         name: "Exit",
                         value: "exit",
@@ -85,9 +120,9 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                 choices: [
                     new Separator(theme.decorator(" =") + theme.style.separator(" Selection Method ") + theme.decorator("= ")),
                     {
-                        name: "Select from List",
+                        name: "Search Projects",
                         value: "selectByList",
-                        description: "Browse and select from a paginated list of projects"
+                        description: "Type to search projects by name or ID; recently used projects are listed first"
                     },
                     {
                         name: "Enter Project ID",
@@ -102,6 +137,651 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                     }
                 ]
             };
+        case "resumeExport":
+            return {
+                message: "An unfinished export of this project was found",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Resume Export ") + theme.decorator("= ")),
+                    {
+                        name: "Resume Previous Export",
+                        value: "resume",
+                        description: `${apiResponse.completed} object(s) complete, ${apiResponse.inProgress} unfinished, ${apiResponse.rowsWritten} records written (${apiResponse.format})`
+                    },
+                    {
+                        name: "Start Over",
+                        value: "restart",
+                        description: "Discard the checkpoint and export everything again"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "exportFormat":
+            return {
+                message: "Select an export format",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Export Format ") + theme.decorator("= ")),
+                    {
+                        name: "CSV",
+                        value: "csv",
+                        description: "Flattened spreadsheet-friendly columns (large arrays truncated)"
+                    },
+                    {
+                        name: "JSON Lines",
+                        value: "jsonl",
+                        description: "Lossless copy of every event, one JSON object per line"
+                    },
+                    {
+                        name: "Parquet",
+                        value: "parquet",
+                        description: "Typed columnar file for DuckDB, Spark and pandas"
+                    },
+                    {
+                        name: "SQLite Database",
+                        value: "sqlite",
+                        description: "The whole project in one database file with objects, events and scores tables"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "exportCompression":
+            return {
+                message: "Compress the exported files?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Compression ") + theme.decorator("= ")),
+                    {
+                        name: "Uncompressed",
+                        value: "none",
+                        description: "Plain files that open directly in spreadsheets and editors"
+                    },
+                    {
+                        name: "Gzip",
+                        value: "gzip",
+                        description: "Stream into .gz files, often 5-10x smaller; unfinished files restart on resume"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "archiveExport":
+            return {
+                message: "Package the export into a single archive?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Archive ") + theme.decorator("= ")),
+                    {
+                        name: "Zip Archive (.zip)",
+                        value: "zip",
+                        description: "Exported files, manifest.json and summary.csv in a .zip next to the export folder"
+                    },
+                    {
+                        name: "Tar Archive (.tar.gz)",
+                        value: "tar.gz",
+                        description: "Exported files, manifest.json and summary.csv in a .tar.gz next to the export folder"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Skip",
+                        value: "back",
+                        description: "Keep the export folder only and return to main menu"
+                    }
+                ]
+            };
+        case "csvHeaderMode":
+            return {
+                message: "How should CSV columns be discovered?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" CSV Columns ") + theme.decorator("= ")),
+                    {
+                        name: "Sample First 1,000 Records",
+                        value: "sample",
+                        description: "Fastest; fields that first appear later are left out (schema drift)"
+                    },
+                    {
+                        name: "Scan All Records",
+                        value: "complete",
+                        description: "Every field gets a column; rows are spooled to a temporary file first"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "columnProfile":
+            return {
+                message: "Which columns should the CSV files contain?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Column Profiles ") + theme.decorator("= ")),
+                    {
+                        name: "All Columns",
+                        value: "all",
+                        description: "Every flattened field, sorted by name"
+                    },
+                    ...apiResponse.map((profile) => ({
+                        name: profile.name,
+                        value: profile.name,
+                        description: `${profile.columns.length} column(s): ${profile.columns.map(column => column.header).join(", ")}`
+                    })),
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "exportMode":
+            return {
+                message: "This project was exported before. What would you like to export?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Export Mode ") + theme.decorator("= ")),
+                    {
+                        name: "Incremental",
+                        value: "incremental",
+                        description: "Append only events added or changed since the last export; new objects are exported in full"
+                    },
+                    {
+                        name: "Full Export",
+                        value: "full",
+                        description: "Re-download every event and overwrite the existing files"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "login": {
+            // apiResponse: { profiles (from listCredentialProfiles), hasKey, currentProfile, projectName }
+            const { profiles, hasKey, currentProfile, projectName } = apiResponse;
+            const choices = [];
+            if (profiles.length > 0) {
+                choices.push(new Separator(theme.decorator(" =") + theme.style.separator(" Profiles ") + theme.decorator("= ")));
+                profiles.forEach(profile => {
+                    const details = [`Key ${profile.apiKey}`, profile.apiUrl || "Default API URL"];
+                    if (profile.projectName) {
+                        details.push(`Project: ${profile.projectName}`);
+                    }
+                    choices.push({
+                        name: `Use "${profile.name}"${profile.name === currentProfile ? " (current)" : profile.active ? " (active)" : ""}`,
+                        value: `profile:${profile.name}`,
+                        description: details.join(" | ")
+                    });
+                });
+            }
+            choices.push(new Separator(theme.decorator(" =") + theme.style.separator(" API Key ") + theme.decorator("= ")));
+            if (hasKey) {
+                choices.push({
+                    name: "Keep Current Key",
+                    value: "keepKey",
+                    description: currentProfile ? `Continue using profile "${currentProfile}"` : "Continue using the existing API key"
+                });
+            }
+            choices.push({
+                name: hasKey ? "Enter New API Key" : "Enter API Key",
+                value: "updateKey",
+                description: "Enter a key, then optionally save it as a named profile"
+            });
+            if (currentProfile && projectName) {
+                choices.push({
+                    name: "Save Project as Profile Default",
+                    value: "saveDefaultProject",
+                    description: `Open "${projectName}" whenever profile "${currentProfile}" is used`
+                });
+            }
+            if (profiles.length > 0) {
+                choices.push({
+                    name: "Remove Profile",
+                    value: "removeProfile",
+                    description: "Delete a saved profile from the config file"
+                });
+            }
+            choices.push(
+                new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                {
+                    name: "Back",
+                    value: "back",
+                    description: "Return to main menu"
+                }
+            );
+            return {
+                message: "What would you like to do?",
+                choices
+            };
+        }
+        case "saveApiKey":
+            return {
+                message: "Save this API key?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Save Key ") + theme.decorator("= ")),
+                    {
+                        name: "Save as Profile",
+                        value: "profile",
+                        description: "Store it under a name in your per-user config file (readable only by you)"
+                    },
+                    {
+                        name: "Save to .env File",
+                        value: "env",
+                        description: "Write it to .env in the current directory"
+                    },
+                    {
+                        name: "Don't Save",
+                        value: "none",
+                        description: "Use it for this session only"
+                    }
+                ]
+            };
+        case "removeProfile":
+            return {
+                message: "Select a profile to remove",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Profiles ") + theme.decorator("= ")),
+                    ...apiResponse.map(profile => ({
+                        name: profile.name,
+                        value: profile.name,
+                        description: `Key ${profile.apiKey} | ${profile.apiUrl || "Default API URL"}`
+                    })),
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "verifyMode":
+            return {
+                message: "How thoroughly should the export be verified?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Verification ") + theme.decorator("= ")),
+                    {
+                        name: "Check Files",
+                        value: "files",
+                        description: "Recompute checksums and row counts and compare them with manifest.json"
+                    },
+                    {
+                        name: "Check Files & Braintrust",
+                        value: "api",
+                        description: "Also compare row counts with the records currently in Braintrust"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "recordFilters":
+            return {
+                message: "Which records should be exported?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Record Filters ") + theme.decorator("= ")),
+                    {
+                        name: "All Records",
+                        value: "all",
+                        description: "Export every record of the selected experiments and datasets"
+                    },
+                    {
+                        name: "Filter Records",
+                        value: "filter",
+                        description: "Only export records in a time range, with certain tags, metadata values or scores"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "exportScope":
+            return {
+                message: "What would you like to export?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Export Scope ") + theme.decorator("= ")),
+                    {
+                        name: "Everything",
+                        value: "all",
+                        description: "Export every experiment and dataset in the project"
+                    },
+                    {
+                        name: "Choose Experiments & Datasets",
+                        value: "choose",
+                        description: "Pick objects from a list with row counts and creation dates"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "exportProjectsScope":
+            return {
+                message: "Which projects should be exported?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Projects ") + theme.decorator("= ")),
+                    {
+                        name: "All Projects",
+                        value: "all",
+                        description: `Export all ${apiResponse} project(s) available to your API key`
+                    },
+                    {
+                        name: "Choose Projects",
+                        value: "choose",
+                        description: "Tick the projects to export from a list"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "selectExportProjects": {
+            const projectChoices = apiResponse.map((project) => ({
+                name: `${project.name || project.id}  ${chalk.gray(`(${project.id})`)}`,
+                value: project.id,
+                short: project.name || project.id
+            }));
+            return {
+                message: "Select projects to export (space: toggle, a: select all/none, i: invert)",
+                choices: projectChoices,
+                pageSize: Math.min(projectChoices.length, 15),
+                required: true
+            };
+        }
+        case "exportRowCounts": {
+            const { objectCount, minutes } = apiResponse;
+            return {
+                message: `Show row counts for ${objectCount} objects in the picker?`,
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Row Counts ") + theme.decorator("= ")),
+                    {
+                        name: "Count Rows",
+                        value: "count",
+                        description: `One API request per object, about ${minutes} minute(s) at the current request rate`
+                    },
+                    {
+                        name: "Skip Row Counts",
+                        value: "skip",
+                        description: "Go straight to the picker; objects show \"? rows\""
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        }
+        case "selectExportObjects": {
+            const { experiments = [], datasets = [], rowCounts = {} } = apiResponse;
+            const toChoice = (object) => {
+                const count = rowCounts[object.id];
+                const rows = typeof count === "number" ? `${count.toLocaleString()} rows` : "? rows";
+                const created = object.created ? new Date(object.created).toLocaleDateString() : "unknown date";
+                return {
+                    name: `${object.name || object.id}  ${chalk.gray(`(${rows}, created ${created})`)}`,
+                    value: object.id,
+                    short: object.name || object.id,
+                    checked: true
+                };
+            };
+            const objectChoices = [];
+            if (experiments.length > 0) {
+                objectChoices.push(new Separator(theme.decorator(" =") + theme.style.separator(" Experiments ") + theme.decorator("= ")));
+                objectChoices.push(...experiments.map(toChoice));
+            }
+            if (datasets.length > 0) {
+                objectChoices.push(new Separator(theme.decorator(" =") + theme.style.separator(" Datasets ") + theme.decorator("= ")));
+                objectChoices.push(...datasets.map(toChoice));
+            }
+            return {
+                message: "Select experiments and datasets to export (space: toggle, a: select all/none, i: invert)",
+                choices: objectChoices,
+                pageSize: Math.min(objectChoices.length, 15),
+                required: true
+            };
+        }
+        case "targetDataset":
+            return {
+                message: "Which dataset should the rows go into?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" New Dataset ") + theme.decorator("= ")),
+                    {
+                        name: "Create New Dataset",
+                        value: "new",
+                        description: "Create a dataset in this project (an existing dataset with the same name is reused)"
+                    },
+                    ...(apiResponse.length > 0
+                        ? [new Separator(theme.decorator(" =") + theme.style.separator(" Existing Datasets ") + theme.decorator("= "))]
+                        : []),
+                    ...apiResponse.map((dataset) => ({
+                        name: dataset.name || dataset.id,
+                        value: dataset.id,
+                        description: `ID: ${dataset.id}`
+                    })),
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ],
+                pageSize: 15
+            };
+        case "copySourceDataset":
+            return {
+                message: "Select the dataset to copy",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Datasets ") + theme.decorator("= ")),
+                    ...apiResponse.map((dataset) => ({
+                        name: dataset.name || dataset.id,
+                        value: dataset.id,
+                        description: `ID: ${dataset.id}`
+                    })),
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ],
+                pageSize: 15
+            };
+        case "compareExperiment": {
+            const { role, experiments } = apiResponse;
+            return {
+                message: role === "base" ? "Select the baseline experiment" : "Select the experiment to compare against it",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Experiments ") + theme.decorator("= ")),
+                    ...experiments.map((experiment) => ({
+                        name: experiment.name || experiment.id,
+                        value: experiment.id,
+                        description: `ID: ${experiment.id}${experiment.created ? ` | Created: ${experiment.created}` : ""}`
+                    })),
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ],
+                pageSize: 15
+            };
+        }
+        case "compareMatchKey":
+            return {
+                message: "How should rows be matched between the experiments?",
+                choices: [
+                    {
+                        name: "By Input",
+                        value: "input",
+                        description: "Rows with identical input are compared with each other"
+                    },
+                    {
+                        name: "By Another Field",
+                        value: "custom",
+                        description: "Match on a field path such as metadata.case_id"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "copyTargetOrganization":
+            return {
+                message: "Where should the dataset be copied to?",
+                choices: [
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Target Organization ") + theme.decorator("= ")),
+                    {
+                        name: "Same Organization",
+                        value: "same",
+                        description: "Copy into a project available to the current API key"
+                    },
+                    {
+                        name: "Different Organization",
+                        value: "other",
+                        description: "Enter an API key for the target organization (e.g. staging → production)"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "importMapping":
+            return {
+                message: "Import rows with this column mapping?",
+                choices: [
+                    {
+                        name: "Start Import",
+                        value: "import",
+                        description: "Insert every row of the file using the mapping above"
+                    },
+                    {
+                        name: "Change Mapping",
+                        value: "edit",
+                        description: "Choose what each column becomes, one column at a time"
+                    },
+                    new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                    {
+                        name: "Back",
+                        value: "back",
+                        description: "Return to main menu"
+                    }
+                ]
+            };
+        case "importColumnRole": {
+            const { column, role, sample } = apiResponse;
+            const roleChoice = (value, name, description) => ({ name, value, description });
+            return {
+                message: `Column "${column}"${sample !== undefined ? chalk.gray(` (e.g. ${sample})`) : ""} becomes:`,
+                default: role,
+                choices: [
+                    roleChoice("input", "Input", "Part of the input passed to your task"),
+                    roleChoice("expected", "Expected", "Part of the expected output"),
+                    roleChoice("metadata", "Metadata", "A metadata field"),
+                    roleChoice("tags", "Tags", "Tags (JSON array or comma-separated)"),
+                    roleChoice("id", "ID", "Row ID; rows with the same ID are updated on re-import"),
+                    roleChoice("skip", "Skip", "Leave this column out")
+                ]
+            };
+        }
+        case "searchProject": {
+            const { projects, recent } = apiResponse;
+            const recentById = new Map(recent.map(project => [project.id, project]));
+            const toChoice = (project) => {
+                const details = [`ID: ${project.id}`];
+                if (project.created) {
+                    details.push(`Created: ${new Date(project.created).toLocaleDateString()}`);
+                }
+                const recentEntry = recentById.get(project.id);
+                if (recentEntry?.lastUsedAt) {
+                    details.push(`Last used: ${new Date(recentEntry.lastUsedAt).toLocaleDateString()}`);
+                }
+                return {
+                    name: project.name || project.id,
+                    value: JSON.stringify({ name: project.name, id: project.id, created: project.created }),
+                    description: details.join(" | ")
+                };
+            };
+            const navigation = [
+                new Separator(theme.decorator(" =") + theme.style.separator(" Navigation Actions ") + theme.decorator("= ")),
+                {
+                    name: "Back",
+                    value: "back",
+                    description: "Return to selection method menu"
+                }
+            ];
+            return {
+                message: `Search ${projects.length} project(s) by name or ID`,
+                pageSize: 15,
+                source: async (term) => {
+                    if (!term || !term.trim()) {
+                        const recentProjects = recent
+                            .map(entry => projects.find(project => project.id === entry.id))
+                            .filter(Boolean);
+                        const otherProjects = projects
+                            .filter(project => !recentById.has(project.id))
+                            .sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)));
+                        return [
+                            ...(recentProjects.length > 0 ? [
+                                new Separator(theme.decorator(" =") + theme.style.separator(" Recently Used ") + theme.decorator("= ")),
+                                ...recentProjects.map(toChoice)
+                            ] : []),
+                            new Separator(theme.decorator(" =") + theme.style.separator(" All Projects ") + theme.decorator("= ")),
+                            ...otherProjects.map(toChoice),
+                            ...navigation
+                        ];
+                    }
+
+                    const matches = projects
+                        .map(project => {
+                            const scores = [fuzzyScore(term, project.name), fuzzyScore(term, project.id)].filter(score => score !== null);
+                            // Recently used projects win ties
+                            return { project, score: scores.length ? Math.max(...scores) + (recentById.has(project.id) ? 1 : 0) : null };
+                        })
+                        .filter(match => match.score !== null)
+                        .sort((a, b) => b.score - a.score);
+                    if (matches.length === 0) {
+                        return [new Separator(chalk.gray(`  No projects match "${term}"`)), ...navigation];
+                    }
+                    return [
+                        new Separator(theme.decorator(" =") + theme.style.separator(` ${matches.length} Match(es) `) + theme.decorator("= ")),
+                        ...matches.map(match => toChoice(match.project)),
+                        ...navigation
+                    ];
+                }
+            };
+        }
         case "selectProject":
             let projects = {};
             if(apiResponse !== "None" && Array.isArray(apiResponse)){
@@ -126,7 +806,7 @@ export async function getMenuConfig(menu, apiResponse = "None") {
                 description: "Return to selection method menu"
             });
             return {
-                message: "Select a project",
+                message: `Select a project (${projects.length} available)`,
                 choices: choices,
                 pageSize: Math.min(choices.length, 15)
             }
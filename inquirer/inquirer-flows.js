@@ -1,4 +1,21 @@
 import * as inquiry from './inquirer-utils.js'
+import chalk from 'chalk';
+import { getMenuConfig } from './inquirer-config.js';
+import path from 'path';
+import { fetchExperiments, fetchDatasets, fetchObjectRowCount, selectExportObjects, createDataset, listProjects } from '../braintrust/api.js';
+import { verifyApiKey } from '../braintrust/utils.js';
+import { copyDataset } from '../braintrust/dataset-copy.js';
+import { compareExperiments } from '../braintrust/compare.js';
+import { parseRecordFilters, describeRecordFilters } from '../braintrust/filters.js';
+import { listColumnProfiles } from '../braintrust/column-profiles.js';
+import { getConfigPath } from '../braintrust/config.js';
+import { getOutputSettings } from '../braintrust/output-layout.js';
+import { inspectImportFile, suggestColumnMapping, buildDatasetEvent, importFileToDataset } from '../braintrust/importer.js';
+import { runWithConcurrency, parsePositiveInteger, DEFAULT_CONCURRENCY } from '../braintrust/scheduler.js';
+import { DEFAULT_REQUESTS_PER_MINUTE } from '../braintrust/rate-limiter.js';
+
+// Above this many objects, the export picker asks before counting rows (one request each)
+const ROW_COUNT_PROMPT_LIMIT = 10;
 
 
 async function createRecordFlow() {
@@ -36,8 +53,324 @@ async function createRecordFlow() {
     return recordFields
 }
 
+/**
+ * Let the user pick which experiments and datasets of a project to export
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} projectIdentifier - Project ID or name
+ * @param {boolean} isId - If true, projectIdentifier is an ID
+ * @returns {Promise<string[]|null|"back">} Selected object IDs, null to export everything, or "back"
+ */
+async function selectExportObjectsFlow(apiKey, projectIdentifier, isId) {
+    const scope = await inquiry.selectMenu(await getMenuConfig("exportScope"));
+    if (scope !== "choose") {
+        return scope === "back" ? "back" : null;
+    }
+
+    const experiments = await fetchExperiments(apiKey, projectIdentifier, isId);
+    const datasets = await fetchDatasets(apiKey, projectIdentifier, isId);
+
+    // Plain text matches anywhere in the name; wildcards (* and ?) match the whole name
+    const filter = (await inquiry.inputMenu("Filter by name (leave blank to show all): ")).trim();
+    const pattern = /[*?]/.test(filter) ? filter : `*${filter}*`;
+    const filtered = {
+        experiments: selectExportObjects(experiments, { include: filter ? [pattern] : [] }),
+        datasets: selectExportObjects(datasets, { include: filter ? [pattern] : [] }),
+    };
+
+    if (filtered.experiments.length === 0 && filtered.datasets.length === 0) {
+        console.log(chalk.yellow(`\nNo experiments or datasets match "${filter}".\n`));
+        return "back";
+    }
+
+    // Each count is one API request under the shared rate limit, so long lists ask first
+    const objects = [
+        ...filtered.experiments.map(object => ({ object, type: "experiment" })),
+        ...filtered.datasets.map(object => ({ object, type: "dataset" })),
+    ];
+    let countRows = "count";
+    if (objects.length > ROW_COUNT_PROMPT_LIMIT) {
+        const requestsPerMinute = parsePositiveInteger(process.env.BRAINTRUST_REQUESTS_PER_MINUTE, "BRAINTRUST_REQUESTS_PER_MINUTE") || DEFAULT_REQUESTS_PER_MINUTE;
+        countRows = await inquiry.selectMenu(await getMenuConfig("exportRowCounts", {
+            objectCount: objects.length,
+            minutes: Math.ceil(objects.length / requestsPerMinute)
+        }));
+        if (countRows === "back") {
+            return "back";
+        }
+    }
+
+    const rowCounts = {};
+    if (countRows === "count") {
+        console.log(chalk.gray(`\nCounting rows for ${objects.length} object(s)...\n`));
+        await runWithConcurrency(objects, DEFAULT_CONCURRENCY, async ({ object, type }) => {
+            rowCounts[object.id] = await fetchObjectRowCount(apiKey, type, object.id);
+        });
+    }
+
+    const selectConfig = await getMenuConfig("selectExportObjects", { ...filtered, rowCounts });
+    return await inquiry.checkboxMenu(selectConfig);
+}
+
+/**
+ * Pick the projects for a multi-project export: every project, or a ticked subset
+ * @param {string} apiKey - Braintrust API key
+ * @returns {Promise<Array<Object>|"back">} Selected projects ({ id, name, ... }), or "back"
+ */
+async function selectProjectsFlow(apiKey) {
+    console.log(chalk.blue("\nFetching projects...\n"));
+    const projects = await listProjects(apiKey);
+    if (projects.length === 0) {
+        console.log(chalk.yellow("\nNo projects found for this API key.\n"));
+        return "back";
+    }
+
+    const scope = await inquiry.selectMenu(await getMenuConfig("exportProjectsScope", projects.length));
+    if (scope === "back") {
+        return "back";
+    }
+    if (scope === "all") {
+        return projects;
+    }
+
+    const projectIds = await inquiry.checkboxMenu(await getMenuConfig("selectExportProjects", projects));
+    return projects.filter(project => projectIds.includes(project.id));
+}
+
+/**
+ * Optionally collect record filters (time range, tags, metadata, score thresholds) for an export
+ * Re-prompts until the filters parse, so typos don't abort the export
+ * @returns {Promise<Object|null|"back">} Parsed record filters, null for all records, or "back"
+ */
+async function recordFiltersFlow() {
+    const choice = await inquiry.selectMenu(await getMenuConfig("recordFilters"));
+    if (choice !== "filter") {
+        return choice === "back" ? "back" : null;
+    }
+
+    console.log(chalk.gray("\nLeave any filter blank to skip it. Separate multiple values with commas.\n"));
+    const splitList = (value) => value.split(",").map(item => item.trim()).filter(Boolean);
+
+    while (true) {
+        const since = (await inquiry.inputMenu("Created on or after (e.g. 2024-05-01): ")).trim();
+        const until = (await inquiry.inputMenu("Created before (e.g. 2024-06-01): ")).trim();
+        const tags = splitList(await inquiry.inputMenu("Required tags: "));
+        const metadata = splitList(await inquiry.inputMenu("Metadata matches (key=value): "));
+        const scores = splitList(await inquiry.inputMenu("Score thresholds (e.g. Factuality<0.5): "));
+
+        try {
+            const filters = parseRecordFilters({ since: since || undefined, until: until || undefined, tags, metadata, scores });
+            const description = describeRecordFilters(filters);
+            console.log(chalk.green(`\n✓ ${description ? `Filtering records: ${description}` : "No filters set, exporting all records"}\n`));
+            return filters;
+        } catch (error) {
+            console.log(chalk.red(`\n✗ ${error.message}. Please try again.\n`));
+        }
+    }
+}
+
+/**
+ * Let the user pick a saved column profile for CSV exports
+ * Skipped (all columns) when no profiles are saved in the config file
+ * @returns {Promise<Object|null|"back">} Selected column profile, null for all columns, or "back"
+ */
+async function columnProfileFlow() {
+    let profiles;
+    try {
+        profiles = listColumnProfiles();
+    } catch (error) {
+        console.log(chalk.yellow(`\n⚠ ${error.message}. Exporting all columns.\n`));
+        return null;
+    }
+    if (profiles.length === 0) {
+        console.log(chalk.gray(`Tip: save column profiles in ${getConfigPath()} to pick, order and rename CSV columns.\n`));
+        return null;
+    }
+
+    const choice = await inquiry.selectMenu(await getMenuConfig("columnProfile", profiles));
+    if (choice === "all" || choice === "back") {
+        return choice === "back" ? "back" : null;
+    }
+    return profiles.find(profile => profile.name === choice);
+}
+
+/**
+ * Import a CSV or JSONL file into a new or existing dataset of the selected project
+ * Walks through picking the file and dataset, reviewing the suggested column mapping
+ * (input, expected, metadata, tags, id or skip per column), and inserting the rows
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|"back">} Import counts, or "back" if the user backed out
+ */
+async function importFileFlow(apiKey, projectId) {
+    const filePath = (await inquiry.inputMenu("Path to the CSV or JSONL file to import: ")).trim();
+    if (!filePath) {
+        return "back";
+    }
+
+    let fileInfo;
+    try {
+        fileInfo = await inspectImportFile(filePath);
+    } catch (error) {
+        console.log(chalk.red(`\n✗ ${error.message}\n`));
+        return "back";
+    }
+    console.log(chalk.gray(`\nFound ${fileInfo.columns.length} column(s): ${fileInfo.columns.join(", ")}\n`));
+
+    const datasets = await fetchDatasets(apiKey, projectId, true);
+    const target = await inquiry.selectMenu(await getMenuConfig("targetDataset", datasets));
+    if (target === "back") {
+        return "back";
+    }
+
+    let dataset = datasets.find(candidate => candidate.id === target);
+    if (target === "new") {
+        const defaultName = path.basename(filePath, path.extname(filePath));
+        const name = (await inquiry.inputMenu(`Name for the new dataset (leave blank for "${defaultName}"): `)).trim() || defaultName;
+        dataset = await createDataset(apiKey, projectId, name);
+        console.log(chalk.green(`\n✓ Using dataset: ${dataset.name} (${dataset.id})\n`));
+    }
+
+    // Start from a mapping guessed from the column names, then let the user adjust it
+    const mapping = suggestColumnMapping(fileInfo.columns);
+    const firstRow = fileInfo.sampleRows[0];
+    while (true) {
+        console.log(chalk.blue("Column mapping:"));
+        fileInfo.columns.forEach(column => console.log(`  ${column} ${chalk.gray("→")} ${mapping[column]}`));
+        console.log(chalk.blue("\nFirst row will be imported as:"));
+        console.log(chalk.gray(JSON.stringify(buildDatasetEvent(firstRow, mapping, fileInfo.format), null, 2)) + "\n");
+
+        const action = await inquiry.selectMenu(await getMenuConfig("importMapping"));
+        if (action === "back") {
+            return "back";
+        }
+        if (action === "import") {
+            break;
+        }
+        for (const column of fileInfo.columns) {
+            const value = firstRow[column];
+            const sample = value === undefined ? undefined : String(typeof value === "object" ? JSON.stringify(value) : value).slice(0, 40);
+            mapping[column] = await inquiry.selectMenu(await getMenuConfig("importColumnRole", { column, role: mapping[column], sample }));
+        }
+        console.log("");
+    }
+
+    console.log(chalk.blue(`\nImporting ${filePath} into dataset ${dataset.name}...\n`));
+    return await importFileToDataset(apiKey, dataset.id, filePath, mapping);
+}
+
+/**
+ * Copy a dataset of the selected project into a dataset of another project,
+ * optionally in a different organization (using a second API key)
+ * @param {string} apiKey - Braintrust API key for the source organization
+ * @param {string} projectId - Source project ID
+ * @returns {Promise<Object|"back">} Copy result, or "back" if the user backed out
+ */
+async function copyDatasetFlow(apiKey, projectId) {
+    const datasets = await fetchDatasets(apiKey, projectId, true);
+    if (datasets.length === 0) {
+        console.log(chalk.yellow("\nThis project has no datasets to copy.\n"));
+        return "back";
+    }
+    const sourceId = await inquiry.selectMenu(await getMenuConfig("copySourceDataset", datasets));
+    if (sourceId === "back") {
+        return "back";
+    }
+    const sourceDataset = datasets.find(dataset => dataset.id === sourceId);
+
+    // The target may live in another organization, which needs its own API key
+    const organization = await inquiry.selectMenu(await getMenuConfig("copyTargetOrganization"));
+    if (organization === "back") {
+        return "back";
+    }
+    let targetApiKey = apiKey;
+    if (organization === "other") {
+        targetApiKey = (await inquiry.inputMenu("Enter the API key for the target organization: ")).trim();
+        if (!targetApiKey || !(await verifyApiKey(targetApiKey))) {
+            console.log(chalk.red("\n✗ Invalid API key for the target organization.\n"));
+            return "back";
+        }
+    }
+
+    console.log(chalk.blue("\nFetching target projects...\n"));
+    const projects = await listProjects(targetApiKey);
+    const projectChoice = await inquiry.selectMenu(await getMenuConfig("selectProject", projects));
+    if (projectChoice === "back") {
+        return "back";
+    }
+    const targetProject = JSON.parse(projectChoice);
+
+    const targetDatasets = (await fetchDatasets(targetApiKey, targetProject.id, true))
+        .filter(dataset => dataset.id !== sourceDataset.id);
+    const target = await inquiry.selectMenu(await getMenuConfig("targetDataset", targetDatasets));
+    if (target === "back") {
+        return "back";
+    }
+
+    let targetDataset = targetDatasets.find(dataset => dataset.id === target);
+    if (target === "new") {
+        const defaultName = sourceDataset.name || sourceDataset.id;
+        const name = (await inquiry.inputMenu(`Name for the new dataset (leave blank for "${defaultName}"): `)).trim() || defaultName;
+        targetDataset = await createDataset(targetApiKey, targetProject.id, name, sourceDataset.description || undefined);
+    }
+
+    console.log(chalk.blue(`\nCopying ${sourceDataset.name} → ${targetProject.name} / ${targetDataset.name}\n`));
+    return await copyDataset(
+        { apiKey, datasetId: sourceDataset.id },
+        { apiKey: targetApiKey, datasetId: targetDataset.id }
+    );
+}
+
+/**
+ * Pick a baseline and a candidate experiment and how to match their rows, then write the comparison
+ * @param {string} apiKey - Braintrust API key
+ * @param {string} projectId - Project ID
+ * @param {string} projectName - Project name (used for the output folder)
+ * @returns {Promise<Object|string>} Comparison result, or "back" if the user backed out
+ */
+async function compareExperimentsFlow(apiKey, projectId, projectName) {
+    const experiments = await fetchExperiments(apiKey, projectId, true);
+    if (experiments.length < 2) {
+        console.log(chalk.yellow("\nThis project needs at least two experiments to compare.\n"));
+        return "back";
+    }
+
+    const baseId = await inquiry.selectMenu(await getMenuConfig("compareExperiment", { role: "base", experiments }));
+    if (baseId === "back") {
+        return "back";
+    }
+    const candidates = experiments.filter(experiment => experiment.id !== baseId);
+    const candidateId = await inquiry.selectMenu(await getMenuConfig("compareExperiment", { role: "candidate", experiments: candidates }));
+    if (candidateId === "back") {
+        return "back";
+    }
+
+    let matchKey = await inquiry.selectMenu(await getMenuConfig("compareMatchKey"));
+    if (matchKey === "back") {
+        return "back";
+    }
+    if (matchKey === "custom") {
+        matchKey = (await inquiry.inputMenu("Field to match rows on (e.g. metadata.case_id): ")).trim();
+        if (!matchKey) {
+            return "back";
+        }
+    }
+
+    const base = experiments.find(experiment => experiment.id === baseId);
+    const candidate = candidates.find(experiment => experiment.id === candidateId);
+    console.log(chalk.blue(`\nComparing ${candidate.name} against ${base.name}...\n`));
+    const output = getOutputSettings();
+    return await compareExperiments(apiKey, base, candidate, { matchKey, outputDir: output.dir, template: output.template, snapshot: output.snapshot, projectName });
+}
+
 const inquiryFlows = {
-    createRecordFlow
+    createRecordFlow,
+    selectExportObjectsFlow,
+    selectProjectsFlow,
+    recordFiltersFlow,
+    columnProfileFlow,
+    importFileFlow,
+    copyDatasetFlow,
+    compareExperimentsFlow
 }
 
 export default inquiryFlows
\ No newline at end of file
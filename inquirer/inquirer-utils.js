@@ -1,4 +1,4 @@
-import { select, input } from '@inquirer/prompts';
+import { select, input, checkbox, search } from '@inquirer/prompts';
 
 
 export async function selectMenu(config) {
@@ -11,6 +11,14 @@ export async function inputMenu(message) {
     });
 }
 
+export async function checkboxMenu(config) {
+    return await checkbox(config);
+}
+
+export async function searchMenu(config) {
+    return await search(config);
+}
+
 export async function getMenu(menuName) {
     
 }
\ No newline at end of file
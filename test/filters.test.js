@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseRecordFilters,
+    hasRecordFilters,
+    buildQueryFilter,
+    buildFetchFilters,
+    matchesRecordFilters,
+    isAfterWatermark,
+} from '../braintrust/filters.js';
+
+test('parseRecordFilters normalizes dates and splits expressions', () => {
+    const filters = parseRecordFilters({
+        since: '2024-05-01',
+        until: '2024-06-01T12:00:00Z',
+        tags: [' prod ', ''],
+        metadata: ['model.name = gpt-4o'],
+        scores: ['Factuality<0.5', 'Accuracy >= 1'],
+    });
+
+    assert.equal(filters.since, '2024-05-01T00:00:00.000Z');
+    assert.equal(filters.until, '2024-06-01T12:00:00.000Z');
+    assert.deepEqual(filters.tags, ['prod']);
+    assert.deepEqual(filters.metadata, [{ path: ['model', 'name'], value: 'gpt-4o' }]);
+    assert.deepEqual(filters.scores, [
+        { name: 'Factuality', operator: '<', value: 0.5 },
+        { name: 'Accuracy', operator: '>=', value: 1 },
+    ]);
+    assert.equal(hasRecordFilters(filters), true);
+    assert.equal(hasRecordFilters(parseRecordFilters()), false);
+});
+
+test('parseRecordFilters rejects malformed expressions', () => {
+    assert.throws(() => parseRecordFilters({ since: 'yesterday-ish' }), /Invalid since date/);
+    assert.throws(() => parseRecordFilters({ since: '2024-06-01', until: '2024-05-01' }), /earlier than the until date/);
+    assert.throws(() => parseRecordFilters({ metadata: ['=value'] }), /Invalid metadata filter/);
+    assert.throws(() => parseRecordFilters({ metadata: ['novalue'] }), /Invalid metadata filter/);
+    assert.throws(() => parseRecordFilters({ scores: ['Factuality'] }), /Invalid score filter/);
+    assert.throws(() => parseRecordFilters({ scores: ['Factuality<'] }), /Invalid score filter/);
+    assert.throws(() => parseRecordFilters({ scores: ['Factuality<high'] }), /Invalid score filter/);
+});
+
+test('buildQueryFilter quotes literals and matches typed metadata values', () => {
+    const filters = parseRecordFilters({
+        since: '2024-05-01',
+        tags: ["it's"],
+        metadata: ['attempt=3', 'run id=null'],
+        scores: ['Answer quality>0.8'],
+    });
+
+    assert.equal(
+        buildQueryFilter(filters, '1000'),
+        "created >= '2024-05-01T00:00:00.000Z' and tags includes 'it\\'s'" +
+        " and (metadata.attempt = 3 or metadata.attempt = '3')" +
+        " and (metadata.`run id` is null or metadata.`run id` = 'null')" +
+        " and scores.`Answer quality` > 0.8 and _xact_id > '1000'"
+    );
+});
+
+test('buildFetchFilters only sends plain string metadata values', () => {
+    const filters = parseRecordFilters({ metadata: ['model.name=gpt-4o', 'attempt=3', 'cached=true'] });
+
+    assert.deepEqual(buildFetchFilters(filters), [
+        { type: 'path_lookup', path: ['metadata', 'model', 'name'], value: 'gpt-4o' },
+    ]);
+});
+
+test('matchesRecordFilters checks the created range', () => {
+    const filters = parseRecordFilters({ since: '2024-05-01', until: '2024-06-01' });
+
+    assert.equal(matchesRecordFilters({ created: '2024-05-01T00:00:00Z' }, filters), true);
+    assert.equal(matchesRecordFilters({ created: '2024-04-30T23:59:59Z' }, filters), false);
+    assert.equal(matchesRecordFilters({ created: '2024-06-01T00:00:00Z' }, filters), false);
+    assert.equal(matchesRecordFilters({}, filters), false);
+    assert.equal(matchesRecordFilters({ created: 'not a date' }, filters), false);
+});
+
+test('matchesRecordFilters checks tags, metadata and scores', () => {
+    const filters = parseRecordFilters({
+        tags: ['prod'],
+        metadata: ['model.name=gpt-4o', 'attempt=3'],
+        scores: ['Factuality>=0.5'],
+    });
+    const record = {
+        tags: ['prod', 'reviewed'],
+        metadata: { model: { name: 'gpt-4o' }, attempt: 3 },
+        scores: { Factuality: 0.5 },
+    };
+
+    assert.equal(matchesRecordFilters(record, filters), true);
+    assert.equal(matchesRecordFilters({ ...record, metadata: { ...record.metadata, attempt: '3' } }, filters), true);
+    assert.equal(matchesRecordFilters({ ...record, tags: ['reviewed'] }, filters), false);
+    assert.equal(matchesRecordFilters({ ...record, metadata: { attempt: 3 } }, filters), false);
+    assert.equal(matchesRecordFilters({ ...record, scores: { Factuality: 0.4 } }, filters), false);
+    assert.equal(matchesRecordFilters({ ...record, scores: { Factuality: null } }, filters), false);
+});
+
+test('isAfterWatermark compares transaction ids numerically', () => {
+    assert.equal(isAfterWatermark({ _xact_id: '1000' }, null), true);
+    assert.equal(isAfterWatermark({ _xact_id: '1000' }, '999'), true);
+    assert.equal(isAfterWatermark({ _xact_id: '999' }, '1000'), false);
+    assert.equal(isAfterWatermark({ _xact_id: '1000' }, '1000'), false);
+});
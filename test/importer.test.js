@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    getImportFormat,
+    inspectImportFile,
+    suggestColumnMapping,
+    buildDatasetEvent,
+    getImportRowId,
+} from '../braintrust/importer.js';
+
+const FILE_HASH = 'a'.repeat(64);
+
+/**
+ * Write a file to import into a temporary folder
+ * @param {import('node:test').TestContext} t - Test context (removes the folder afterwards)
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {string} File path
+ */
+function writeTempFile(t, name, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'importer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('getImportRowId is a stable UUID-shaped id', () => {
+    const id = getImportRowId('dataset-1', FILE_HASH, 1);
+
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    assert.equal(getImportRowId('dataset-1', FILE_HASH, 1), id);
+});
+
+test('getImportRowId differs per dataset, file content and row', () => {
+    const id = getImportRowId('dataset-1', FILE_HASH, 1);
+
+    assert.notEqual(getImportRowId('dataset-2', FILE_HASH, 1), id);
+    assert.notEqual(getImportRowId('dataset-1', 'b'.repeat(64), 1), id);
+    assert.notEqual(getImportRowId('dataset-1', FILE_HASH, 2), id);
+    // The parts are separated, so shifting digits between them can't collide
+    assert.notEqual(getImportRowId('dataset-1', FILE_HASH, 12), getImportRowId('dataset-11', FILE_HASH, 2));
+});
+
+test('getImportFormat reads the extension', () => {
+    assert.equal(getImportFormat('rows.CSV'), 'csv');
+    assert.equal(getImportFormat('rows.jsonl'), 'jsonl');
+    assert.equal(getImportFormat('rows.ndjson'), 'jsonl');
+    assert.throws(() => getImportFormat('rows.xlsx'), /Unsupported file type ".xlsx"/);
+});
+
+test('suggestColumnMapping maps columns by name', () => {
+    assert.deepEqual(suggestColumnMapping(['input.question', 'Expected', 'tags', 'id', 'output', 'scores.Factuality', '_xact_id', 'model']), {
+        'input.question': 'input',
+        Expected: 'expected',
+        tags: 'tags',
+        id: 'id',
+        output: 'skip',
+        'scores.Factuality': 'skip',
+        _xact_id: 'skip',
+        model: 'metadata',
+    });
+});
+
+test('buildDatasetEvent nests dotted columns and parses CSV cells', () => {
+    const row = {
+        'input.question': 'What is 2+2?',
+        'input.context': '{"source":"quiz"}',
+        expected: '4',
+        tags: 'math, easy',
+        id: '007',
+        model: 'gpt-4o',
+        output: 'ignored',
+    };
+    const mapping = {
+        'input.question': 'input',
+        'input.context': 'input',
+        expected: 'expected',
+        tags: 'tags',
+        id: 'id',
+        model: 'metadata',
+        output: 'skip',
+    };
+
+    assert.deepEqual(buildDatasetEvent(row, mapping, 'csv'), {
+        input: { question: 'What is 2+2?', context: { source: 'quiz' } },
+        expected: '4',
+        tags: ['math', 'easy'],
+        id: '007',
+        metadata: { model: 'gpt-4o' },
+    });
+});
+
+test('buildDatasetEvent keeps JSON values and skips empty rows', () => {
+    const mapping = { input: 'input', metadata: 'metadata', 'metadata.attempt': 'metadata', tags: 'tags' };
+
+    assert.deepEqual(buildDatasetEvent({ input: { a: 1 }, metadata: { model: 'x' }, 'metadata.attempt': 2, tags: ['t'] }, mapping, 'jsonl'), {
+        input: { a: 1 },
+        metadata: { model: 'x', attempt: 2 },
+        tags: ['t'],
+    });
+    assert.equal(buildDatasetEvent({ input: '', tags: '' }, mapping, 'csv'), null);
+});
+
+test('inspectImportFile collects JSON Lines keys from the whole file', async (t) => {
+    const lines = Array.from({ length: 20 }, (_, index) => JSON.stringify({ input: index }));
+    lines.push(JSON.stringify({ input: 20, expected: 'late' }));
+    const filePath = writeTempFile(t, 'rows.jsonl', `${lines.join('\n')}\n`);
+
+    const info = await inspectImportFile(filePath);
+    assert.equal(info.format, 'jsonl');
+    assert.deepEqual(info.columns, ['input', 'expected']);
+    assert.equal(info.sampleRows.length, 5);
+});
+
+test('inspectImportFile reports invalid and empty files', async (t) => {
+    await assert.rejects(inspectImportFile(writeTempFile(t, 'bad.jsonl', '{"input":1}\nnot json\n')), /Line 2 of .* is not valid JSON/);
+    await assert.rejects(inspectImportFile(writeTempFile(t, 'empty.csv', 'input,expected\n')), /contains no rows/);
+    await assert.rejects(inspectImportFile(path.join(os.tmpdir(), 'missing-import.csv')), /File not found/);
+});
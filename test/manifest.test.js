@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    getManifestPath,
+    loadManifest,
+    saveManifest,
+    hashFile,
+    describeExportFile,
+    MANIFEST_VERSION,
+} from '../braintrust/manifest.js';
+
+// SHA-256 of "hello\n"
+const HELLO_SHA256 = '5891b5b522d5df086d0ff0b110fbd9d21bb4fc7163af34d08286a2e846f6be03';
+
+/**
+ * Create an empty project export folder for one test
+ * @param {import('node:test').TestContext} t - Test context (removes the folder afterwards)
+ * @returns {string} Temporary directory
+ */
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('saveManifest and loadManifest round-trip without leaving a temp file', (t) => {
+    const projectDir = makeTempDir(t);
+    const manifest = { version: MANIFEST_VERSION, project: { id: 'p1', name: 'My Project' }, objects: [], failed: [] };
+
+    assert.equal(saveManifest(projectDir, manifest), getManifestPath(projectDir));
+    assert.deepEqual(loadManifest(projectDir), manifest);
+    assert.deepEqual(fs.readdirSync(projectDir), ['manifest.json']);
+});
+
+test('loadManifest ignores missing, unreadable and incomplete manifests', (t) => {
+    const projectDir = makeTempDir(t);
+    assert.equal(loadManifest(projectDir), null);
+
+    fs.writeFileSync(getManifestPath(projectDir), '{"objects": [');
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(loadManifest(projectDir), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+
+    fs.writeFileSync(getManifestPath(projectDir), '{"project": {}}');
+    assert.equal(loadManifest(projectDir), null);
+});
+
+test('hashFile and describeExportFile checksum the exported file', async (t) => {
+    const projectDir = makeTempDir(t);
+    const filePath = path.join(projectDir, 'experiments', 'run_abcdef12.jsonl');
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, 'hello\n');
+
+    assert.equal(await hashFile(filePath), HELLO_SHA256);
+    assert.deepEqual(await describeExportFile(projectDir, filePath), {
+        file: 'experiments/run_abcdef12.jsonl',
+        bytes: 6,
+        sha256: HELLO_SHA256,
+    });
+    assert.deepEqual(await describeExportFile(projectDir, path.join(projectDir, 'missing.csv')), { file: null, bytes: 0, sha256: null });
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+    parseOutputTemplate,
+    isTimestampedLayout,
+    createOutputLayout,
+    findLatestExportDir,
+    DEFAULT_OUTPUT_TEMPLATE,
+} from '../braintrust/output-layout.js';
+
+const STARTED_AT = new Date('2024-05-01T13:45:02Z');
+const EXPERIMENT = { id: 'abcdef12-3456-7890-abcd-ef1234567890', name: 'Baseline Run' };
+
+/**
+ * Create an empty export root for one test
+ * @param {import('node:test').TestContext} t - Test context (removes the folder afterwards)
+ * @returns {string} Temporary directory
+ */
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-layout-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Write an export manifest naming the project
+ * @param {string} exportDir - Export folder
+ * @param {string} projectName - Project name recorded in the manifest
+ */
+function writeManifest(exportDir, projectName) {
+    fs.mkdirSync(exportDir, { recursive: true });
+    fs.writeFileSync(path.join(exportDir, 'manifest.json'), JSON.stringify({ project: { name: projectName }, objects: [] }));
+}
+
+test('parseOutputTemplate splits the export folder from the per-object path', () => {
+    assert.deepEqual(parseOutputTemplate(DEFAULT_OUTPUT_TEMPLATE), {
+        folderSegments: ['{project}'],
+        objectSegments: ['{type}', '{name}_{id}.{ext}'],
+    });
+    assert.deepEqual(parseOutputTemplate('{project}/{date}/{name}_{id}'), {
+        folderSegments: ['{project}', '{date}'],
+        objectSegments: ['{name}_{id}.{ext}'],
+    });
+    assert.deepEqual(parseOutputTemplate(DEFAULT_OUTPUT_TEMPLATE, true).folderSegments, ['{project}', '{timestamp}']);
+    assert.deepEqual(parseOutputTemplate('{project}/{timestamp}/{full_id}.{ext}', true).folderSegments, ['{project}', '{timestamp}']);
+});
+
+test('parseOutputTemplate rejects unusable templates', () => {
+    assert.throws(() => parseOutputTemplate('  '), /cannot be empty/);
+    assert.throws(() => parseOutputTemplate('/exports/{project}/{id}'), /relative path/);
+    assert.throws(() => parseOutputTemplate('{project}/../{id}'), /relative path/);
+    assert.throws(() => parseOutputTemplate('{project}/{owner}/{id}'), /Unknown variable \{owner\}/);
+    assert.throws(() => parseOutputTemplate('{type}/{project}/{id}'), /must start with a folder naming the project/);
+    assert.throws(() => parseOutputTemplate('{project}/{name}'), /must include \{id\} or \{full_id\}/);
+});
+
+test('isTimestampedLayout detects time variables in the export folder', () => {
+    assert.equal(isTimestampedLayout(DEFAULT_OUTPUT_TEMPLATE), false);
+    assert.equal(isTimestampedLayout(DEFAULT_OUTPUT_TEMPLATE, true), true);
+    assert.equal(isTimestampedLayout('{project}/{date}/{type}/{name}_{id}.{ext}'), true);
+    assert.equal(isTimestampedLayout('{project}/{type}/{date}_{id}.{ext}'), false);
+});
+
+test('createOutputLayout fills the template variables', () => {
+    const layout = createOutputLayout('out', {
+        template: '{project}/{date}/{type}/{name}_{id}.{ext}',
+        projectName: 'My Project',
+        startedAt: STARTED_AT,
+    });
+
+    assert.equal(layout.exportDir, path.join('out', 'my_project', '2024-05-01'));
+    assert.equal(
+        layout.getFilePath(EXPERIMENT, 'experiment', 'csv'),
+        path.join('out', 'my_project', '2024-05-01', 'experiments', 'baseline_run_abcdef12.csv')
+    );
+});
+
+test('createOutputLayout uses the snapshot timestamp, project ID and folder name', () => {
+    const snapshot = createOutputLayout('out', { snapshot: true, projectName: 'My Project', startedAt: STARTED_AT });
+    assert.equal(snapshot.exportDir, path.join('out', 'my_project', '20240501T134502Z'));
+
+    const byId = createOutputLayout('out', {
+        template: '{project_id}/{full_id}',
+        projectName: 'My Project',
+        projectId: 'p1',
+    });
+    assert.equal(byId.getFilePath(EXPERIMENT, 'experiment', 'jsonl'), path.join('out', 'p1', `${EXPERIMENT.id}.jsonl`));
+    assert.throws(
+        () => createOutputLayout('out', { template: '{project_id}/{id}', projectName: 'My Project' }),
+        /project ID is not known/
+    );
+
+    const renamed = createOutputLayout('out', { projectName: 'My Project', folderName: 'My Project_12345678' });
+    assert.equal(renamed.exportDir, path.join('out', 'my_project_12345678'));
+});
+
+test('findLatestExportDir returns the fixed export folder', (t) => {
+    const root = makeTempDir(t);
+    assert.equal(findLatestExportDir(root, { projectName: 'My Project' }), null);
+
+    fs.mkdirSync(path.join(root, 'my_project'));
+    assert.equal(findLatestExportDir(root, { projectName: 'My Project' }), path.join(root, 'my_project'));
+});
+
+test('findLatestExportDir picks the newest snapshot with a manifest', (t) => {
+    const root = makeTempDir(t);
+    const older = path.join(root, 'my_project', '20240501T000000Z');
+    const newer = path.join(root, 'my_project', '20240502T000000Z');
+    writeManifest(older, 'My Project');
+    writeManifest(newer, 'My Project');
+    fs.utimesSync(path.join(older, 'manifest.json'), new Date('2024-05-01'), new Date('2024-05-01'));
+    fs.utimesSync(path.join(newer, 'manifest.json'), new Date('2024-05-02'), new Date('2024-05-02'));
+    fs.mkdirSync(path.join(root, 'my_project', '20240503T000000Z'));
+
+    assert.equal(findLatestExportDir(root, { projectName: 'My Project', snapshot: true }), newer);
+});
+
+test('findLatestExportDir finds exports renamed by a multi-project export', (t) => {
+    const root = makeTempDir(t);
+    writeManifest(path.join(root, 'my_project_aaaaaaaa'), 'My Project');
+    writeManifest(path.join(root, 'my_project_bbbbbbbb'), 'my-project');
+
+    assert.equal(findLatestExportDir(root, { projectName: 'My Project' }), path.join(root, 'my_project_aaaaaaaa'));
+    assert.equal(findLatestExportDir(root, { projectName: 'Other' }), null);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import parquet from '@dsnp/parquetjs';
+
+import { coerceRecord, streamParquetToFile, EXTRA_FIELDS_COLUMN } from '../braintrust/parquet-writer.js';
+
+const FIELDS = {
+    score: { type: 'DOUBLE' },
+    passed: { type: 'BOOLEAN' },
+    created: { type: 'TIMESTAMP_MILLIS' },
+    name: { type: 'UTF8' },
+    input: { type: 'JSON' },
+};
+
+test('coerceRecord converts values to their column types', () => {
+    const { row, drifted } = coerceRecord({
+        score: 0.5,
+        passed: true,
+        created: '2024-05-01T12:00:00Z',
+        name: 'run',
+        input: { question: 'q' },
+        tags: null,
+    }, { ...FIELDS, tags: { type: 'JSON' } });
+
+    assert.equal(drifted, false);
+    assert.deepEqual(row, {
+        score: 0.5,
+        passed: true,
+        created: new Date('2024-05-01T12:00:00Z'),
+        name: 'run',
+        input: { question: 'q' },
+    });
+    assert.deepEqual(coerceRecord({ input: ['a', 'b'] }, FIELDS).row, { input: [['a', 'b']] });
+});
+
+test('coerceRecord moves unknown fields and misfit values to the extra column', () => {
+    const { row, drifted } = coerceRecord({
+        score: 'high',
+        created: 'yesterday',
+        name: 'run',
+        late: { key: 1 },
+        [EXTRA_FIELDS_COLUMN]: 'reserved',
+    }, { ...FIELDS, [EXTRA_FIELDS_COLUMN]: { type: 'JSON' } });
+
+    assert.equal(drifted, true);
+    assert.deepEqual(row, {
+        name: 'run',
+        [EXTRA_FIELDS_COLUMN]: { score: 'high', created: 'yesterday', late: { key: 1 }, [EXTRA_FIELDS_COLUMN]: 'reserved' },
+    });
+});
+
+test('streamParquetToFile keeps fields that appear after the schema sample', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parquet-writer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    const filePath = path.join(dir, 'events.parquet');
+
+    async function* batches() {
+        yield Array.from({ length: 1000 }, (_, index) => ({ id: String(index), metadata: { step: index } }));
+        yield [{ id: '1000', metadata: { step: 'last', extra: true }, late: 'value' }];
+    }
+    const result = await streamParquetToFile(batches(), filePath);
+    assert.equal(result.recordCount, 1001);
+    assert.equal(result.schemaDriftDetected, true);
+    assert.deepEqual(result.columns, ['id', 'metadata', EXTRA_FIELDS_COLUMN]);
+
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    const rows = [];
+    try {
+        const cursor = reader.getCursor();
+        for (let row = await cursor.next(); row; row = await cursor.next()) {
+            rows.push(row);
+        }
+    } finally {
+        await reader.close();
+    }
+    assert.equal(rows.length, 1001);
+    assert.deepEqual(rows[0].metadata, { step: 0 });
+    assert.deepEqual(rows[1000].metadata, { step: 'last', extra: true });
+    assert.deepEqual(rows[1000][EXTRA_FIELDS_COLUMN], { late: 'value' });
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseRateLimitHeaders,
+    createRateLimiter,
+    calculateBackoff,
+    withRetry,
+} from '../braintrust/rate-limiter.js';
+
+const NOW = 1_700_000_000_000;
+
+test('parseRateLimitHeaders reads seconds until reset', () => {
+    assert.deepEqual(
+        parseRateLimitHeaders({ 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '40', 'x-ratelimit-reset': '30' }, NOW),
+        { limit: 100, remaining: 40, resetAt: NOW + 30000 }
+    );
+});
+
+test('parseRateLimitHeaders reads Unix timestamps in seconds and milliseconds', () => {
+    const resetAt = NOW + 60000;
+
+    assert.equal(parseRateLimitHeaders({ 'ratelimit-remaining': '5', 'ratelimit-reset': String(resetAt / 1000) }, NOW).resetAt, resetAt);
+    assert.equal(parseRateLimitHeaders({ 'ratelimit-remaining': '5', 'ratelimit-reset': String(resetAt) }, NOW).resetAt, resetAt);
+});
+
+test('parseRateLimitHeaders accepts AxiosHeaders-style objects', () => {
+    const headers = new Map([['x-ratelimit-remaining', '-1'], ['x-ratelimit-reset', '10']]);
+
+    assert.deepEqual(parseRateLimitHeaders(headers, NOW), { limit: null, remaining: 0, resetAt: NOW + 10000 });
+});
+
+test('parseRateLimitHeaders returns null without remaining and reset headers', () => {
+    assert.equal(parseRateLimitHeaders(undefined, NOW), null);
+    assert.equal(parseRateLimitHeaders({}, NOW), null);
+    assert.equal(parseRateLimitHeaders({ 'x-ratelimit-remaining': '10' }, NOW), null);
+    assert.equal(parseRateLimitHeaders({ 'x-ratelimit-remaining': 'many', 'x-ratelimit-reset': '10' }, NOW), null);
+});
+
+test('calculateBackoff grows exponentially up to the cap with at most 25% jitter', () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const expected = Math.min(2 ** attempt * 500, 30000);
+        const delay = calculateBackoff(attempt, 500, 30000);
+        assert.ok(delay >= expected && delay <= expected * 1.25, `attempt ${attempt}: ${delay}ms`);
+    }
+});
+
+test('createRateLimiter lets a burst through and adapts to rate-limit headers', async () => {
+    const limiter = createRateLimiter({ requestsPerMinute: 600, burst: 2 });
+    const started = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.ok(Date.now() - started < 50, 'the burst should not wait');
+
+    limiter.observe({ 'x-ratelimit-remaining': '10', 'x-ratelimit-reset': '60' });
+    assert.equal(Math.round(limiter.requestsPerMinute), 9);
+
+    limiter.observe({ 'x-ratelimit-remaining': '10000', 'x-ratelimit-reset': '60' });
+    assert.equal(limiter.requestsPerMinute, 600);
+
+    limiter.setRequestsPerMinute(120);
+    assert.equal(limiter.requestsPerMinute, 120);
+});
+
+test('withRetry retries server errors and rethrows client errors', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) {
+            throw Object.assign(new Error('unavailable'), { response: { status: 503 } });
+        }
+        return 'ok';
+    }, { initialBackoff: 1, maxBackoff: 2 });
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+
+    calls = 0;
+    const notFound = Object.assign(new Error('not found'), { response: { status: 404 } });
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw notFound;
+    }, { initialBackoff: 1 }), notFound);
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runWithConcurrency, parsePositiveInteger } from '../braintrust/scheduler.js';
+
+test('runWithConcurrency processes every item with at most the given number running', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const seen = [];
+
+    await runWithConcurrency(['a', 'b', 'c', 'd', 'e'], 2, async (item, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        seen.push([item, index]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+    });
+
+    assert.equal(maxRunning, 2);
+    assert.deepEqual(seen, [['a', 0], ['b', 1], ['c', 2], ['d', 3], ['e', 4]]);
+});
+
+test('runWithConcurrency handles empty lists and rejects on worker errors', async () => {
+    await runWithConcurrency([], 3, async () => assert.fail('no items to process'));
+    await assert.rejects(runWithConcurrency([1, 2], 2, async (item) => {
+        if (item === 2) throw new Error('worker failed');
+    }), /worker failed/);
+});
+
+test('parsePositiveInteger accepts whole numbers and ignores unset values', () => {
+    assert.equal(parsePositiveInteger('4', 'concurrency'), 4);
+    assert.equal(parsePositiveInteger(2, 'concurrency'), 2);
+    assert.equal(parsePositiveInteger(undefined, 'concurrency'), undefined);
+    assert.equal(parsePositiveInteger('', 'concurrency'), undefined);
+    assert.equal(parsePositiveInteger('undefined', 'concurrency'), undefined);
+});
+
+test('parsePositiveInteger rejects zero, negative and fractional values', () => {
+    for (const value of ['0', '-1', '1.5', 'three']) {
+        assert.throws(() => parsePositiveInteger(value, 'concurrency'), /Invalid concurrency: ".*" \(expected a positive whole number\)/);
+    }
+});
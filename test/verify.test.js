@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import { countFileRows, countDistinctIds, verifyExport } from '../braintrust/verify.js';
+import { saveManifest, describeExportFile } from '../braintrust/manifest.js';
+
+const CSV = 'id,input\n1,"two\nlines"\n2,plain\n1,updated\n';
+const JSONL = '{"id":"1"}\n\n{"id":"2"}\n{"id":"1"}\n';
+
+/**
+ * Create an empty project export folder for one test
+ * @param {import('node:test').TestContext} t - Test context (removes the folder afterwards)
+ * @returns {string} Temporary directory
+ */
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Write an export file and its manifest entry
+ * @param {string} projectDir - Project export folder
+ * @param {string} file - File path relative to the project folder
+ * @param {string} content - File content
+ * @param {number} rowCount - Rows recorded in the manifest
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function writeExportFile(projectDir, file, content, rowCount) {
+    const filePath = path.join(projectDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    const { bytes, sha256 } = await describeExportFile(projectDir, filePath);
+    return { id: `id-${path.basename(file)}`, name: path.basename(file), type: 'experiment', file, rowCount, bytes, sha256 };
+}
+
+test('countFileRows counts CSV records and non-empty JSON Lines', async (t) => {
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'rows.csv'), CSV);
+    fs.writeFileSync(path.join(dir, 'rows.jsonl'), JSONL);
+    fs.writeFileSync(path.join(dir, 'header.csv'), 'id,input\n');
+
+    assert.equal(await countFileRows(path.join(dir, 'rows.csv')), 3);
+    assert.equal(await countFileRows(path.join(dir, 'rows.jsonl')), 3);
+    assert.equal(await countFileRows(path.join(dir, 'header.csv')), 0);
+});
+
+test('countFileRows reads gzip-compressed files and rejects corrupt ones', async (t) => {
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'rows.csv.gz'), zlib.gzipSync(CSV));
+    fs.writeFileSync(path.join(dir, 'rows.jsonl.gz'), zlib.gzipSync(JSONL));
+    fs.writeFileSync(path.join(dir, 'broken.jsonl.gz'), zlib.gzipSync(JSONL).subarray(0, 12));
+
+    assert.equal(await countFileRows(path.join(dir, 'rows.csv.gz')), 3);
+    assert.equal(await countFileRows(path.join(dir, 'rows.jsonl.gz')), 3);
+    await assert.rejects(countFileRows(path.join(dir, 'broken.jsonl.gz')));
+});
+
+test('countDistinctIds counts each event once', async (t) => {
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'rows.csv'), CSV);
+    fs.writeFileSync(path.join(dir, 'rows.jsonl'), JSONL);
+    fs.writeFileSync(path.join(dir, 'no-id.csv'), 'input\nx\n');
+
+    assert.equal(await countDistinctIds(path.join(dir, 'rows.csv')), 2);
+    assert.equal(await countDistinctIds(path.join(dir, 'rows.jsonl')), 2);
+    assert.equal(await countDistinctIds(path.join(dir, 'no-id.csv')), null);
+    assert.equal(await countDistinctIds(path.join(dir, 'rows.parquet')), null);
+});
+
+test('verifyExport passes an untouched export', async (t) => {
+    const projectDir = makeTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    const objects = [
+        await writeExportFile(projectDir, 'experiments/a.csv', CSV, 3),
+        await writeExportFile(projectDir, 'experiments/b.jsonl', JSONL, 3),
+    ];
+    saveManifest(projectDir, { project: { name: 'My Project' }, objects, failed: [] });
+    fs.writeFileSync(path.join(projectDir, '.export-state.json'), '{}');
+
+    const report = await verifyExport(projectDir);
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.files.map(file => [file.file, file.status, file.rowCount]), [
+        ['experiments/a.csv', 'ok', 3],
+        ['experiments/b.jsonl', 'ok', 3],
+    ]);
+    assert.deepEqual(report.untracked, []);
+});
+
+test('verifyExport reports missing, altered and untracked files', async (t) => {
+    const projectDir = makeTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    const objects = [
+        await writeExportFile(projectDir, 'experiments/a.csv', CSV, 3),
+        await writeExportFile(projectDir, 'experiments/b.jsonl', JSONL, 3),
+    ];
+    saveManifest(projectDir, {
+        project: { name: 'My Project' },
+        objects,
+        failed: [{ id: 'c', name: 'broken run', type: 'experiment', error: 'timeout' }],
+    });
+    fs.rmSync(path.join(projectDir, 'experiments/a.csv'));
+    fs.appendFileSync(path.join(projectDir, 'experiments/b.jsonl'), '{"id":"3"}\n');
+    fs.writeFileSync(path.join(projectDir, 'experiments/extra.csv'), CSV);
+
+    const report = await verifyExport(projectDir);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.files.map(file => file.status), ['missing', 'altered']);
+    assert.deepEqual(report.files[1].issues, ['checksum differs from the manifest', '4 rows, manifest says 3']);
+    assert.deepEqual(report.problems, ['1 object(s) failed during the export: broken run']);
+    assert.deepEqual(report.untracked, ['experiments/extra.csv']);
+});
+
+test('verifyExport requires a manifest', async (t) => {
+    await assert.rejects(verifyExport(makeTempDir(t)), /No manifest found/);
+});